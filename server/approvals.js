@@ -0,0 +1,63 @@
+/*
+ * Pending approvals
+ * -----------------
+ * A command that hits an "ask" entry is parked here instead of running. The
+ * request keeps the original tool call so that approving it replays exactly
+ * what the client asked for; the replay is validated again with the approved
+ * keys, so a config change in between still applies. Only the client that
+ * made the request can approve or deny it.
+ */
+
+import { randomUUID } from 'crypto';
+
+export class ApprovalQueue {
+  constructor({ ttlMs, maxPending }) {
+    this.ttlMs = ttlMs;
+    this.maxPending = maxPending;
+    this.pending = new Map();
+  }
+
+  // `keys` are what an approval covers (see askRule); `args` are the original tool arguments
+  create({ tool, args, cwd, session, keys, reason, progressToken, client }) {
+    if (this.pending.size >= this.maxPending) {
+      throw new Error(`Too many commands awaiting approval (${this.maxPending}); approve or deny some first`);
+    }
+    const now = Date.now();
+    const request = { id: randomUUID(), tool, args, cwd, session: session || null, keys, reason, progressToken, client: client ?? null, created: now };
+    this.pending.set(request.id, request);
+    return request;
+  }
+
+  // Removes and returns a request that belongs to `client`, expired or not
+  take(id, client = null) {
+    const request = this.pending.get(id);
+    if (!request || request.client !== client) return undefined;
+    this.pending.delete(id);
+    return request;
+  }
+
+  expired(request, now = Date.now()) {
+    return now - request.created > this.ttlMs;
+  }
+
+  // Removes and returns the requests older than ttlMs
+  expire(now = Date.now()) {
+    const expired = [...this.pending.values()].filter(r => this.expired(r, now));
+    expired.forEach(r => this.pending.delete(r.id));
+    return expired;
+  }
+
+  describe(request, now = Date.now()) {
+    return {
+      pending_id: request.id,
+      tool: request.tool,
+      command: request.args.command,
+      cwd: request.cwd,
+      session: request.session ?? undefined,
+      client: request.client ?? undefined,
+      approvals: request.keys,
+      requested: new Date(request.created).toISOString(),
+      expires_in_seconds: Math.max(0, Math.round((request.created + this.ttlMs - now) / 1000)),
+    };
+  }
+}
@@ -0,0 +1,38 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApprovalQueue } from './approvals.js';
+
+const request = { tool: 'execute_command', args: { command: 'rm a.txt' }, cwd: '/work', keys: ['rm'], reason: 'rm requires approval' };
+
+describe('approval queue', () => {
+  test('only the client that asked can take a request', () => {
+    const queue = new ApprovalQueue({ ttlMs: 1000, maxPending: 5 });
+    const { id } = queue.create({ ...request, client: 'a' });
+    assert.equal(queue.take(id, 'b'), undefined);
+    assert.equal(queue.take(id, 'a').id, id);
+    assert.equal(queue.take(id, 'a'), undefined);
+  });
+
+  test('an expired request is still handed back, so it can be recorded', () => {
+    const queue = new ApprovalQueue({ ttlMs: 1000, maxPending: 5 });
+    const created = queue.create(request);
+    const taken = queue.take(created.id);
+    assert.ok(!queue.expired(taken, created.created + 1000));
+    assert.ok(queue.expired(taken, created.created + 1001));
+  });
+
+  test('expire removes only the old requests', () => {
+    const queue = new ApprovalQueue({ ttlMs: 1000, maxPending: 5 });
+    const old = queue.create(request);
+    old.created -= 5000;
+    const fresh = queue.create(request);
+    assert.deepEqual(queue.expire().map(r => r.id), [old.id]);
+    assert.equal(queue.take(fresh.id).id, fresh.id);
+  });
+
+  test('refuses more than maxPending', () => {
+    const queue = new ApprovalQueue({ ttlMs: 1000, maxPending: 1 });
+    queue.create(request);
+    assert.throws(() => queue.create(request), /Too many commands awaiting approval/);
+  });
+});
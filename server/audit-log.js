@@ -0,0 +1,235 @@
+/*
+ * Tamper-evident audit log
+ * ------------------------
+ * Every record gets a schema version, a sequence number and the SHA-256 of
+ * the previous record (`prev`); its own `hash` covers all of that, so editing,
+ * reordering or deleting a line breaks the chain. A small head file remembers
+ * the last sequence number and hash, which exposes lines cut from the end.
+ * The live file is rotated by size or age into gzip archives; the first
+ * record of each new file is an `audit_rotated` entry that continues the chain.
+ */
+
+import { createHash } from 'crypto';
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import { basename, dirname, join } from 'path';
+import { createInterface } from 'readline';
+import { pipeline } from 'stream/promises';
+import { createGunzip, createGzip, gunzipSync } from 'zlib';
+
+export const AUDIT_VERSION = 1;
+const GENESIS = '0'.repeat(64);
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+// Command output is audited as its size and hash, never the text itself
+export const digest = text => typeof text === 'string' ? { bytes: Buffer.byteLength(text), sha256: sha256(text) } : undefined;
+
+function entryHash(entry) {
+  const { hash, ...body } = entry;
+  return sha256(JSON.stringify(body));
+}
+
+export class AuditLog {
+  constructor(path, { maxBytes, maxAgeMs, keep }) {
+    this.path = path;
+    this.headPath = path.replace(/\.log$/, '.head');
+    this.stem = basename(path, '.log');
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    this.keep = keep;
+    this.state = null;   // { seq, hash, bytes, started } of the live file
+    this.queue = Promise.resolve();
+  }
+
+  // Appends are serialised so each record sees the previous record's hash
+  append(rec) {
+    const result = this.queue.then(() => this.write(rec));
+    this.queue = result.catch(() => { });
+    return result;
+  }
+
+  async write(rec) {
+    if (!this.state) await this.open();
+    if (this.state.bytes >= this.maxBytes || (this.state.started && Date.now() - this.state.started > this.maxAgeMs)) {
+      await this.rotate();
+    }
+    const entry = { v: AUDIT_VERSION, seq: this.state.seq + 1, ts: new Date().toISOString(), ...rec, prev: this.state.hash };
+    entry.hash = entryHash(entry);
+    const line = JSON.stringify(entry) + '\n';
+    await fs.appendFile(this.path, line);
+    this.state = {
+      seq: entry.seq,
+      hash: entry.hash,
+      bytes: this.state.bytes + Buffer.byteLength(line),
+      started: this.state.started ?? Date.now(),
+    };
+    await fs.writeFile(this.headPath, JSON.stringify({ seq: entry.seq, hash: entry.hash }));
+  }
+
+  // Picks the chain up from the live file, or from the head file if the live file is gone
+  async open() {
+    const head = await this.readHead();
+    let lines = [];
+    try {
+      lines = (await fs.readFile(this.path, 'utf8')).split('\n').filter(Boolean);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    this.state = { seq: head?.seq ?? 0, hash: head?.hash ?? GENESIS, bytes: 0, started: null };
+    if (!lines.length) return;
+
+    let last, first;
+    try {
+      last = JSON.parse(lines[lines.length - 1]);
+      first = JSON.parse(lines[0]);
+    } catch {
+      // unreadable tail; archive the file below
+    }
+    if (last?.v === AUDIT_VERSION && last.hash) {
+      const stat = await fs.stat(this.path);
+      this.state = { seq: last.seq, hash: last.hash, bytes: stat.size, started: Date.parse(first?.ts) || stat.mtimeMs };
+      return;
+    }
+    // Records written before the chain existed are archived as they are
+    await this.rotate();
+  }
+
+  async rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const archive = join(dirname(this.path), `${this.stem}-${stamp}.log.gz`);
+    const staging = `${this.path}.${stamp}`;
+    try {
+      await fs.rename(this.path, staging);
+      await pipeline(createReadStream(staging), createGzip(), createWriteStream(archive));
+      await fs.rm(staging);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    this.state = { ...this.state, bytes: 0, started: null };
+    await this.prune();
+    await this.write({ action: 'audit_rotated', archive: basename(archive), success: true });
+  }
+
+  // Oldest first
+  async archives() {
+    const dir = dirname(this.path);
+    const names = (await fs.readdir(dir)).filter(n => n.startsWith(`${this.stem}-`) && n.endsWith('.log.gz')).sort();
+    return names.map(n => join(dir, n));
+  }
+
+  async prune() {
+    const archives = await this.archives();
+    for (const file of archives.slice(0, Math.max(0, archives.length - this.keep))) await fs.rm(file, { force: true });
+  }
+
+  async readHead() {
+    try {
+      return JSON.parse(await fs.readFile(this.headPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // The live file (and the archives, oldest first)
+  async files(includeArchives) {
+    await this.queue;
+    return [...(includeArchives ? await this.archives() : []), this.path];
+  }
+
+  async readLines(file) {
+    const text = file.endsWith('.gz') ? gunzipSync(await fs.readFile(file)).toString('utf8') : await fs.readFile(file, 'utf8');
+    return text.split('\n');
+  }
+
+  // Parsed records, oldest first, read a line at a time so that callers keep
+  // only what they need; unreadable files and lines are skipped
+  async *records({ includeArchives = false } = {}) {
+    for (const file of await this.files(includeArchives)) {
+      let handle;
+      try {
+        handle = await fs.open(file);
+      } catch {
+        continue;
+      }
+      const raw = handle.createReadStream();
+      const input = file.endsWith('.gz') ? raw.pipe(createGunzip()) : raw;
+      raw.on('error', e => input.destroy(e));
+      try {
+        for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+          if (!line) continue;
+          try {
+            yield JSON.parse(line);
+          } catch {
+            // reported by verify()
+          }
+        }
+      } catch {
+        // a damaged archive; verify() reports it
+      } finally {
+        input.destroy();
+        raw.destroy();
+      }
+    }
+  }
+
+  // Walks the chain through the live file (and the archives, oldest first)
+  async verify({ includeArchives = false } = {}) {
+    const files = await this.files(includeArchives);
+    const problems = [];
+    let prev = null, seq = 0, entries = 0, legacy = 0;
+
+    for (const file of files) {
+      let lines;
+      try {
+        lines = await this.readLines(file);
+      } catch (e) {
+        if (e.code !== 'ENOENT') problems.push({ file: basename(file), problem: `unreadable: ${e.message}` });
+        continue;
+      }
+      lines.forEach((line, i) => {
+        if (!line) return;
+        const at = { file: basename(file), line: i + 1 };
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          problems.push({ ...at, problem: 'not valid JSON' });
+          return;
+        }
+        if (entry.v === undefined) {
+          // Pre-chain records can only precede the chain, never sit inside it
+          if (prev !== null) problems.push({ ...at, problem: 'unchained record inside the chain' });
+          legacy++;
+          return;
+        }
+        entries++;
+        if (entry.hash !== entryHash(entry)) problems.push({ ...at, seq: entry.seq, problem: 'record was modified (hash mismatch)' });
+        if (prev === null) {
+          const start = (entry.seq === 1 && entry.prev === GENESIS) || entry.action === 'audit_rotated';
+          if (!start) problems.push({ ...at, seq: entry.seq, problem: 'log does not start at the beginning of the chain or a rotation; earlier records are missing' });
+        } else {
+          if (entry.prev !== prev) problems.push({ ...at, seq: entry.seq, problem: 'chain broken: prev does not match the previous record' });
+          if (entry.seq !== seq + 1) problems.push({ ...at, seq: entry.seq, problem: `sequence gap: expected ${seq + 1}` });
+        }
+        prev = entry.hash;
+        seq = entry.seq;
+      });
+    }
+
+    const head = await this.readHead();
+    if (head && (head.seq !== seq || head.hash !== prev)) {
+      problems.push({ file: basename(this.headPath), problem: `log ends at record ${seq} but the head records ${head.seq}; records were removed from the end` });
+    }
+
+    return {
+      valid: problems.length === 0,
+      files: files.map(f => basename(f)),
+      records: entries,
+      legacy_records: legacy || undefined,
+      last_seq: seq,
+      last_hash: prev,
+      problems: problems.slice(0, 50),
+      problem_count: problems.length,
+    };
+  }
+}
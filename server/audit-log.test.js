@@ -0,0 +1,50 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AuditLog } from './audit-log.js';
+
+describe('audit log', () => {
+  let dir, log;
+  const all = async (options) => {
+    const records = [];
+    for await (const record of log.records(options)) records.push(record);
+    return records;
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'cst-audit-'));
+    log = new AuditLog(join(dir, 'command-audit.log'), { maxBytes: 1024 * 1024, maxAgeMs: 86400000, keep: 5 });
+    await log.append({ action: 'execute_command', command: 'ls', success: true });
+    await log.rotate();
+    await log.append({ action: 'execute_command', command: 'pwd', success: true });
+    await fs.appendFile(log.path, 'not json\n');
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('records come from the live file, and the archives when asked', async () => {
+    assert.deepEqual((await all()).map(r => r.action), ['audit_rotated', 'execute_command']);
+    assert.deepEqual((await all({ includeArchives: true })).map(r => r.command ?? r.action), ['ls', 'audit_rotated', 'pwd']);
+  });
+
+  test('a damaged archive is skipped', async () => {
+    const [archive] = await log.archives();
+    const gz = await fs.readFile(archive);
+    await fs.writeFile(archive, gz.subarray(0, 10));
+    assert.deepEqual((await all({ includeArchives: true })).map(r => r.command ?? r.action), ['audit_rotated', 'pwd']);
+    await fs.writeFile(archive, gz);
+  });
+
+  test('verify finds a modified record', async () => {
+    const text = await fs.readFile(log.path, 'utf8');
+    await fs.writeFile(log.path, text.replace('not json\n', ''));
+    assert.equal((await log.verify({ includeArchives: true })).valid, true);
+
+    await fs.writeFile(log.path, text.replace('"pwd"', '"rm -rf /"').replace('not json\n', ''));
+    const { valid, problems } = await log.verify();
+    assert.equal(valid, false);
+    assert.match(problems[0].problem, /hash mismatch/);
+    await fs.writeFile(log.path, text);
+  });
+});
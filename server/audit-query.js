@@ -0,0 +1,159 @@
+/*
+ * Audit history queries
+ * ---------------------
+ * Audit records (chained v1 records as well as older plain ones) are
+ * normalised into one shape, filtered on structured fields rather than raw
+ * text, and summarised for reports: top commands, failure rates, slowest
+ * commands, refusals and configuration changes.
+ */
+
+import { parseCommand } from './shell-parser.js';
+import { expandHome, isInside } from './path-policy.js';
+
+const KINDS = {
+  command: ['execute_command', 'session_exec', 'start_job'],
+  job: ['finish_job', 'cancel_job'],
+  config: ['allow_command', 'block_command', 'ask_command', 'reset_config', 'import_config', 'reload_config', 'create_profile', 'switch_profile', 'delete_profile'],
+  // expire_pending is what older logs called approval_expired
+  approval: ['request_approval', 'approve_pending', 'deny_pending', 'approval_expired', 'expire_pending'],
+  session: ['create_session', 'close_session', 'expire_session', 'session_toolchain'],
+  file: ['read_file', 'write_file', 'apply_patch', 'list_directory', 'search_files'],
+  audit: ['audit_rotated'],
+};
+export const HISTORY_KINDS = Object.keys(KINDS);
+
+// Records that carry the outcome of a command that actually ran
+const RESULT_ACTIONS = ['execute_command', 'session_exec', 'finish_job'];
+
+const UNITS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+
+// ISO dates or relative periods such as `24h`, `7d`, `last 2 weeks`
+export function parseTime(value, now = Date.now()) {
+  const relative = /^(?:last\s+)?(\d+)\s*(m|mins?|minutes?|h|hours?|d|days?|w|weeks?)$/i.exec(String(value).trim());
+  if (relative) return now - Number(relative[1]) * UNITS[relative[2][0].toLowerCase()];
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid time '${value}'; use an ISO date or a period like 24h, 7d, 2w`);
+  return time;
+}
+
+function commandBases(command) {
+  if (typeof command !== 'string') return [];
+  try {
+    return [...new Set(parseCommand(command).map(seg => seg.base).filter(Boolean))];
+  } catch {
+    return command.trim().split(/\s+/).slice(0, 1);
+  }
+}
+
+// Older records have no `action`; they were command runs
+export function normalize(rec) {
+  const action = rec.action ?? (rec.command === undefined ? 'unknown' : rec.session ? 'session_exec' : 'execute_command');
+  const kind = HISTORY_KINDS.find(k => KINDS[k].includes(action)) ?? 'other';
+  return {
+    record: rec,
+    time: Date.parse(rec.ts),
+    action,
+    kind,
+    bases: commandBases(rec.command),
+    decision: rec.decision ?? (RESULT_ACTIONS.includes(action) ? 'allowed' : undefined),
+    timeout: rec.timeout === true || rec.terminated === 'timeout' || rec.status === 'timeout',
+  };
+}
+
+// Validates tool arguments into a filter; throws on bad input
+export function historyFilter(args, now = Date.now()) {
+  const list = v => v === undefined ? undefined : [].concat(v);
+  const filter = {
+    since: args.since === undefined ? undefined : parseTime(args.since, now),
+    until: args.until === undefined ? undefined : parseTime(args.until, now),
+    actions: list(args.action),
+    kinds: list(args.kind),
+    command: args.command,
+    text: args.query || undefined,
+    cwd: args.cwd === undefined ? undefined : expandHome(args.cwd),
+    session: args.session_id,
+    client: args.client,
+    decision: args.decision,
+    success: args.success,
+    timeout: args.timeout,
+    exitCode: args.exit_code,
+  };
+  const unknown = filter.kinds?.find(k => !HISTORY_KINDS.includes(k));
+  if (unknown) throw new Error(`Unknown kind '${unknown}'; expected one of ${HISTORY_KINDS.join(', ')}`);
+  return filter;
+}
+
+export function matches(entry, f) {
+  const rec = entry.record;
+  if (f.since !== undefined && !(entry.time >= f.since)) return false;
+  if (f.until !== undefined && !(entry.time <= f.until)) return false;
+  if (f.actions && !f.actions.includes(entry.action)) return false;
+  if (f.kinds && !f.kinds.includes(entry.kind)) return false;
+  if (f.command !== undefined && !entry.bases.includes(f.command)) return false;
+  if (f.text !== undefined && !(typeof rec.command === 'string' && rec.command.includes(f.text))) return false;
+  if (f.cwd !== undefined && !(typeof rec.cwd === 'string' && isInside(rec.cwd, f.cwd))) return false;
+  if (f.session !== undefined && rec.session !== f.session) return false;
+  if (f.client !== undefined && rec.client !== f.client) return false;
+  if (f.decision !== undefined && entry.decision !== f.decision) return false;
+  if (f.success !== undefined && rec.success !== f.success) return false;
+  if (f.timeout !== undefined && entry.timeout !== f.timeout) return false;
+  if (f.exitCode !== undefined && rec.exit_code !== f.exitCode) return false;
+  return true;
+}
+
+const rate = (part, whole) => whole ? Math.round((part / whole) * 1000) / 1000 : 0;
+
+export function historyReport(entries, { top = 10 } = {}) {
+  const runs = entries.filter(e => RESULT_ACTIONS.includes(e.action) && e.decision === 'allowed');
+  const failed = runs.filter(e => e.record.success === false);
+  const denied = entries.filter(e => e.decision === 'denied');
+
+  const byCommand = new Map();
+  const tally = (base, field) => {
+    const row = byCommand.get(base) ?? { command: base, runs: 0, failures: 0, timeouts: 0, denied: 0 };
+    row[field]++;
+    byCommand.set(base, row);
+  };
+  for (const e of runs) {
+    for (const base of e.bases) {
+      tally(base, 'runs');
+      if (e.record.success === false) tally(base, 'failures');
+      if (e.timeout) tally(base, 'timeouts');
+    }
+  }
+  for (const e of denied) e.bases.forEach(base => tally(base, 'denied'));
+
+  const count = (items, key) => {
+    const counts = new Map();
+    items.forEach(item => { const k = key(item); if (k) counts.set(k, (counts.get(k) ?? 0) + 1); });
+    return [...counts].sort((a, b) => b[1] - a[1]).slice(0, top);
+  };
+
+  return {
+    range: entries.length ? { from: entries[0].record.ts, to: entries[entries.length - 1].record.ts } : null,
+    totals: {
+      records: entries.length,
+      runs: runs.length,
+      failed: failed.length,
+      timeouts: runs.filter(e => e.timeout).length,
+      denied: denied.length,
+      approvals_requested: entries.filter(e => e.action === 'request_approval').length,
+      config_changes: entries.filter(e => e.kind === 'config').length,
+    },
+    failure_rate: rate(failed.length, runs.length),
+    top_commands: [...byCommand.values()]
+      .sort((a, b) => (b.runs + b.denied) - (a.runs + a.denied))
+      .slice(0, top)
+      .map(row => ({ ...row, failure_rate: rate(row.failures, row.runs) })),
+    slowest: runs
+      .filter(e => typeof e.record.ms === 'number')
+      .sort((a, b) => b.record.ms - a.record.ms)
+      .slice(0, top)
+      .map(({ record: r }) => ({ command: r.command, ms: r.ms, ts: r.ts, cwd: r.cwd, exit_code: r.exit_code })),
+    denied_reasons: count(denied, e => e.record.reason?.code ?? 'unknown').map(([code, n]) => ({ code, count: n })),
+    config_changes: entries
+      .filter(e => e.kind === 'config')
+      .slice(-top)
+      .map(({ record: r, action }) => ({ ts: r.ts, action, command: r.command, subcommand: r.subcommand, flag: r.flag, pattern: r.pattern, profile: r.profile ?? r.to })),
+  };
+}
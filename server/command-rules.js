@@ -0,0 +1,165 @@
+/*
+ * Argument-level command rules
+ * ----------------------------
+ * A rule refines an allowed command beyond "the binary may run":
+ *
+ *   {
+ *     "allowedSubcommands": ["status", "log"],   // if present, only these
+ *     "deniedSubcommands": ["publish"],
+ *     "deniedFlags": ["--force", "-f"],          // long flags also match `--flag=value` and abbreviations
+ *     "deniedArgPatterns": ["^core\\.sshcommand"],
+ *     "allowedArgPatterns": ["^[\\w./-]+$"],     // if present, every operand must match one
+ *     "valueFlags": ["-C", "-c"],                // flags whose value precedes the subcommand
+ *     "askSubcommands": ["push"],                // run only after the user approves
+ *     "askFlags": ["--hard"],
+ *     "askArgPatterns": ["^origin$"],
+ *     "network": true,                           // may reach the network when sandboxed (sandbox.js)
+ *     "subcommands": { "push": { ...nested rule } }
+ *   }
+ *
+ * Patterns are regular expressions matched case-insensitively.
+ */
+
+const RULE_LISTS = [
+  'allowedSubcommands', 'deniedSubcommands', 'deniedFlags', 'deniedArgPatterns', 'allowedArgPatterns', 'valueFlags',
+  'askSubcommands', 'askFlags', 'askArgPatterns',
+];
+
+const isFlag = arg => arg.length > 1 && arg.startsWith('-');
+
+function flagMatches(denied, arg) {
+  if (denied.startsWith('--')) {
+    const name = arg.split('=')[0];
+    // GNU getopt accepts any unambiguous prefix of a long option
+    return name === denied || (name.length > 3 && name.startsWith('--') && denied.startsWith(name));
+  }
+  if (arg === denied || (denied.length === 2 && arg.startsWith(denied) && !arg.startsWith('--'))) return true;
+  // Clustered short flags, e.g. `-sSLo` contains `-o`
+  return denied.length === 2 && /^-[a-zA-Z]+$/.test(arg) && arg.includes(denied[1]);
+}
+
+function findSubcommand(rule, args) {
+  const valueFlags = rule.valueFlags || [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') return args[i + 1] === undefined ? null : { index: i + 1, name: args[i + 1] };
+    if (!isFlag(arg)) return { index: i, name: arg };
+    if (valueFlags.includes(arg)) i++;
+  }
+  return null;
+}
+
+// Returns null if `args` satisfy the rule, otherwise a human readable reason.
+export function checkRule(rule, args, path = []) {
+  const where = path.length ? `${path.join(' ')}: ` : '';
+
+  let endOfFlags = args.indexOf('--');
+  if (endOfFlags < 0) endOfFlags = args.length;
+  for (const arg of args.slice(0, endOfFlags)) {
+    if (!isFlag(arg)) continue;
+    const flag = (rule.deniedFlags || []).find(f => flagMatches(f, arg));
+    if (flag) return `${where}flag ${flag} not allowed`;
+  }
+
+  for (const arg of args) {
+    const pattern = (rule.deniedArgPatterns || []).find(p => new RegExp(p, 'i').test(arg));
+    if (pattern) return `${where}argument '${arg}' matches denied pattern /${pattern}/`;
+  }
+
+  if (rule.allowedArgPatterns) {
+    const operands = args.filter((arg, i) => i >= endOfFlags || !isFlag(arg)).filter(arg => arg !== '--');
+    const bad = operands.find(arg => !rule.allowedArgPatterns.some(p => new RegExp(p, 'i').test(arg)));
+    if (bad !== undefined) return `${where}argument '${bad}' is not permitted`;
+  }
+
+  if (!rule.allowedSubcommands && !rule.deniedSubcommands && !rule.subcommands) return null;
+
+  const sub = findSubcommand(rule, args);
+  if (!sub) return null;
+  if (rule.deniedSubcommands?.includes(sub.name)) return `${where}subcommand ${sub.name} not allowed`;
+  if (rule.allowedSubcommands && !rule.allowedSubcommands.includes(sub.name)) {
+    return `${where}subcommand ${sub.name} is not in the allowed list`;
+  }
+  const nested = rule.subcommands?.[sub.name];
+  return nested ? checkRule(nested, args.slice(sub.index + 1), [...path, sub.name]) : null;
+}
+
+// Every ask entry that `args` hit, as { key, reason } where `key` names what an
+// approval covers (e.g. `push --force`). Only meaningful once checkRule has passed.
+export function askRule(rule, args, path = []) {
+  const where = path.length ? `${path.join(' ')}: ` : '';
+  const key = item => [...path, item].join(' ');
+  const asks = [];
+
+  let endOfFlags = args.indexOf('--');
+  if (endOfFlags < 0) endOfFlags = args.length;
+  for (const flag of rule.askFlags || []) {
+    if (args.slice(0, endOfFlags).some(arg => isFlag(arg) && flagMatches(flag, arg))) {
+      asks.push({ key: key(flag), reason: `${where}flag ${flag} requires approval` });
+    }
+  }
+
+  for (const pattern of rule.askArgPatterns || []) {
+    const arg = args.find(a => new RegExp(pattern, 'i').test(a));
+    if (arg !== undefined) asks.push({ key: key(`/${pattern}/`), reason: `${where}argument '${arg}' matches /${pattern}/ and requires approval` });
+  }
+
+  const sub = findSubcommand(rule, args);
+  if (!sub) return asks;
+  if (rule.askSubcommands?.includes(sub.name)) asks.push({ key: key(sub.name), reason: `${where}subcommand ${sub.name} requires approval` });
+  const nested = rule.subcommands?.[sub.name];
+  return nested ? [...asks, ...askRule(nested, args.slice(sub.index + 1), [...path, sub.name])] : asks;
+}
+
+// Whether a sandboxed run of the command with `args` may use the network: the
+// innermost `network` on the subcommand path, undefined when no rule says
+export function ruleNetwork(rule, args) {
+  const sub = rule.subcommands && findSubcommand(rule, args);
+  const nested = sub && rule.subcommands[sub.name];
+  return (nested ? ruleNetwork(nested, args.slice(sub.index + 1)) : undefined) ?? rule.network;
+}
+
+// Throws if `rule` is not a well-formed rule object.
+export function validateRule(rule, label) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${label} must be an object`);
+  for (const key of Object.keys(rule)) {
+    if (key === 'subcommands') continue;
+    if (key === 'network') {
+      if (typeof rule.network !== 'boolean') throw new Error(`${label}.network must be a boolean`);
+      continue;
+    }
+    if (!RULE_LISTS.includes(key)) throw new Error(`${label}: unknown key ${key}`);
+    const list = rule[key];
+    if (!Array.isArray(list) || list.some(v => typeof v !== 'string')) throw new Error(`${label}.${key} must be an array of strings`);
+    if (key.endsWith('Patterns')) {
+      for (const p of list) {
+        try { new RegExp(p, 'i'); } catch { throw new Error(`${label}.${key}: invalid pattern ${p}`); }
+      }
+    }
+  }
+  if (rule.subcommands !== undefined) {
+    if (!rule.subcommands || typeof rule.subcommands !== 'object' || Array.isArray(rule.subcommands)) {
+      throw new Error(`${label}.subcommands must be an object`);
+    }
+    for (const [name, nested] of Object.entries(rule.subcommands)) validateRule(nested, `${label} ${name}`);
+  }
+}
+
+// Flattens a rule into readable lines for view_config.
+export function describeRule(rule, prefix = '') {
+  const lines = [];
+  const add = (label, list) => { if (list?.length) lines.push(`${prefix}${label}: ${list.join(', ')}`); };
+  add('only subcommands', rule.allowedSubcommands);
+  add('denied subcommands', rule.deniedSubcommands);
+  add('denied flags', rule.deniedFlags);
+  add('denied argument patterns', rule.deniedArgPatterns?.map(p => `/${p}/`));
+  add('allowed argument patterns', rule.allowedArgPatterns?.map(p => `/${p}/`));
+  add('ask for subcommands', rule.askSubcommands);
+  add('ask for flags', rule.askFlags);
+  add('ask for argument patterns', rule.askArgPatterns?.map(p => `/${p}/`));
+  if (rule.network !== undefined) lines.push(`${prefix}network: ${rule.network ? 'allowed' : 'denied'} when sandboxed`);
+  for (const [name, nested] of Object.entries(rule.subcommands || {})) {
+    lines.push(...describeRule(nested, `${prefix}${name} → `));
+  }
+  return lines;
+}
@@ -0,0 +1,59 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { askRule, checkRule, validateRule } from './command-rules.js';
+
+const git = {
+  valueFlags: ['-C', '-c'],
+  deniedFlags: ['--exec-path'],
+  deniedArgPatterns: ['^core\\.sshcommand'],
+  deniedSubcommands: ['daemon'],
+  subcommands: {
+    push: { deniedFlags: ['--force'], askArgPatterns: ['^origin$'] },
+    reset: { askFlags: ['--hard'] },
+  },
+};
+
+describe('checkRule', () => {
+  test('denied flags match abbreviations, values and clusters', () => {
+    assert.equal(checkRule(git, ['push', '--force']), 'push: flag --force not allowed');
+    assert.equal(checkRule(git, ['push', '--for']), 'push: flag --force not allowed');
+    assert.equal(checkRule(git, ['--exec-path=/tmp', 'status']), 'flag --exec-path not allowed');
+    assert.equal(checkRule({ deniedFlags: ['-o'] }, ['-sSLo', 'out']), 'flag -o not allowed');
+    assert.equal(checkRule(git, ['push', '--', '--force']), null);
+  });
+
+  test('the subcommand is found past value flags', () => {
+    assert.equal(checkRule(git, ['-C', 'daemon', 'status']), null);
+    assert.equal(checkRule(git, ['-C', 'repo', 'daemon']), 'subcommand daemon not allowed');
+  });
+
+  test('patterns are matched case-insensitively', () => {
+    assert.match(checkRule(git, ['-c', 'core.sshCommand=sh', 'fetch']), /denied pattern/);
+    assert.equal(checkRule({ allowedArgPatterns: ['^[a-z]+$'] }, ['-v', 'abc']), null);
+    assert.equal(checkRule({ allowedArgPatterns: ['^[a-z]+$'] }, ['../x']), "argument '../x' is not permitted");
+  });
+
+  test('allowedSubcommands is a closed list', () => {
+    const rule = { allowedSubcommands: ['status', 'log'] };
+    assert.equal(checkRule(rule, ['log', '-1']), null);
+    assert.equal(checkRule(rule, ['commit']), 'subcommand commit is not in the allowed list');
+  });
+});
+
+describe('askRule', () => {
+  test('keys name what an approval covers', () => {
+    assert.deepEqual(askRule(git, ['reset', '--hard']).map(a => a.key), ['reset --hard']);
+    assert.deepEqual(askRule(git, ['push', 'origin', 'main']).map(a => a.key), ['push /^origin$/']);
+    assert.deepEqual(askRule(git, ['status']), []);
+  });
+});
+
+describe('validateRule', () => {
+  test('rejects unknown keys, bad lists and bad patterns', () => {
+    assert.doesNotThrow(() => validateRule(git, 'git'));
+    assert.throws(() => validateRule({ deniedFlag: ['-f'] }, 'rm'), /unknown key deniedFlag/);
+    assert.throws(() => validateRule({ deniedFlags: '-f' }, 'rm'), /must be an array of strings/);
+    assert.throws(() => validateRule({ deniedArgPatterns: ['('] }, 'rm'), /invalid pattern/);
+    assert.throws(() => validateRule({ subcommands: { push: { network: 'yes' } } }, 'git'), /git push.network must be a boolean/);
+  });
+});
@@ -0,0 +1,280 @@
+/*
+ * Configuration schema and migrations
+ * -----------------------------------
+ * terminal-config.json (and every `import_config` payload) carries a
+ * `configVersion`. Older files are migrated one version at a time up to
+ * CONFIG_VERSION, then checked against a JSON schema that fills in missing
+ * sections and rejects unknown keys. The per-section checks that need more
+ * than structure (rules, limits, redaction patterns, profiles, settings)
+ * stay with their own modules.
+ */
+
+import Ajv from 'ajv';
+import { SETTINGS, SETTINGS_SCHEMA } from './settings.js';
+import { ENVIRONMENT_SCHEMA } from './environment.js';
+import { NETWORK_SCHEMA } from './network-policy.js';
+
+export const CONFIG_VERSION = 2;
+
+export const CONFIG_SECTIONS = [
+  'allowOverrides', 'blockOverrides', 'askOverrides', 'commandRules',
+  'resourceLimits', 'redactPatterns', 'profiles', 'activeProfile', 'settings', 'environment', 'network',
+];
+
+export class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}: ${errors.join('; ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const NAME = '^[a-zA-Z0-9_-]+$';
+const commandList = { type: 'array', items: { type: 'string', pattern: NAME }, uniqueItems: true, default: [] };
+const byCommand = { type: 'object', propertyNames: { pattern: NAME }, additionalProperties: { type: 'object' } };
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    configVersion: { const: CONFIG_VERSION },
+    version: { type: 'string' },
+    lastModified: { type: 'string' },
+    exportedAt: { type: 'string' },
+    allowOverrides: commandList,
+    blockOverrides: commandList,
+    askOverrides: commandList,
+    commandRules: { ...byCommand, default: {} },
+    resourceLimits: {
+      type: 'object',
+      properties: { default: { type: 'object' }, commands: byCommand },
+      additionalProperties: false,
+      default: {},
+    },
+    redactPatterns: {
+      type: 'array',
+      items: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          {
+            type: 'object',
+            properties: { name: { type: 'string', pattern: NAME }, pattern: { type: 'string', minLength: 1 }, flags: { type: 'string', pattern: '^[imsu]*$' } },
+            required: ['pattern'],
+            additionalProperties: false,
+          },
+        ],
+      },
+      default: [],
+    },
+    profiles: { ...byCommand, default: {} },
+    activeProfile: { type: ['string', 'null'], default: null },
+    settings: SETTINGS_SCHEMA,
+    environment: ENVIRONMENT_SCHEMA,
+    network: NETWORK_SCHEMA,
+    // Written by export_config for reference; ignored on import
+    defaults: { type: 'object' },
+  },
+  required: ['configVersion'],
+  additionalProperties: false,
+};
+
+const P = CONFIG_SCHEMA.properties;
+
+// The administrator's policy file (see layers.js)
+export const SYSTEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    configVersion: P.configVersion,
+    description: { type: 'string' },
+    allowOverrides: P.allowOverrides,
+    blockOverrides: P.blockOverrides,
+    askOverrides: P.askOverrides,
+    commandRules: P.commandRules,
+    resourceLimits: P.resourceLimits,
+    redactPatterns: P.redactPatterns,
+    settings: SETTINGS_SCHEMA,
+    environment: ENVIRONMENT_SCHEMA,
+    network: NETWORK_SCHEMA,
+    locked: {
+      type: 'object',
+      properties: {
+        commands: commandList,
+        settings: { type: 'array', items: { enum: Object.keys(SETTINGS) }, uniqueItems: true, default: [] },
+      },
+      additionalProperties: false,
+      default: {},
+    },
+  },
+  additionalProperties: false,
+};
+
+// A project's .secure-terminal.json can only tighten, so it has no allow list
+export const PROJECT_SCHEMA = {
+  type: 'object',
+  properties: {
+    configVersion: P.configVersion,
+    description: { type: 'string' },
+    blockOverrides: P.blockOverrides,
+    askOverrides: P.askOverrides,
+    commandRules: P.commandRules,
+    resourceLimits: P.resourceLimits,
+  },
+  additionalProperties: false,
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validate = ajv.compile(CONFIG_SCHEMA);
+const LAYER_VALIDATORS = { system: ajv.compile(SYSTEM_SCHEMA), project: ajv.compile(PROJECT_SCHEMA) };
+
+function schemaErrors(errors) {
+  return [...new Set(errors.map(e => {
+    const where = (e.instancePath || '/').slice(1).replace(/\//g, '.') || 'config';
+    if (e.keyword === 'additionalProperties') return `${where}: unknown key ${e.params.additionalProperty}`;
+    if (e.keyword === 'propertyNames') return `${where}: invalid name ${e.params.propertyName}`;
+    return `${where} ${e.message}`;
+  }))];
+}
+
+function checkOverlap(config, message) {
+  const overlap = (config.allowOverrides ?? []).concat(config.blockOverrides, config.askOverrides)
+    .filter((cmd, i, all) => all.indexOf(cmd) !== i);
+  if (overlap.length) throw new ConfigError(message, [`${[...new Set(overlap)].join(', ')} on more than one override list`]);
+}
+
+// One step per version: MIGRATIONS[n] turns a version n config into version n + 1
+const MIGRATIONS = {
+  // Files written before configVersion existed (server 1.0.4 to 1.0.6). Sections
+  // added during 1.0.6 may be missing, and a command may sit on several lists;
+  // it is kept on the most restrictive one.
+  1: config => {
+    const lists = {};
+    const placed = new Set();
+    for (const key of ['blockOverrides', 'askOverrides', 'allowOverrides']) {
+      lists[key] = Array.isArray(config[key]) ? [...new Set(config[key])].filter(cmd => !placed.has(cmd)) : config[key];
+      if (Array.isArray(lists[key])) lists[key].forEach(cmd => placed.add(cmd));
+    }
+    return {
+      commandRules: {},
+      resourceLimits: {},
+      redactPatterns: [],
+      profiles: {},
+      activeProfile: null,
+      ...config,
+      allowOverrides: lists.allowOverrides ?? [],
+      blockOverrides: lists.blockOverrides ?? [],
+      askOverrides: lists.askOverrides ?? [],
+      configVersion: 2,
+    };
+  },
+};
+
+// Brings `config` up to CONFIG_VERSION; `from` is the version it started at
+export function migrateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new ConfigError('Configuration must be a JSON object');
+  const from = config.configVersion ?? 1;
+  if (!Number.isInteger(from) || from < 1) throw new ConfigError(`Invalid configVersion ${JSON.stringify(config.configVersion)}`);
+  if (from > CONFIG_VERSION) throw new ConfigError(`configVersion ${from} is newer than this server supports (${CONFIG_VERSION})`);
+  let migrated = structuredClone(config);
+  for (let version = from; version < CONFIG_VERSION; version++) migrated = MIGRATIONS[version](migrated);
+  return { config: migrated, from };
+}
+
+// Migrates and schema-checks; returns a new object with every section present
+export function checkConfigSchema(config) {
+  const { config: migrated, from } = migrateConfig(config);
+  if (!validate(migrated)) throw new ConfigError('Invalid configuration', schemaErrors(validate.errors));
+  checkOverlap(migrated, 'Invalid configuration');
+  return { config: migrated, from };
+}
+
+// Schema-checks a system or project policy file; returns a copy with every section present
+export function checkLayerSchema(policy, layer) {
+  const label = `Invalid ${layer} policy`;
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw new ConfigError(`${label}: must be a JSON object`);
+  const checked = structuredClone(policy);
+  if (!LAYER_VALIDATORS[layer](checked)) throw new ConfigError(label, schemaErrors(LAYER_VALIDATORS[layer].errors));
+  checkOverlap(checked, label);
+  return checked;
+}
+
+const LISTS = ['allowOverrides', 'blockOverrides', 'askOverrides'];
+
+// `incoming` on top of `base`: list entries are added (moving a command off the
+// other lists), keyed sections are replaced key by key, scalars win when given
+export function mergeConfigs(base, incoming, given = CONFIG_SECTIONS) {
+  const merged = structuredClone(base);
+  for (const key of LISTS.filter(k => given.includes(k))) {
+    for (const cmd of incoming[key]) {
+      for (const other of LISTS) merged[other] = merged[other].filter(c => c !== cmd);
+      merged[key].push(cmd);
+    }
+  }
+  if (given.includes('commandRules')) Object.assign(merged.commandRules, incoming.commandRules);
+  if (given.includes('profiles')) Object.assign(merged.profiles, incoming.profiles);
+  if (given.includes('resourceLimits')) {
+    const { default: defaults, commands } = incoming.resourceLimits;
+    if (defaults) merged.resourceLimits.default = { ...merged.resourceLimits.default, ...defaults };
+    if (commands) merged.resourceLimits.commands = { ...merged.resourceLimits.commands, ...commands };
+  }
+  if (given.includes('redactPatterns')) {
+    const seen = new Set(merged.redactPatterns.map(p => JSON.stringify(p)));
+    merged.redactPatterns.push(...incoming.redactPatterns.filter(p => !seen.has(JSON.stringify(p))));
+  }
+  if (given.includes('activeProfile') && incoming.activeProfile !== null) merged.activeProfile = incoming.activeProfile;
+  if (given.includes('environment')) {
+    const { allow, deny, path, pins } = incoming.environment;
+    const union = (a = [], b = []) => [...new Set([...a, ...b])];
+    const env = merged.environment;
+    if (allow) env.allow = union(env.allow, allow);
+    if (deny) env.deny = union(env.deny, deny);
+    if (path) env.path = path;
+    if (pins) env.pins = { ...env.pins, ...pins };
+  }
+  if (given.includes('network')) {
+    const { allow, deny, methods, uploads } = incoming.network;
+    const net = merged.network;
+    const union = (a = [], b = []) => [...new Map([...a, ...b].map(v => [JSON.stringify(v), v])).values()];
+    if (allow) net.allow = union(net.allow, allow);
+    if (deny) net.deny = union(net.deny, deny);
+    if (methods) net.methods = methods;
+    if (uploads !== undefined) net.uploads = uploads;
+  }
+  return merged;
+}
+
+// Section-by-section differences between two checked configs; empty when equal
+export function diffConfigs(a, b) {
+  const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+  const diff = {};
+  for (const key of LISTS) {
+    const added = b[key].filter(cmd => !a[key].includes(cmd));
+    const removed = a[key].filter(cmd => !b[key].includes(cmd));
+    if (added.length || removed.length) diff[key] = { added, removed };
+  }
+  const keyed = (x = {}, y = {}) => {
+    const keys = [...new Set([...Object.keys(x), ...Object.keys(y)])];
+    const change = {
+      added: keys.filter(k => !(k in x)),
+      changed: keys.filter(k => k in x && k in y && !same(x[k], y[k])),
+      removed: keys.filter(k => !(k in y)),
+    };
+    return change.added.length || change.changed.length || change.removed.length ? change : undefined;
+  };
+  for (const key of ['commandRules', 'profiles']) {
+    const change = keyed(a[key], b[key]);
+    if (change) diff[key] = change;
+  }
+  const limits = {
+    default: same(a.resourceLimits.default, b.resourceLimits.default) ? undefined : { from: a.resourceLimits.default ?? {}, to: b.resourceLimits.default ?? {} },
+    commands: keyed(a.resourceLimits.commands, b.resourceLimits.commands),
+  };
+  if (limits.default || limits.commands) diff.resourceLimits = limits;
+  const patterns = {
+    added: b.redactPatterns.filter(p => !a.redactPatterns.some(q => same(p, q))),
+    removed: a.redactPatterns.filter(p => !b.redactPatterns.some(q => same(p, q))),
+  };
+  if (patterns.added.length || patterns.removed.length) diff.redactPatterns = patterns;
+  if (a.activeProfile !== b.activeProfile) diff.activeProfile = { from: a.activeProfile, to: b.activeProfile };
+  if (!same(a.environment, b.environment)) diff.environment = { from: a.environment, to: b.environment };
+  if (!same(a.network, b.network)) diff.network = { from: a.network, to: b.network };
+  return diff;
+}
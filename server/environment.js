@@ -0,0 +1,152 @@
+/*
+ * Command environment
+ * -------------------
+ * Commands used to inherit the server's whole environment: every API key or
+ * token the MCP client was started with, and a PATH that decided which binary
+ * an allowed name ran. They now get only the variables the `environment`
+ * policy allows and doesn't deny, a pinned PATH, and the variables a call sets
+ * itself within the same policy. Each command is resolved to an absolute
+ * binary on that PATH before it runs, and must match its SHA-256 pin if it
+ * has one.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import { delimiter, resolve as pathResolve } from 'path';
+import { expandHome } from './path-policy.js';
+
+const IS_WINDOWS = process.platform === 'win32';
+
+// Variables that change what gets executed, or where a command reads the
+// configuration that does: never set by a command prefix, an `env` parameter or
+// a session export, whatever `settable` lists
+export const PROTECTED_ENV = new RegExp(`^(${[
+  'PATH', 'IFS', 'ENV', 'BASH_ENV', 'SHELLOPTS', 'BASHOPTS', 'PS4', 'PROMPT_COMMAND', 'LD_\\w+', 'DYLD_\\w+',
+  'HOME', 'XDG_CONFIG_HOME', 'TMPDIR', 'PAGER', 'MANPAGER', 'EDITOR', 'VISUAL', 'BROWSER', 'LESSOPEN', 'LESSCLOSE', 'SSH_ASKPASS',
+  // git runs GIT_SSH_COMMAND, GIT_PAGER, GIT_EXTERNAL_DIFF, GIT_CONFIG_* entries, …
+  'GIT_(?!(AUTHOR|COMMITTER)_(NAME|EMAIL|DATE)$)\\w+',
+  'NODE_OPTIONS', 'NODE_PATH', 'npm_config_\\w+', 'PIP_\\w+', 'PYTHON(STARTUP|PATH|HOME|USERBASE|WARNINGS)',
+  'PERL5OPT', 'PERL5LIB', 'PERLLIB', 'RUBYOPT', 'RUBYLIB', 'JAVA_TOOL_OPTIONS', '_JAVA_OPTIONS', 'CURL_HOME', 'WGETRC',
+].join('|')})$`, 'i');
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_VALUE_CHARS = 8192;
+
+export const DEFAULT_ENVIRONMENT = {
+  allow: [
+    'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'LC_*', 'TZ', 'TERM', 'COLORTERM',
+    'NO_COLOR', 'FORCE_COLOR', 'COLUMNS', 'LINES', 'TMPDIR', 'NVM_DIR',
+    // Corporate CA bundles, without which TLS fails behind intercepting proxies
+    'SSL_CERT_FILE', 'SSL_CERT_DIR', 'NODE_EXTRA_CA_CERTS', 'REQUESTS_CA_BUNDLE', 'CURL_CA_BUNDLE', 'GIT_SSL_CAINFO',
+  ],
+  // Checked after `allow`, case-insensitively; a match is never passed on
+  deny: [
+    '*TOKEN*', '*SECRET*', '*PASSWORD*', '*PASSWD*', '*CREDENTIAL*', '*API_KEY*', '*APIKEY*',
+    '*ACCESS_KEY*', '*PRIVATE_KEY*', '*SESSION_KEY*', '*AUTH*', 'AWS_*', 'AZURE_*', 'GOOGLE_APPLICATION_CREDENTIALS',
+  ],
+  // null: keep the server's PATH (Windows has no common layout to pin)
+  // Variables a command prefix, an `env` parameter or a session export may set
+  settable: [
+    'CI', 'DEBUG', 'NODE_ENV', 'NODE_NO_WARNINGS', 'FORCE_COLOR', 'NO_COLOR', 'TERM', 'COLORTERM', 'COLUMNS', 'LINES',
+    'LANG', 'LANGUAGE', 'LC_*', 'TZ', 'PYTHONUNBUFFERED', 'PYTHONDONTWRITEBYTECODE', 'PYTHONIOENCODING',
+    'GIT_AUTHOR_NAME', 'GIT_AUTHOR_EMAIL', 'GIT_AUTHOR_DATE', 'GIT_COMMITTER_NAME', 'GIT_COMMITTER_EMAIL', 'GIT_COMMITTER_DATE',
+  ],
+  path: IS_WINDOWS ? null : ['/opt/homebrew/bin', '/usr/local/bin', '/usr/bin', '/bin', '/usr/sbin', '/sbin'],
+  pins: {},
+};
+
+const NAME_PATTERN = { type: 'string', pattern: '^[A-Za-z_*][A-Za-z0-9_*]*$' };
+const SHA256 = { type: 'string', pattern: '^[0-9a-fA-F]{64}$' };
+
+export const ENVIRONMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    allow: { type: 'array', items: NAME_PATTERN, uniqueItems: true },
+    deny: { type: 'array', items: NAME_PATTERN, uniqueItems: true },
+    settable: { type: 'array', items: NAME_PATTERN, uniqueItems: true },
+    path: { type: 'array', items: { type: 'string', pattern: '^(~|/)' }, minItems: 1 },
+    pins: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-zA-Z0-9_.+-]+$' },
+      additionalProperties: { anyOf: [SHA256, { type: 'array', items: SHA256, minItems: 1 }] },
+    },
+  },
+  additionalProperties: false,
+  default: {},
+};
+
+const matcher = (patterns, flags = '') => {
+  const regexes = patterns.map(p => new RegExp(`^${p.replace(/\*/g, '.*')}$`, flags));
+  return name => regexes.some(re => re.test(name));
+};
+
+// The environment policy with the system policy's and the user's sections on
+// top of the defaults: lists and pins add up (system pins win), and a system
+// `path` is kept over the user's, which only replaces the default one
+export function resolveEnvironment(user = {}, system = {}) {
+  const allow = [...new Set([...DEFAULT_ENVIRONMENT.allow, ...(system.allow ?? []), ...(user.allow ?? [])])];
+  const deny = [...new Set([...DEFAULT_ENVIRONMENT.deny, ...(system.deny ?? []), ...(user.deny ?? [])])];
+  const settable = [...new Set([...DEFAULT_ENVIRONMENT.settable, ...(system.settable ?? []), ...(user.settable ?? [])])];
+  const listed = matcher(settable);
+  const path = system.path ?? user.path ?? DEFAULT_ENVIRONMENT.path;
+  return {
+    allow,
+    deny,
+    settable,
+    path: path && path.map(dir => pathResolve(expandHome(dir))),
+    pins: { ...user.pins, ...system.pins },
+    allowed: matcher(allow),
+    denied: matcher(deny, 'i'),
+    maySet: name => listed(name) && !PROTECTED_ENV.test(name),
+  };
+}
+
+// The server's variables a command gets, and the names left out
+export function commandEnv(policy, base = process.env) {
+  const env = {}, removed = [];
+  for (const [name, value] of Object.entries(base)) {
+    if (name === 'PATH') continue;
+    if (policy.allowed(name) && !policy.denied(name)) env[name] = value;
+    else removed.push(name);
+  }
+  env.PATH = policy.path ? policy.path.join(delimiter) : base.PATH;
+  return { env, removed };
+}
+
+// Problems with the variables a call asks to set; empty when they may be set
+export function checkEnvOverrides(policy, overrides) {
+  if (overrides === undefined) return [];
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return ['env must be an object of NAME: value'];
+  const problems = [];
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!ENV_NAME.test(name)) problems.push(`invalid variable name ${name}`);
+    else if (PROTECTED_ENV.test(name)) problems.push(`${name} may not be set`);
+    else if (policy.denied(name)) problems.push(`${name} is denied by the environment policy`);
+    else if (!policy.maySet(name)) problems.push(`${name} is not in the environment policy's settable list`);
+    else if (typeof value !== 'string') problems.push(`${name} must be a string`);
+    else if (value.length > MAX_VALUE_CHARS || value.includes('\0')) problems.push(`${name} is too long or contains NUL`);
+  }
+  return problems;
+}
+
+const hashes = new Map();
+
+// SHA-256 of a binary, re-read only when it changes
+export function binaryHash(path) {
+  const stat = statSync(path);
+  const cached = hashes.get(path);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size && cached.ino === stat.ino) return cached.hash;
+  const hash = createHash('sha256').update(readFileSync(path)).digest('hex');
+  hashes.set(path, { mtimeMs: stat.mtimeMs, size: stat.size, ino: stat.ino, hash });
+  return hash;
+}
+
+// Whether `path` matches the pin for its command; true when there is none
+export function pinMatches(path, pin) {
+  if (!pin) return true;
+  try {
+    return [].concat(pin).map(h => h.toLowerCase()).includes(binaryHash(path));
+  } catch {
+    return false;
+  }
+}
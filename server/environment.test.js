@@ -0,0 +1,94 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { PROTECTED_ENV, checkEnvOverrides, resolveEnvironment } from './environment.js';
+import { startServer } from './testing.js';
+
+describe('settable variables', () => {
+  const policy = resolveEnvironment();
+
+  test('only listed names may be set', () => {
+    for (const name of ['NODE_ENV', 'CI', 'LC_ALL', 'GIT_AUTHOR_NAME']) assert.ok(policy.maySet(name), name);
+    for (const name of ['FOO', 'MY_FLAG']) assert.ok(!policy.maySet(name), name);
+  });
+
+  test('variables that run commands are protected', () => {
+    const names = [
+      'PATH', 'LD_PRELOAD', 'HOME', 'GIT_EXTERNAL_DIFF', 'GIT_SSH_COMMAND', 'GIT_SSH', 'GIT_PAGER', 'GIT_EDITOR',
+      'GIT_CONFIG_COUNT', 'GIT_CONFIG_KEY_0', 'GIT_EXEC_PATH', 'PAGER', 'EDITOR', 'VISUAL', 'NODE_OPTIONS',
+      'PYTHONSTARTUP', 'PYTHONPATH', 'PERL5OPT', 'RUBYOPT', 'npm_config_script_shell', 'NPM_CONFIG_USERCONFIG',
+    ];
+    for (const name of names) assert.ok(PROTECTED_ENV.test(name), name);
+  });
+
+  test('a settable entry does not unprotect a variable', () => {
+    const loose = resolveEnvironment({ settable: ['*'] });
+    assert.ok(loose.maySet('FOO'));
+    assert.ok(!loose.maySet('GIT_PAGER'));
+    assert.ok(!loose.maySet('npm_config_registry'));
+  });
+
+  test('checkEnvOverrides names each problem', () => {
+    assert.deepEqual(checkEnvOverrides(policy, { NODE_ENV: 'test' }), []);
+    assert.deepEqual(checkEnvOverrides(policy, { GIT_PAGER: 'sh' }), ['GIT_PAGER may not be set']);
+    assert.deepEqual(checkEnvOverrides(policy, { FOO: '1' }), ["FOO is not in the environment policy's settable list"]);
+  });
+});
+
+describe('setting variables through the server', () => {
+  let server, marker;
+  before(async () => {
+    server = await startServer({ files: { 'x.sh': '#!/bin/sh\ntouch "$(dirname "$0")/ran"\n' } });
+    marker = join(server.work, 'ran');
+  });
+  after(() => server.close());
+
+  test('command prefix', async () => {
+    const res = await server.call('execute_command', { command: 'GIT_EXTERNAL_DIFF=./x.sh git diff' });
+    assert.equal(res.success, false);
+    assert.equal(res.reason.code, 'protected_variable');
+    assert.ok(!existsSync(marker));
+
+    const ok = await server.call('execute_command', { command: 'LC_ALL=C echo hi' });
+    assert.equal(ok.stdout.trim(), 'hi');
+  });
+
+  test('shell variables', async () => {
+    const local = await server.call('execute_command', { command: 'greeting=hi; echo done' });
+    assert.equal(local.success, true);
+    for (const command of ['GIT_PAGER=./x.sh; git log', 'IFS=/; echo', 'HOME=/tmp; git status', 'GIT_DIR=/tmp; git status']) {
+      const res = await server.call('execute_command', { command });
+      assert.equal(res.reason?.code, 'protected_variable', command);
+    }
+  });
+
+  test('env parameter', async () => {
+    const env = { GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'diff.external', GIT_CONFIG_VALUE_0: './x.sh' };
+    const res = await server.call('execute_command', { command: 'git diff', env });
+    assert.equal(res.success, false);
+    assert.equal(res.reason.code, 'env_denied');
+    assert.ok(!existsSync(marker));
+  });
+
+  test('session export', async () => {
+    const { session_id } = await server.call('create_session', {});
+    const res = await server.call('session_exec', { session_id, command: 'export GIT_PAGER=./x.sh' });
+    assert.equal(res.success, false);
+    assert.equal(res.reason.code, 'protected_variable');
+
+    const unlisted = await server.call('session_exec', { session_id, command: 'export FOO=1' });
+    assert.equal(unlisted.reason.code, 'protected_variable');
+
+    const ok = await server.call('session_exec', { session_id, command: 'export NODE_ENV=test' });
+    assert.equal(ok.success, true);
+    assert.deepEqual(ok.session.env, { NODE_ENV: 'test' });
+  });
+});
+
+describe('command PATH', () => {
+  test('the system policy\'s path wins over the user\'s', () => {
+    assert.deepEqual(resolveEnvironment({ path: ['/home/me/bin'] }, { path: ['/usr/bin'] }).path, ['/usr/bin']);
+    assert.deepEqual(resolveEnvironment({ path: ['/home/me/bin'] }, {}).path, ['/home/me/bin']);
+  });
+});
@@ -0,0 +1,219 @@
+/*
+ * File tools
+ * ----------
+ * read_file, write_file, apply_patch, list_directory and search_files work on
+ * files directly instead of through `cat`, redirections and `grep`, so reads
+ * aren't cut down like command output and every path is checked after
+ * resolving symlinks, under the same directory policy as commands. Only text
+ * is handled: files that look binary, and files over the size limit, are
+ * refused. This module has the parts that don't depend on the policy:
+ * decoding, unified diffs, directory walks and globs.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { basename, join, relative } from 'path';
+import { looksBinary } from './output.js';
+
+export const FILE_LIMITS = {
+  maxFileBytes: 10 * 1024 * 1024,      // larger files are refused
+  readBytes: 256 * 1024,               // returned by read_file unless it asks for more
+  maxReadBytes: 2 * 1024 * 1024,
+  maxEntries: 1000,                    // list_directory
+  maxResults: 200,                     // search_files matches
+  maxSearchFiles: 20000,               // files search_files looks at
+  maxSearchLineChars: 2000,            // longer lines are matched up to this
+};
+
+// Not descended into by search_files or recursive listings unless asked for
+export const SKIP_DIRS = ['.git', 'node_modules', '.venv', '__pycache__'];
+
+export class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+export const fileDigest = buf => buf && { bytes: buf.length, sha256: createHash('sha256').update(buf).digest('hex') };
+
+// { text, encoding } for text files, { binary: true } otherwise. Invalid UTF-8
+// is read as Latin-1, which only read_file accepts.
+export function decodeText(buf) {
+  if (looksBinary(buf)) return { binary: true };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buf), encoding: 'utf-8' };
+  } catch {
+    return { text: buf.toString('latin1'), encoding: 'latin1' };
+  }
+}
+
+// Lines `start`..`end` (1-based, inclusive) of `text`, cut at `maxBytes`;
+// `next_line` is where to continue when the range didn't fit
+export function lineRange(text, start = 1, end = Infinity, maxBytes = FILE_LIMITS.readBytes) {
+  const lines = text.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  const first = Math.max(1, Math.floor(start));
+  const last = Math.min(lines.length, Math.floor(end));
+  const kept = [];
+  let bytes = 0, line = first;
+  for (; line <= last; line++) {
+    const size = Buffer.byteLength(lines[line - 1]) + 1;
+    if (bytes + size > maxBytes && kept.length) break;
+    kept.push(lines[line - 1]);
+    bytes += size;
+  }
+  return {
+    content: kept.join('\n'),
+    start_line: first,
+    end_line: first + kept.length - 1,
+    total_lines: lines.length,
+    next_line: line <= last ? line : undefined,
+  };
+}
+
+/* ---- Unified diffs ---- */
+
+// `a/src/x.js` and `b/src/x.js` as git writes them, without a trailing timestamp
+function patchPath(header) {
+  const path = header.replace(/\t.*$/, '').trim();
+  if (path === '/dev/null') return null;
+  return /^[ab]\//.test(path) ? path.slice(2) : path;
+}
+
+// [{ from, to, hunks }] for every file in a unified diff; `from` is null for a
+// new file and `to` null for a deleted one. Hunks end after the lines their
+// header counts, or at the first line that isn't part of a hunk, since
+// hand-written diffs often get the counts wrong.
+export function parsePatch(text) {
+  const files = [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let file = null, hunk = null, last = null;
+  let oldLeft = 0, newLeft = 0;
+  const fileHeader = i => lines[i].startsWith('--- ') && lines[i + 1]?.startsWith('+++ ') && lines[i + 2]?.startsWith('@@');
+  // A hunk cut short keeps no trailing blank lines; they were the gap before whatever came next
+  const endHunk = () => {
+    while (hunk.lines.length && hunk.lines[hunk.lines.length - 1].op === ' ' && hunk.lines[hunk.lines.length - 1].text === '') hunk.lines.pop();
+    hunk = null;
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('\\')) {                              // "\ No newline at end of file" for the line before
+      const previous = last?.lines[last.lines.length - 1]?.op;
+      if (last && previous !== '+') last.noNewline.old = true;
+      if (last && previous !== '-') last.noNewline.new = true;
+      continue;
+    }
+    if (hunk) {
+      const op = line === '' ? ' ' : line[0];                 // editors strip the space of empty context lines
+      if ((op === ' ' || op === '-' || op === '+') && !fileHeader(i)) {
+        hunk.lines.push({ op, text: line.slice(1) });
+        if (op !== '+') oldLeft--;
+        if (op !== '-') newLeft--;
+        if (oldLeft <= 0 && newLeft <= 0) hunk = null;
+        continue;
+      }
+      endHunk();
+    }
+    if (fileHeader(i) || (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ '))) {
+      file = { from: patchPath(line.slice(4)), to: patchPath(lines[++i].slice(4)), hunks: [] };
+      files.push(file);
+      last = null;
+      continue;
+    }
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (header) {
+      if (!file) throw new PatchError(`hunk before any --- / +++ header: ${line}`);
+      hunk = last = { header: header[0], oldStart: Number(header[1]), lines: [], noNewline: { old: false, new: false } };
+      oldLeft = header[2] === undefined ? 1 : Number(header[2]);
+      newLeft = header[4] === undefined ? 1 : Number(header[4]);
+      file.hunks.push(hunk);
+      if (oldLeft <= 0 && newLeft <= 0) hunk = null;
+    }
+    // Anything else (diff --git, index and mode lines, commentary) is skipped
+  }
+  if (hunk) endHunk();
+  if (!files.length) throw new PatchError('no file headers (--- / +++) found');
+  const empty = files.find(f => !f.hunks.some(h => h.lines.length));
+  if (empty) throw new PatchError(`no changes for ${empty.to ?? empty.from}`);
+  return files;
+}
+
+const sameLine = (a, b) => a.replace(/\r$/, '') === b.replace(/\r$/, '');
+
+// `content` with the hunks applied. A hunk whose context has moved is placed
+// at the nearest match after the previous hunk; `offsets` says by how much.
+export function applyHunks(content, hunks, label) {
+  const lines = content === '' ? [] : content.split('\n');
+  let eofNewline = content === '' || content.endsWith('\n');
+  if (eofNewline && lines.length) lines.pop();
+  const crlf = lines.length > 0 && lines.filter(l => l.endsWith('\r')).length > lines.length / 2;
+
+  const offsets = [];
+  let delta = 0, floor = 0;
+  for (const hunk of hunks) {
+    const old = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+    // `-5,0` inserts after line 5
+    const expected = (old.length ? hunk.oldStart - 1 : hunk.oldStart) + delta;
+    const fits = at => at >= floor && at + old.length <= lines.length && old.every((text, k) => sameLine(lines[at + k], text));
+    let at = -1;
+    for (let d = 0; at < 0 && (expected - d >= floor || expected + d <= lines.length); d++) {
+      if (fits(expected - d)) at = expected - d;
+      else if (fits(expected + d)) at = expected + d;
+    }
+    if (at < 0) throw new PatchError(`${label}: hunk ${hunk.header} does not apply`);
+    // Context lines keep the file's own text (and line endings)
+    const replacement = [];
+    let k = at;
+    for (const { op, text } of hunk.lines) {
+      if (op === ' ') replacement.push(lines[k++]);
+      else if (op === '-') k++;
+      else replacement.push(crlf ? `${text}\r` : text);
+    }
+    lines.splice(at, old.length, ...replacement);
+    offsets.push(at - expected);
+    delta += replacement.length - old.length + (at - expected);
+    floor = at + replacement.length;
+    if (hunk.noNewline.new) eofNewline = false;
+    else if (hunk.noNewline.old) eofNewline = true;
+  }
+  const text = lines.join('\n') + (eofNewline && lines.length ? '\n' : '');
+  return { text, offsets };
+}
+
+/* ---- Walking and globs ---- */
+
+// `*` and `?` within a name, `**` across directories. A glob without `/` is
+// matched against the file name, otherwise against the path below the root.
+export function globMatcher(glob) {
+  const source = glob.split('**').map(part => part
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')).join('.*');
+  const re = new RegExp(`^${source}$`);
+  return glob.includes('/') ? rel => re.test(rel) : rel => re.test(basename(rel));
+}
+
+// Entries below `root`, a directory at a time and sorted by name, without
+// following symlinks: { path, rel, dirent, depth }
+export async function* walk(root, { maxDepth = Infinity, hidden = false, skip = SKIP_DIRS } = {}) {
+  const pending = [{ dir: root, depth: 1 }];
+  while (pending.length) {
+    const { dir, depth } = pending.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      continue;                                                  // unreadable or gone
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    const below = [];
+    for (const dirent of entries) {
+      if (!hidden && dirent.name.startsWith('.')) continue;
+      const path = join(dir, dirent.name);
+      yield { path, rel: relative(root, path), dirent, depth };
+      if (dirent.isDirectory() && depth < maxDepth && !skip.includes(dirent.name)) below.push({ dir: path, depth: depth + 1 });
+    }
+    pending.unshift(...below);
+  }
+}
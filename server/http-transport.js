@@ -0,0 +1,265 @@
+/*
+ * HTTP transport
+ * --------------
+ * With TRANSPORT=http the server listens for MCP over HTTP instead of stdio,
+ * so several clients can share one SecureTerminal (its configuration,
+ * sessions, jobs and audit log). Streamable HTTP is served on /mcp and the
+ * older HTTP+SSE transport on /sse and /messages.
+ *
+ * Every request except GET /health must authenticate, with a bearer token
+ * listed (as a SHA-256 hash) in HTTP_TOKENS_FILE or a client certificate
+ * signed by HTTP_TLS_CLIENT_CA; with both configured it needs both. The
+ * token's name or the certificate's CN is the client identity recorded in
+ * the audit log, and an MCP session only accepts requests from the client
+ * that opened it. Requests from browsers must come from HTTP_ALLOWED_ORIGINS.
+ * The server binds to 127.0.0.1 by default and refuses any other address
+ * without TLS.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+import { createServer as createHttpServer } from 'http';
+import { createServer as createHttpsServer } from 'https';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const LOOPBACK = ['127.0.0.1', 'localhost', '::1'];
+const MAX_BODY = '4mb';
+// Failed authentications per address before it has to wait
+const AUTH_FAILURES = { windowMs: 15 * 60 * 1000, max: 20 };
+// Streamable HTTP sessions a client abandoned without DELETE are closed after this
+const STREAM_IDLE_MS = 60 * 60 * 1000;
+
+const list = raw => (raw || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// The HTTP options from the environment; throws when they are unusable
+export function httpOptions(env = process.env) {
+  const host = env.HTTP_HOST || '127.0.0.1';
+  const port = parseInt(env.HTTP_PORT || '8765', 10);
+  if (!(port > 0 && port < 65536)) throw new Error(`Invalid HTTP_PORT ${env.HTTP_PORT}`);
+  const read = (name, variable) => {
+    try {
+      return readFileSync(env[variable]);
+    } catch (e) {
+      throw new Error(`Cannot read ${name} ${env[variable]} (${variable}): ${e.message}`);
+    }
+  };
+  const tls = env.HTTP_TLS_CERT || env.HTTP_TLS_KEY
+    ? { cert: read('certificate', 'HTTP_TLS_CERT'), key: read('key', 'HTTP_TLS_KEY') }
+    : null;
+  const clientCa = env.HTTP_TLS_CLIENT_CA ? read('client CA', 'HTTP_TLS_CLIENT_CA') : null;
+  const tokensFile = env.HTTP_TOKENS_FILE || null;
+
+  if (clientCa && !tls) throw new Error('HTTP_TLS_CLIENT_CA needs HTTP_TLS_CERT and HTTP_TLS_KEY');
+  if (!tokensFile && !clientCa) throw new Error('The HTTP transport needs HTTP_TOKENS_FILE or HTTP_TLS_CLIENT_CA to authenticate clients');
+  if (!LOOPBACK.includes(host) && !tls) throw new Error(`Refusing to listen on ${host} without TLS (set HTTP_TLS_CERT and HTTP_TLS_KEY)`);
+  const tokens = tokensFile ? new TokenFile(tokensFile) : null;
+  tokens?.load();
+
+  const allowedHosts = env.HTTP_ALLOWED_HOSTS ? list(env.HTTP_ALLOWED_HOSTS)
+    : LOOPBACK.includes(host) ? ['localhost', '127.0.0.1', '[::1]'].map(h => `${h}:${port}`)
+    : null;
+  return {
+    host,
+    port,
+    tls,
+    clientCa,
+    tokens,
+    allowedHosts,
+    allowedOrigins: list(env.HTTP_ALLOWED_ORIGINS),
+    rateLimit: parseInt(env.HTTP_RATE_LIMIT, 10) || 600,
+  };
+}
+
+// { "name": "<SHA-256 of the token, hex>" }, re-read when the file changes
+class TokenFile {
+  constructor(path) {
+    this.path = path;
+    this.mtimeMs = null;
+    this.hashes = [];
+  }
+
+  load() {
+    const stat = statSync(this.path);
+    if (stat.mtimeMs === this.mtimeMs) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (e) {
+      throw new Error(`${this.path} is not valid JSON: ${e.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error(`${this.path} must map client names to token hashes`);
+    const hashes = Object.entries(parsed).map(([name, hash]) => {
+      if (!/^[a-zA-Z0-9_.@-]+$/.test(name)) throw new Error(`${this.path}: invalid client name ${name}`);
+      if (typeof hash !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hash)) throw new Error(`${this.path}: ${name} must be a SHA-256 hex digest`);
+      return { name, hash: Buffer.from(hash, 'hex') };
+    });
+    this.hashes = hashes;
+    this.mtimeMs = stat.mtimeMs;
+  }
+
+  // The client name for a presented token, or null
+  identify(token) {
+    this.load();
+    const digest = createHash('sha256').update(token).digest();
+    // Compare against every entry so the time taken doesn't depend on which one matched
+    let found = null;
+    for (const { name, hash } of this.hashes) {
+      if (timingSafeEqual(digest, hash) && !found) found = name;
+    }
+    return found;
+  }
+}
+
+const rpcError = (res, status, message) => res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+
+// Express 4 doesn't catch rejected handlers
+const route = (handler, log) => (req, res) => handler(req, res).catch(e => {
+  log('ERROR', `HTTP ${req.method} ${req.path}: ${e.stack || e.message}`);
+  if (!res.headersSent) rpcError(res, 500, 'Internal server error');
+});
+
+// Sets req.client ({ id, auth }) or answers 401
+function authenticate(options, log) {
+  return (req, res, next) => {
+    let certName = null;
+    if (options.clientCa) {
+      const cert = req.socket.authorized ? req.socket.getPeerCertificate() : null;
+      certName = cert?.subject?.CN ?? null;
+      if (!certName) return rpcError(res, 401, 'A client certificate signed by the configured CA is required');
+    }
+    let tokenName = null;
+    if (options.tokens) {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      try {
+        tokenName = scheme === 'Bearer' && token ? options.tokens.identify(token) : null;
+      } catch (e) {
+        log('ERROR', `Token file: ${e.message}`);
+        return rpcError(res, 500, 'Authentication is misconfigured');
+      }
+      if (!tokenName) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return rpcError(res, 401, 'A valid bearer token is required');
+      }
+    }
+    req.client = tokenName ? { id: tokenName, auth: certName ? 'token+certificate' : 'token' } : { id: certName, auth: 'certificate' };
+    next();
+  };
+}
+
+// Browsers send Origin; anything not explicitly allowed is refused. The Host
+// check keeps DNS rebinding away from a server on localhost.
+function checkOrigin(options) {
+  return (req, res, next) => {
+    if (options.allowedHosts && !options.allowedHosts.includes(req.headers.host)) return rpcError(res, 403, `Host ${req.headers.host} not allowed`);
+    const origin = req.headers.origin;
+    if (origin && !options.allowedOrigins.includes(origin)) return rpcError(res, 403, `Origin ${origin} not allowed`);
+    next();
+  };
+}
+
+// Starts listening; `terminal` is the SecureTerminal every client shares
+export function startHttpServer(terminal, options) {
+  const log = (level, message) => terminal.log(level, message).catch(() => { });
+  const streams = new Map();   // Mcp-Session-Id → { transport, client, seen }
+  const sse = new Map();       // SSE sessionId → { transport, client }
+
+  const app = express();
+  app.disable('x-powered-by');
+  app.use(checkOrigin(options));
+  app.use(cors({
+    origin: options.allowedOrigins,
+    allowedHeaders: ['Content-Type', 'Authorization', 'Mcp-Session-Id', 'Mcp-Protocol-Version', 'Last-Event-ID'],
+    exposedHeaders: ['Mcp-Session-Id'],
+  }));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', version: '1.0.6', uptime_seconds: Math.round(process.uptime()), clients: terminal.connections.size });
+  });
+
+  app.use(rateLimit({ ...AUTH_FAILURES, skipSuccessfulRequests: true, standardHeaders: true, legacyHeaders: false }));
+  app.use(authenticate(options, log));
+  app.use(rateLimit({ windowMs: 60 * 1000, max: options.rateLimit, standardHeaders: true, legacyHeaders: false, keyGenerator: req => req.client.id }));
+  app.use(express.json({ limit: MAX_BODY }));
+
+  // A session belongs to the client that opened it
+  const sessionFor = (sessions, id, req, res) => {
+    const entry = id && sessions.get(id);
+    if (!entry) {
+      rpcError(res, 404, `Unknown or closed session ${id ?? ''}`.trim());
+      return null;
+    }
+    if (entry.client.id !== req.client.id) {
+      log('ERROR', `Client ${req.client.id} tried to use session ${id} of ${entry.client.id}`);
+      rpcError(res, 403, 'Session belongs to another client');
+      return null;
+    }
+    entry.seen = Date.now();
+    return entry;
+  };
+  setInterval(() => {
+    for (const { transport, seen } of streams.values()) {
+      if (Date.now() - seen > STREAM_IDLE_MS) transport.close().catch(() => { });
+    }
+  }, 60 * 1000).unref();
+
+  /* ---- Streamable HTTP ---- */
+  app.post('/mcp', route(async (req, res) => {
+    const id = req.headers['mcp-session-id'];
+    if (id) {
+      const entry = sessionFor(streams, id, req, res);
+      return entry && entry.transport.handleRequest(req, res, req.body);
+    }
+    if (!isInitializeRequest(req.body)) return rpcError(res, 400, 'No Mcp-Session-Id; the first request must be initialize');
+    const client = { ...req.client, transport: 'http' };
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: sessionId => {
+        streams.set(sessionId, { transport, client, seen: Date.now() });
+        log('INFO', `HTTP session ${sessionId} opened by ${client.id}`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) streams.delete(transport.sessionId);
+    };
+    await terminal.connect(client).server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  }, log));
+
+  // GET opens the server-to-client stream, DELETE ends the session
+  const existing = async (req, res) => {
+    const entry = sessionFor(streams, req.headers['mcp-session-id'], req, res);
+    if (entry) await entry.transport.handleRequest(req, res);
+  };
+  app.get('/mcp', route(existing, log));
+  app.delete('/mcp', route(existing, log));
+
+  /* ---- HTTP+SSE (protocol version 2024-11-05) ---- */
+  app.get('/sse', route(async (req, res) => {
+    const client = { ...req.client, transport: 'sse' };
+    const transport = new SSEServerTransport('/messages', res);
+    sse.set(transport.sessionId, { transport, client });
+    res.on('close', () => sse.delete(transport.sessionId));
+    await terminal.connect(client).server.connect(transport);
+  }, log));
+
+  app.post('/messages', route(async (req, res) => {
+    const entry = sessionFor(sse, req.query.sessionId, req, res);
+    if (entry) await entry.transport.handlePostMessage(req, res, req.body);
+  }, log));
+
+  const server = options.tls
+    ? createHttpsServer({ ...options.tls, ca: options.clientCa ?? undefined, requestCert: !!options.clientCa, rejectUnauthorized: false }, app)
+    : createHttpServer(app);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      log('INFO', `Listening on ${options.tls ? 'https' : 'http'}://${options.host}:${options.port}`);
+      resolve(server);
+    });
+  });
+}
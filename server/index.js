@@ -31,16 +31,47 @@ import {
   InitializeRequestSchema,
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ElicitResultSchema,
   ErrorCode,
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 
-import { spawn } from 'child_process';
-import { dirname, join, resolve as pathResolve, sep as pathSep } from 'path';
+import { basename, delimiter, dirname, join, resolve as pathResolve } from 'path';
 import { fileURLToPath } from 'url';
-import { promises as fs } from 'fs';
-import { homedir } from 'os';
+import { promises as fs, readFileSync, statSync, watch } from 'fs';
+import { homedir, tmpdir } from 'os';
+import { randomUUID } from 'crypto';
 import { createRequire } from 'module';
+import { AsyncLocalStorage } from 'async_hooks';
+
+import { assignedNames, expandWord, parseCommand, ShellParseError } from './shell-parser.js';
+import { checkRule, askRule, ruleNetwork, validateRule, describeRule } from './command-rules.js';
+import { canonicalPath, expandGlob, expandHome, isInside, resolveBinary, withSep, writeTargets } from './path-policy.js';
+import { SessionStore, sessionEnv, touchedNames, withStateTrailer, parseState, venvRoot, nvmVersionDir } from './sessions.js';
+import { JobRegistry } from './jobs.js';
+import { ApprovalQueue } from './approvals.js';
+import { AuditLog, AUDIT_VERSION, digest } from './audit-log.js';
+import { HISTORY_KINDS, historyFilter, historyReport, matches, normalize } from './audit-query.js';
+import { BUILTIN_PATTERNS, compileRedactions, redact, redactValue } from './redaction.js';
+import { OutputStore, decodeOutput, stripAnsi, truncateOutput } from './output.js';
+import { SETTINGS, diffSettings, resolveSettings } from './settings.js';
+import { DEFAULT_ENVIRONMENT, PROTECTED_ENV, checkEnvOverrides, commandEnv, pinMatches, resolveEnvironment } from './environment.js';
+import { CONFIG_SECTIONS, CONFIG_VERSION, ConfigError, checkConfigSchema, diffConfigs, mergeConfigs } from './config-schema.js';
+import { NO_SYSTEM_POLICY, ProjectPolicies, checkSystemPolicy, lockedIn, stripLocked, touchesProjectPolicy } from './layers.js';
+import { PROFILE_NAME, autoSelected, diffPolicies, layerOverrides, resolveProfile, validateProfile } from './profiles.js';
+import { terminateTree, reapTree, cpuLimitHit, strictestLimits, validateLimits } from './process-tree.js';
+import { selectSandbox } from './sandbox.js';
+import { DEFAULT_NETWORK, checkNetwork, inspectNetwork, resolveNetwork, validateNetwork } from './network-policy.js';
+import { httpOptions, startHttpServer } from './http-transport.js';
+import { QuotaTracker, quotaMessage } from './quotas.js';
+import { parseStructured, structuredPlan } from './structured-output.js';
+import { FILE_LIMITS, PatchError, SKIP_DIRS, applyHunks, decodeText, fileDigest, globMatcher, lineRange, parsePatch, walk } from './file-tools.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -48,11 +79,62 @@ const require = createRequire(import.meta.url);
 
 // ---------------------------------------------------
 // Config driven by environment variables
+// (directories, timeouts and output limits: see settings.js)
 // ---------------------------------------------------
-const TIMEOUT_MS = (parseInt(process.env.TIMEOUT_SECONDS, 10) || 30) * 1000;
-const MAX_LINES = parseInt(process.env.MAX_OUTPUT_LINES, 10) || 1000;
-const RAW_ALLOWED_DIRS = (process.env.ALLOWED_DIRECTORIES || `${homedir()}/Documents,${homedir()}/Desktop,${homedir()}/Downloads`).split(',');
-const ALLOWED_DIRS = RAW_ALLOWED_DIRS.map(p => pathResolve(p.replace('~', homedir())) + pathSep);
+const OUTPUT_RETAIN_MS = (parseInt(process.env.OUTPUT_RETAIN_MINUTES, 10) || 30) * 60 * 1000;
+const MAX_SESSIONS = 10;
+const JOB_BUFFER_CHARS = 1024 * 1024;
+const JOB_PROGRESS_MS = 2000;
+const MAX_JOBS = 5;
+const MAX_PENDING = 20;
+// Checked before a command or job starts (see quotas.js)
+const COMMAND_QUOTAS = ['maxConcurrentCommands', 'commandsPerMinute', 'cpuSecondsPerHour'];
+// Each call counts towards configChangesPerHour
+const CONFIG_TOOLS = ['allow_command', 'block_command', 'ask_command', 'reset_config', 'import_config', 'create_profile', 'switch_profile', 'delete_profile'];
+const AUDIT_MAX_BYTES = (parseInt(process.env.AUDIT_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+const AUDIT_MAX_AGE_MS = (parseInt(process.env.AUDIT_MAX_AGE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const AUDIT_KEEP_FILES = parseInt(process.env.AUDIT_KEEP_FILES, 10) || 10;
+const RECENT_AUDIT_RECORDS = 50;
+// Changes to terminal-config.json are picked up once it has been quiet this long
+const RELOAD_DEBOUNCE_MS = 200;
+// The administrator's policy file (see layers.js)
+const SYSTEM_POLICY_PATH = process.env.SYSTEM_POLICY_PATH || '/etc/claude-secure-terminal/policy.json';
+
+// The extension manifest supplies the default read-only directories and the MCP prompts
+const MANIFEST = (() => {
+  try {
+    return JSON.parse(readFileSync(join(__dirname, '..', 'manifest.json'), 'utf8'));
+  } catch {
+    return {};
+  }
+})();
+
+// Redirection targets that never touch the filesystem
+const SAFE_DEVICES = ['/dev/null', '/dev/stdin', '/dev/stdout', '/dev/stderr'];
+
+// Shell builtins whose effect a session keeps between calls
+const SESSION_BUILTINS = ['cd', 'export', 'unset'];
+
+// Filters shared by search_command_history and command_history_report
+const HISTORY_FILTER_SCHEMA = {
+  query: { type: 'string', description: 'Text the command line must contain' },
+  command: { type: 'string', description: 'Command name used in any segment (e.g. "git")' },
+  action: { type: 'string', description: 'Audit action, e.g. execute_command, allow_command, import_config' },
+  kind: { type: 'string', enum: HISTORY_KINDS, description: 'Group of actions' },
+  since: { type: 'string', description: 'ISO date or period such as 24h, 7d, 2w' },
+  until: { type: 'string', description: 'ISO date or period' },
+  cwd: { type: 'string', description: 'Only commands run in or below this directory' },
+  session_id: { type: 'string' },
+  client: { type: 'string', description: 'Client identity that made the call (stdio, or a token or certificate name over HTTP)' },
+  decision: { type: 'string', enum: ['allowed', 'denied'] },
+  success: { type: 'boolean' },
+  timeout: { type: 'boolean', description: 'Only commands that did (true) or did not (false) time out' },
+  exit_code: { type: 'number' },
+  include_archives: { type: 'boolean', description: 'Also search rotated audit archives' }
+};
+
+// Commands `sh` runs itself instead of looking them up on PATH
+const SH_BUILTINS = ['cd', 'export', 'unset', 'echo', 'printf', 'pwd', 'test', '[', 'true', 'false', 'read', 'set', 'type', 'command', 'source', '.', 'exit', 'umask', 'ulimit'];
 
 let sdkVer = 'unknown';
 try { sdkVer = require('@modelcontextprotocol/sdk/package.json').version; } catch { }
@@ -62,82 +144,581 @@ class SecureTerminal {
   DEFAULT_ALLOWED = ['ls', 'cat', 'grep', 'find', 'wc', 'file', 'stat', 'ps', 'top', 'df', 'du', 'whoami', 'date', 'which', 'uptime', 'echo', 'git', 'npm', 'pip', 'python3', 'node', 'curl', 'wget', 'tar', 'zip', 'unzip', 'jq'];
   DEFAULT_BLOCKED = ['rm', 'sudo', 'su', 'passwd', 'shutdown', 'reboot', 'mkfs', 'fdisk', 'dd', 'chmod', 'chown', 'mount', 'umount', 'kill', 'killall'];
 
+  // Default resource limits; null means unlimited
+  DEFAULT_LIMITS = { cpuSeconds: null, memoryMb: null, maxOutputBytes: 10 * 1024 * 1024 };
+
+  // Default argument rules for allowed commands (see command-rules.js)
+  DEFAULT_RULES = {
+    git: {
+      valueFlags: ['-C', '-c', '--git-dir', '--work-tree', '--namespace'],
+      deniedFlags: ['--upload-pack', '--receive-pack', '--exec'],
+      deniedArgPatterns: ['^core\\.(sshcommand|pager|editor|fsmonitor|hookspath)', '^(alias|credential)\\.'],
+      askSubcommands: ['push'],
+      subcommands: {
+        push: { deniedFlags: ['--force', '-f', '--force-with-lease', '--mirror', '--delete', '-d'], network: true },
+        ...Object.fromEntries(['clone', 'fetch', 'pull', 'ls-remote', 'submodule'].map(sub => [sub, { network: true }])),
+      },
+    },
+    npm: {
+      // So that `npm --loglevel silent publish` is read as `publish`
+      valueFlags: ['--loglevel', '--registry', '--prefix', '-C', '-w', '--workspace', '--userconfig', '--globalconfig', '--cache', '--tag', '--otp',
+        '--scope', '--access', '--auth-type', '--cafile', '--ca', '--cert', '--key', '--proxy', '--https-proxy', '--noproxy', '--omit', '--include',
+        '--install-strategy', '--location', '--before', '--node-options', '--script-shell', '--shell', '--editor', '--browser', '--viewer'],
+      deniedSubcommands: ['publish', 'unpublish', 'deprecate', 'adduser', 'login', 'logout', 'owner', 'token', 'access', 'dist-tag'],
+      network: true,
+    },
+    // Package managers and downloaders, including those the built-in profiles allow
+    ...Object.fromEntries(['pip', 'pip3', 'uv', 'poetry', 'npx', 'yarn', 'pnpm', 'curl', 'wget'].map(cmd => [cmd, { network: true }])),
+    find: {
+      deniedFlags: ['-exec', '-execdir', '-ok', '-okdir', '-delete', '-fprint', '-fprint0', '-fprintf', '-fls'],
+    },
+    tar: {
+      deniedFlags: ['--to-command', '--use-compress-program', '-I', '--checkpoint-action', '--info-script', '--new-volume-script', '-F', '--rsh-command', '-P', '--absolute-names'],
+    },
+  };
+
+  // Built-in profiles (see profiles.js); a configured profile with the same name replaces one
+  DEFAULT_PROFILES = {
+    'readonly-investigation': {
+      description: 'Look around without changing anything: no writes, package managers, interpreters or downloads; read-only git',
+      blockOverrides: ['npm', 'pip', 'python3', 'node', 'wget', 'tar', 'zip', 'unzip'],
+      commandRules: {
+        git: {
+          valueFlags: ['-C', '-c', '--git-dir', '--work-tree', '--namespace'],
+          deniedFlags: ['--upload-pack', '--receive-pack', '--exec', '--output'],
+          deniedArgPatterns: ['^core\\.(sshcommand|pager|editor|fsmonitor|hookspath)', '^(alias|credential)\\.'],
+          allowedSubcommands: ['status', 'log', 'diff', 'show', 'blame', 'rev-parse', 'ls-files', 'grep', 'describe', 'shortlog'],
+        },
+        curl: {
+          deniedFlags: ['-o', '--output', '-O', '--remote-name', '-T', '--upload-file', '-d', '--data', '--data-binary', '--data-raw', '-F', '--form', '-X', '--request'],
+          network: true,
+        },
+      },
+      readOnly: true,
+    },
+    'node-dev': {
+      description: 'Node.js development: npx, yarn and pnpm, with a longer timeout',
+      allowOverrides: ['npx', 'yarn', 'pnpm'],
+      timeoutSeconds: 120,
+    },
+    'python-dev': {
+      description: 'Python development: pip3, python, pytest, uv and poetry, with a longer timeout',
+      allowOverrides: ['pip3', 'python', 'pytest', 'uv', 'poetry'],
+      timeoutSeconds: 120,
+    },
+    ops: {
+      description: 'Operations: logs, sockets and open files; kill, systemctl and docker after approval',
+      allowOverrides: ['journalctl', 'ss', 'lsof', 'free', 'uname'],
+      askOverrides: ['kill', 'systemctl', 'docker'],
+      timeoutSeconds: 60,
+    },
+  };
+
   constructor() {
-    this.server = new Server({ name: 'claude-secure-terminal', version: '1.0.6' }, { capabilities: { tools: {} } });
-    
-    // Initialize configuration
+    // Initialize configuration; settings come from the environment until the file is read
     this.configPath = join(__dirname, 'terminal-config.json');
-    this.loadConfig();
-
-    // --- Handshake ---
-    this.server.setRequestHandler(InitializeRequestSchema, async () => ({
-      protocolVersion: '2024-11-05',
-      serverInfo: { name: 'claude-secure-terminal', version: '1.0.6' },
-      capabilities: { tools: {} },
-    }));
+    this.configWrite = Promise.resolve();   // see saveConfig
+    this.system = { path: SYSTEM_POLICY_PATH, policy: NO_SYSTEM_POLICY, loaded: false, error: null };
+    this.projects = new ProjectPolicies();
+    this.effective = this.settingsFor({});
+    this.envPolicy = resolveEnvironment();
+    this.networkPolicy = resolveNetwork();
+    this.sandbox = selectSandbox(this.effective.sandbox, this.envPolicy);
 
-    // --- Tool registry ---
-    this.registerTools();
+    // --- Connected clients (see connect) ---
+    this.connections = new Set();
+    this.requestClient = new AsyncLocalStorage();
 
     // --- Logging ---
     this.logPath = join(__dirname, 'terminal-extension.log');
     this.auditPath = join(__dirname, 'command-audit.log');
+    this.auditLog = new AuditLog(this.auditPath, { maxBytes: AUDIT_MAX_BYTES, maxAgeMs: AUDIT_MAX_AGE_MS, keep: AUDIT_KEEP_FILES });
+    this.auditError = null;
     this.log('INFO', `Booting Secure Terminal (SDK ${sdkVer})`).catch(() => { });
 
+    // --- Sessions ---
+    this.sessions = new SessionStore({ idleMs: this.effective.sessionIdleMs, maxSessions: MAX_SESSIONS });
+    setInterval(() => this.expireSessions(), 60 * 1000).unref();
+
+    // --- Full output of truncated results ---
+    this.outputs = new OutputStore({ maxEntries: 20, maxChars: 50 * 1024 * 1024, ttlMs: OUTPUT_RETAIN_MS });
+
+    // --- Background jobs ---
+    this.jobs = new JobRegistry({ maxRunning: MAX_JOBS, maxRetained: 50, bufferSize: JOB_BUFFER_CHARS });
+
+    // --- Quotas (shared by every client) ---
+    this.quotas = new QuotaTracker(this.effective.quotas);
+    // The configuration tool call in progress, for saveConfig to mark as a change
+    this.configCall = new AsyncLocalStorage();
+
+    // --- Approvals ---
+    this.approvals = new ApprovalQueue({ ttlMs: this.effective.approvalTtlMs, maxPending: MAX_PENDING });
+    setInterval(() => this.expireApprovals(), 60 * 1000).unref();
+
+    // --- Policy files (tools are served once this resolves) ---
+    this.ready = this.loadSystemPolicy()
+      .then(() => this.loadConfig())
+      .then(() => this.watchConfig());
+
     this.setupShutdown();
   }
 
+  /* ------------------- Connections -------------------------- */
+  // An MCP server for one client (the stdio client, or one HTTP session), with
+  // every handler run in its context so that audit records and approvals know
+  // who asked. `client` is { id, auth } (see http-transport.js).
+  connect(client) {
+    const capabilities = { tools: {}, prompts: {}, resources: { subscribe: true } };
+    const server = new Server({ name: 'claude-secure-terminal', version: '1.0.6' }, { capabilities });
+    // `approvedKeys`: keys approved for the rest of this connection, outside any session
+    const connection = { client, server, capabilities: {}, info: null, subscriptions: new Set(), approvedKeys: new Set(), since: new Date().toISOString() };
+    const handle = (schema, handler) => server.setRequestHandler(schema, (request, extra) => this.requestClient.run(connection, () => handler(request, extra)));
+
+    // --- Handshake ---
+    handle(InitializeRequestSchema, async ({ params }) => {
+      connection.capabilities = params.capabilities || {};
+      connection.info = params.clientInfo ?? null;
+      return {
+        protocolVersion: '2024-11-05',
+        serverInfo: { name: 'claude-secure-terminal', version: '1.0.6' },
+        capabilities,
+      };
+    });
+
+    // --- Tools, prompts & resources ---
+    this.registerTools(handle);
+    this.registerPrompts(handle);
+    this.registerResources(handle, connection);
+
+    this.connections.add(connection);
+    server.onclose = () => this.connections.delete(connection);
+    return connection;
+  }
+
+  // The connection the current request came in on; null outside a request
+  connection() {
+    return this.requestClient.getStore() ?? null;
+  }
+
+  clientId() {
+    return this.connection()?.client.id ?? null;
+  }
+
   /* ------------------- Configuration Management --------------- */
   async loadConfig() {
+    this.configError = null;
+    let raw;
     try {
-      const configData = await fs.readFile(this.configPath, 'utf8');
-      const config = JSON.parse(configData);
-      this.allowOverrides = config.allowOverrides || [];
-      this.blockOverrides = config.blockOverrides || [];
-      await this.log('INFO', `Loaded config: +${this.allowOverrides.length} -${this.blockOverrides.length} overrides`);
-    } catch {
-      // No config file or invalid - use defaults
-      this.allowOverrides = [];
-      this.blockOverrides = [];
+      raw = await fs.readFile(this.configPath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      // No config file yet - use defaults
+      this.applyConfig(this.checkConfig({ configVersion: CONFIG_VERSION }).sections);
       await this.saveConfig();
       await this.log('INFO', 'Created default configuration');
+      return;
+    }
+
+    try {
+      const { sections, from } = this.checkConfig(this.parseConfigJson(raw));
+      this.applyConfig(sections);
+      this.configText = raw;
+      this.savedSections = JSON.stringify(this.configSections());
+      if (from < CONFIG_VERSION) {
+        const backup = `${this.configPath}.v${from}.bak`;
+        await fs.writeFile(backup, raw);
+        await this.saveConfig();
+        await this.log('INFO', `Migrated config from version ${from} to ${CONFIG_VERSION}; previous file kept as ${backup}`);
+      }
+      await this.log('INFO', `Loaded config: +${this.allowOverrides.length} -${this.blockOverrides.length} overrides`);
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      // Keep the broken file for the user to fix and run with the secure defaults
+      const backup = this.brokenConfigPath();
+      await fs.rename(this.configPath, backup);
+      this.configError = { message: e.message, errors: e.errors, backup, effect: 'Secure defaults are in use', ts: new Date().toISOString() };
+      this.applyConfig(this.checkConfig({ configVersion: CONFIG_VERSION }).sections);
+      await this.saveConfig();
+      await this.log('ERROR', `${e.message}; moved to ${backup}, using secure defaults`);
+    }
+  }
+
+  brokenConfigPath() {
+    return `${this.configPath}.broken-${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+  }
+
+  // Reloads terminal-config.json and the system policy when they are edited
+  // outside the tools
+  watchConfig() {
+    this.configWatcher = this.watchFile(this.configPath, () => this.reloadConfig('watch'), 'the configuration file');
+    this.systemWatcher = this.watchFile(this.system.path, () => this.reloadSystemPolicy('watch'), 'the system policy');
+  }
+
+  // The directory is watched because editors often replace the file rather than write it
+  watchFile(path, reload, label) {
+    let timer = null;
+    let watcher;
+    try {
+      watcher = watch(dirname(path), (event, filename) => {
+        if (filename !== basename(path)) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => reload().catch(() => { }), RELOAD_DEBOUNCE_MS);
+      });
+    } catch (e) {
+      // No /etc/claude-secure-terminal: nothing to watch
+      if (e.code !== 'ENOENT') this.log('WARN', `Not watching ${label}: ${e.message}`).catch(() => { });
+      return null;
+    }
+    watcher.on('error', e => this.log('WARN', `Stopped watching ${label}: ${e.message}`));
+    watcher.unref();
+    return watcher;
+  }
+
+  // The administrator's policy. No file means no system layer; an invalid file
+  // stops the server rather than run without its locks
+  async loadSystemPolicy() {
+    const policy = await this.readSystemPolicy();
+    this.system = { ...this.system, policy: policy ?? NO_SYSTEM_POLICY, loaded: !!policy, error: null };
+    if (policy) await this.log('INFO', `Loaded system policy ${this.system.path}`);
+  }
+
+  // null when there is no file; throws ConfigError when it is invalid
+  async readSystemPolicy() {
+    let text;
+    try {
+      text = await fs.readFile(this.system.path, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new ConfigError('System policy is not valid JSON', [e.message]);
+    }
+    return checkSystemPolicy(raw);
+  }
+
+  // Like reloadConfig: an invalid system policy leaves the previous one in use.
+  // The watcher ignores a missing file since editors may remove it while saving;
+  // reload_config applies the removal. Returns the settings it changed, or null
+  async reloadSystemPolicy(source) {
+    let policy;
+    try {
+      policy = await this.readSystemPolicy();
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      this.system.error = { message: e.message, errors: e.errors, effect: 'The previous system policy stays in use', ts: new Date().toISOString() };
+      await this.audit({ ts: new Date().toISOString(), action: 'reload_config', layer: 'system', source, error: e.message, success: false });
+      await this.log('ERROR', `${e.message}; keeping the previous system policy`);
+      await this.resourcesChanged('terminal://status');
+      throw e;
+    }
+    if (!policy && source === 'watch') return null;
+    const unchanged = JSON.stringify(policy ?? NO_SYSTEM_POLICY) === JSON.stringify(this.system.policy);
+    this.system = { ...this.system, policy: policy ?? NO_SYSTEM_POLICY, loaded: !!policy, error: null };
+    if (unchanged) return null;
+
+    const oldEffective = this.effective;
+    this.applyConfig(this.configSections());
+    const settings = diffSettings(oldEffective, this.effective);
+    await this.audit({ ts: new Date().toISOString(), action: 'reload_config', layer: 'system', source, loaded: !!policy, settings, success: true });
+    await this.log('INFO', `System policy ${policy ? 'reloaded' : 'removed'} (${source})`);
+    await this.resourcesChanged('terminal://config', 'terminal://status');
+    return settings;
+  }
+
+  // Re-reads terminal-config.json. Nothing changes unless the whole file is
+  // valid; an invalid file is copied to a backup, reported and thrown
+  async reloadConfig(source) {
+    let text;
+    try {
+      text = await fs.readFile(this.configPath, 'utf8');
+    } catch (e) {
+      // Editors may remove the file for a moment while saving
+      if (e.code === 'ENOENT' && source === 'watch') return null;
+      throw e;
+    }
+    // The watcher also sees the server's own writes
+    if (source === 'watch' && text === this.configText) return null;
+    this.configText = text;
+
+    try {
+      const { sections, from } = this.checkConfig(this.parseConfigJson(text));
+      const oldConfig = this.configSections();
+      const oldEffective = this.effective;
+      this.applyConfig(sections);
+      this.savedSections = JSON.stringify(this.configSections());
+      this.configError = null;
+      const changes = diffConfigs(oldConfig, sections);
+      const settings = diffSettings(oldEffective, this.effective);
+      if (settings.length) changes.settings = settings;
+      const migratedFrom = from < CONFIG_VERSION ? from : undefined;
+      if (migratedFrom) {
+        await fs.writeFile(`${this.configPath}.v${from}.bak`, text);
+        await this.saveConfig();
+      } else {
+        await this.resourcesChanged('terminal://config', 'terminal://status');
+      }
+      await this.audit({ ts: new Date().toISOString(), action: 'reload_config', source, migratedFrom, changes, success: true });
+      await this.log('INFO', `Configuration reloaded (${source})`);
+      return { changes, migratedFrom };
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      const backup = this.brokenConfigPath();
+      await fs.writeFile(backup, text);
+      this.configError = { message: e.message, errors: e.errors, backup, effect: 'The previous configuration stays in use', ts: new Date().toISOString() };
+      await this.audit({ ts: new Date().toISOString(), action: 'reload_config', source, error: e.message, success: false });
+      await this.log('ERROR', `${e.message}; copied to ${backup}, keeping the previous configuration`);
+      await this.resourcesChanged('terminal://status');
+      throw e;
+    }
+  }
+
+  parseConfigJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new ConfigError('Configuration is not valid JSON', [e.message]);
+    }
+  }
+
+  // Migrates and validates a parsed config; throws ConfigError. `sections` has
+  // every section of CONFIG_SECTIONS, `from` the version the config was at
+  checkConfig(config) {
+    const { config: checked, from } = checkConfigSchema(config);
+    try {
+      for (const [cmd, rule] of Object.entries(checked.commandRules)) validateRule(rule, `commandRules.${cmd}`);
+      this.checkResourceLimits(checked.resourceLimits);
+      compileRedactions(checked.redactPatterns);
+      this.checkProfiles(checked.profiles, checked.activeProfile);
+      validateNetwork(checked.network);
+    } catch (e) {
+      throw new ConfigError('Invalid configuration', [e.message]);
     }
+    return { sections: Object.fromEntries(CONFIG_SECTIONS.map(key => [key, checked[key]])), from };
+  }
+
+  configSections() {
+    return Object.fromEntries(CONFIG_SECTIONS.map(key => [key, this[key]]));
+  }
+
+  settingsFor(section) {
+    const { settings, locked } = this.system.policy;
+    return resolveSettings(section, {
+      manifestReadOnly: MANIFEST.permissions?.filesystem?.readOnly ?? [],
+      system: settings,
+      locked: locked.settings
+    });
+  }
+
+  applyConfig(sections) {
+    const effective = this.settingsFor(sections.settings);
+    for (const key of CONFIG_SECTIONS) this[key] = sections[key];
+    this.redactions = compileRedactions([...this.system.policy.redactPatterns, ...this.redactPatterns]);
+    this.envPolicy = resolveEnvironment(this.environment, this.system.policy.environment);
+    this.networkPolicy = resolveNetwork(this.network, this.system.policy.network);
+    this.effective = effective;
+    this.sandbox = selectSandbox(effective.sandbox, this.envPolicy);
+    // The stores read these on every check
+    this.sessions.idleMs = effective.sessionIdleMs;
+    this.approvals.ttlMs = effective.approvalTtlMs;
+    this.quotas.limits = effective.quotas;
   }
 
   async saveConfig() {
+    const sections = this.configSections();
+    // What counts against configChangesPerHour: a save that differs from the last one
+    const saved = JSON.stringify(sections);
+    if (saved !== this.savedSections) {
+      this.savedSections = saved;
+      const call = this.configCall.getStore();
+      if (call) call.changed = true;
+    }
     const config = {
       version: '1.0.6',
-      allowOverrides: this.allowOverrides,
-      blockOverrides: this.blockOverrides,
+      configVersion: CONFIG_VERSION,
+      ...sections,
       lastModified: new Date().toISOString()
     };
-    await fs.writeFile(this.configPath, JSON.stringify(config, null, 2));
+    this.configText = JSON.stringify(config, null, 2);
+    // Write and rename so the watcher (or an editor) never reads a half-written
+    // file; one save at a time, each writing the latest text, so overlapping
+    // calls don't share the .tmp file and the watcher only sees our own text
+    const write = this.configWrite.then(async () => {
+      await fs.writeFile(`${this.configPath}.tmp`, this.configText);
+      await fs.rename(`${this.configPath}.tmp`, this.configPath);
+    });
+    this.configWrite = write.catch(() => { });
+    await write;
     await this.log('INFO', 'Configuration saved');
+    await this.resourcesChanged('terminal://config', 'terminal://status');
+  }
+
+  // The user's configuration and a profile without the commands the system policy locks
+  unlockedLayers(profile) {
+    const locked = this.system.policy.locked.commands;
+    return [stripLocked(this.configSections(), locked), stripLocked(profile, locked)];
+  }
+
+  // Overrides layered system < user < profile < project (see layers.js)
+  overrides(profile, project = null) {
+    const { allowOverrides, blockOverrides, askOverrides } = this.system.policy;
+    const [user, unlockedProfile] = this.unlockedLayers(profile);
+    const lists = layerOverrides(layerOverrides({ allow: allowOverrides, block: blockOverrides, ask: askOverrides }, user), unlockedProfile);
+    if (!project?.policy) return lists;
+    // The project only tightens: approval is only required of commands that would run without it
+    const allowed = [...this.DEFAULT_ALLOWED.filter(cmd => !lists.block.includes(cmd) && !lists.ask.includes(cmd)), ...lists.allow];
+    return layerOverrides(lists, {
+      blockOverrides: project.policy.blockOverrides,
+      askOverrides: project.policy.askOverrides.filter(cmd => allowed.includes(cmd))
+    });
   }
 
-  getCurrentAllowed() {
-    // Start with defaults, remove blocked overrides, add allowed overrides
+  getCurrentAllowed(profile = null, project = null) {
+    // Start with defaults, remove blocked and ask overrides, add allowed overrides
+    const { allow, block, ask } = this.overrides(profile, project);
     let allowed = [...this.DEFAULT_ALLOWED];
-    allowed = allowed.filter(cmd => !this.blockOverrides.includes(cmd));
-    this.allowOverrides.forEach(cmd => {
+    allowed = allowed.filter(cmd => !block.includes(cmd) && !ask.includes(cmd));
+    allow.forEach(cmd => {
       if (!allowed.includes(cmd)) allowed.push(cmd);
     });
     return allowed;
   }
 
-  getCurrentBlocked() {
-    // Start with defaults, remove allowed overrides, add blocked overrides
+  getCurrentBlocked(profile = null, project = null) {
+    // Start with defaults, remove allowed and ask overrides, add blocked overrides
+    const { allow, block, ask } = this.overrides(profile, project);
     let blocked = [...this.DEFAULT_BLOCKED];
-    blocked = blocked.filter(cmd => !this.allowOverrides.includes(cmd));
-    this.blockOverrides.forEach(cmd => {
+    blocked = blocked.filter(cmd => !allow.includes(cmd) && !ask.includes(cmd));
+    block.forEach(cmd => {
       if (!blocked.includes(cmd)) blocked.push(cmd);
     });
     return blocked;
   }
 
+  // Commands that run only after the user approves them
+  getCurrentAsk(profile = null, project = null) {
+    return this.overrides(profile, project).ask;
+  }
+
+  // Each layer's rule replaces the one below for the same command. A project's
+  // rules are not in here: validate checks them on top of these
+  getCurrentRules(profile = null) {
+    const [user, unlockedProfile] = this.unlockedLayers(profile);
+    return { ...this.DEFAULT_RULES, ...this.system.policy.commandRules, ...user.commandRules, ...unlockedProfile?.commandRules };
+  }
+
+  // Built-in and configured profiles by name, with resolved directories
+  getProfiles() {
+    const all = { ...this.DEFAULT_PROFILES, ...this.profiles };
+    return Object.fromEntries(Object.entries(all).map(([name, p]) => [name, resolveProfile(name, p, !(name in this.profiles))]));
+  }
+
+  // The profile for commands run in `cwd`: an autoSelect match, else the active profile
+  profileFor(cwd) {
+    const profiles = this.getProfiles();
+    return autoSelected(Object.values(profiles), cwd) ?? profiles[this.activeProfile] ?? null;
+  }
+
+  // The project policy for commands run in `cwd`: null, { path, policy } or { path, error }
+  projectFor(cwd) {
+    return this.projects.find(cwd, this.effective.allowedDirs);
+  }
+
+  timeoutFor(profile) {
+    return profile?.timeoutSeconds ? profile.timeoutSeconds * 1000 : this.effective.timeoutMs;
+  }
+
+  // What a profile (or null for none) lets commands do, as diff_profiles compares it
+  effectivePolicy(profile) {
+    return {
+      allowed: this.getCurrentAllowed(profile),
+      blocked: this.getCurrentBlocked(profile),
+      ask: this.getCurrentAsk(profile),
+      rules: this.getCurrentRules(profile),
+      timeout_seconds: this.timeoutFor(profile) / 1000,
+      allowed_directories: profile?.dirs ?? this.effective.allowedDirs,
+      read_only: !!profile?.readOnly
+    };
+  }
+
+  // Throws unless every profile is valid and the active one exists
+  checkProfiles(profiles, active) {
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) throw new Error('profiles must be an object');
+    for (const [name, profile] of Object.entries(profiles)) {
+      if (!PROFILE_NAME.test(name)) throw new Error(`Invalid profile name: ${name}`);
+      validateProfile(profile, `profiles.${name}`);
+    }
+    if (active !== null && !(active in profiles) && !(active in this.DEFAULT_PROFILES)) throw new Error(`activeProfile: unknown profile ${active}`);
+  }
+
+  // Per-command limits override the defaults key by key; a pipeline gets the
+  // strictest limits of all its commands since they share one process group.
+  // The system policy's and the project's limits are ceilings on top
+  limitsFor(command, project = null) {
+    let names;
+    try {
+      names = parseCommand(command).map(seg => seg.base).filter(Boolean);
+    } catch {
+      names = [];
+    }
+    const layer = ({ default: defaults = {}, commands = {} }, base = {}) => {
+      const fallback = { ...base, ...defaults };
+      return [fallback, ...names.map(name => ({ ...fallback, ...commands[name] }))];
+    };
+    return strictestLimits(
+      ...layer(this.resourceLimits, this.DEFAULT_LIMITS),
+      ...layer(this.system.policy.resourceLimits),
+      ...layer(project?.policy?.resourceLimits ?? {})
+    );
+  }
+
+  // What a sandboxed run of `command` may see: the profile's allowed
+  // directories (read-only where configured), the project policy files kept
+  // read-only, the PATH's toolchains, and the network when any of its commands'
+  // rules allows it and the project's rule doesn't refuse it
+  sandboxFor(command, { profile = null, project = null, env = this.envFor(), writable = [] } = {}) {
+    let segments;
+    try {
+      segments = parseCommand(command).filter(seg => seg.base);
+    } catch {
+      segments = [];
+    }
+    const rules = this.getCurrentRules(profile);
+    const projectRules = project?.policy?.commandRules ?? {};
+    const network = segments.some(({ base, args }) => rules[base] && ruleNetwork(rules[base], args) === true
+      && !(projectRules[base] && ruleNetwork(projectRules[base], args) === false));
+    const bare = dir => dir.length > 1 ? dir.replace(/\/$/, '') : dir;
+    // Where a profile narrows the allowed directories, whichever of the two is inside the other
+    const { allowedDirs } = this.effective;
+    const dirs = (profile?.dirs
+      ? [...profile.dirs.filter(dir => allowedDirs.some(a => isInside(dir, a))), ...allowedDirs.filter(a => profile.dirs.some(dir => isInside(a, dir)))]
+      : allowedDirs).map(bare);
+    const readOnly = this.effective.readOnlyDirs.filter(dir => this.dirAllowed(dir, profile)).map(bare);
+    return {
+      network,
+      writable: profile?.readOnly ? writable : [...new Set(dirs), ...writable],
+      readOnly: profile?.readOnly ? [...new Set([...dirs, ...readOnly])] : readOnly,
+      protect: [...new Set([...this.projects.known(), ...(project ? [project.path] : [])])],
+      toolchain: (env.PATH ?? '').split(delimiter).filter(Boolean)
+    };
+  }
+
+  // Throws unless `limits` is { default?: {...}, commands?: { name: {...} } }
+  checkResourceLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) throw new Error('resourceLimits must be an object');
+    for (const key of Object.keys(limits)) {
+      if (key !== 'default' && key !== 'commands') throw new Error(`resourceLimits: unknown key ${key}`);
+    }
+    if (limits.default !== undefined) validateLimits(limits.default, 'resourceLimits.default');
+    for (const [cmd, set] of Object.entries(limits.commands || {})) validateLimits(set, `resourceLimits.commands.${cmd}`);
+  }
+
   /* ------------------- Tool meta & handlers ------------------- */
-  registerTools() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  registerTools(handle) {
+    handle(ListToolsRequestSchema, async () => ({
       tools: [
         // Core execution tools
         { 
@@ -147,11 +728,42 @@ class SecureTerminal {
             type: 'object', 
             properties: { 
               command: { type: 'string' }, 
-              working_directory: { type: 'string' } 
+              working_directory: { type: 'string', description: 'Must be inside an allowed directory; defaults to the configured default working directory' }, 
+              env: { type: 'object', additionalProperties: { type: 'string' }, description: 'Variables to set for this command; PATH, loader variables and names the environment policy denies are refused' }, 
+              dry_run: { type: 'boolean', description: 'Explain what would happen instead of running (same as explain_command)' }, 
+              format: { type: 'string', enum: ['text', 'json'], description: '"json" also returns parsed records for ps, df, du, ls -l, stat, uptime and git status, run with stable flags; other commands return text only' } 
+            }, 
+            required: ['command'] 
+          } 
+        },
+        { 
+          name: 'explain_command', 
+          description: 'Show how a command would be parsed, resolved and checked, without running it', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              command: { type: 'string' }, 
+              working_directory: { type: 'string' }, 
+              session_id: { type: 'string', description: 'Explain as session_exec would run it in this session' }, 
+              env: { type: 'object', additionalProperties: { type: 'string' }, description: 'Variables the command would be run with, as for execute_command' } 
             }, 
             required: ['command'] 
           } 
         },
+        { 
+          name: 'read_output', 
+          description: 'Page through the full output of a truncated result by its output_handle', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              output_handle: { type: 'string' }, 
+              stream: { type: 'string', enum: ['stdout', 'stderr'], description: 'Default stdout' }, 
+              line: { type: 'number', description: 'First line to return, 1-based (default 1); pass next_line back to continue' }, 
+              lines: { type: 'number', description: 'Number of lines (default 200, max 2000)' } 
+            }, 
+            required: ['output_handle'] 
+          } 
+        },
         { 
           name: 'list_allowed_commands', 
           description: 'List current allow/block lists with override indicators', 
@@ -164,176 +776,1795 @@ class SecureTerminal {
         },
         { 
           name: 'search_command_history', 
-          description: 'Search audit log', 
+          description: 'Search the audit log by time, command, directory, outcome or action; newest first', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              ...HISTORY_FILTER_SCHEMA, 
+              limit: { type: 'number', description: 'Maximum records to return (default 20)' } 
+            } 
+          } 
+        },
+        { 
+          name: 'command_history_report', 
+          description: 'Summarise the audit log: top commands, failure rates, slowest commands, refusals and config changes', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              ...HISTORY_FILTER_SCHEMA, 
+              top: { type: 'number', description: 'Rows per list (default 10)' } 
+            } 
+          } 
+        },
+        { 
+          name: 'verify_audit_log', 
+          description: 'Check the audit log hash chain for modified, reordered or missing records', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              include_archives: { type: 'boolean', description: 'Also verify the rotated archives and the links between them' } 
+            } 
+          } 
+        },
+        
+        // Session tools
+        { 
+          name: 'create_session', 
+          description: 'Create a persistent session that keeps the working directory and exported variables between commands', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              working_directory: { type: 'string', description: 'Initial directory; must be inside an allowed directory' }, 
+              name: { type: 'string', description: 'Optional label for the session' } 
+            } 
+          } 
+        },
+        { 
+          name: 'session_exec', 
+          description: 'Execute a command in a session; cd, export, unset, source <venv>/bin/activate, deactivate and nvm use persist', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              session_id: { type: 'string' }, 
+              command: { type: 'string' } 
+            }, 
+            required: ['session_id', 'command'] 
+          } 
+        },
+        { 
+          name: 'list_sessions', 
+          description: 'List open sessions with their working directory, environment and idle expiry', 
+          inputSchema: { type: 'object', properties: {} } 
+        },
+        { 
+          name: 'close_session', 
+          description: 'Close a session and discard its state', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              session_id: { type: 'string' } 
+            }, 
+            required: ['session_id'] 
+          } 
+        },
+ 
+        // File tools
+        { 
+          name: 'read_file', 
+          description: 'Read a text file, whole or by line range; binary files and files over 10 MB are refused', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              path: { type: 'string', description: 'Absolute, ~/ or relative to the default working directory; must be inside an allowed directory' }, 
+              start_line: { type: 'number', description: 'First line, 1-based (default 1)' }, 
+              end_line: { type: 'number', description: 'Last line, inclusive (default: end of file)' }, 
+              max_bytes: { type: 'number', description: `Most bytes to return (default ${FILE_LIMITS.readBytes / 1024} KB, max ${FILE_LIMITS.maxReadBytes / 1024 / 1024} MB); pass next_line back as start_line to continue` } 
+            }, 
+            required: ['path'] 
+          } 
+        },
+        { 
+          name: 'write_file', 
+          description: 'Create or replace a text file in a writable directory', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              path: { type: 'string' }, 
+              content: { type: 'string' }, 
+              expected_sha256: { type: 'string', description: 'Only write if the file still has this hash (from read_file); use "" to require that it does not exist' }, 
+              create_directories: { type: 'boolean', description: 'Create missing parent directories (default false)' } 
+            }, 
+            required: ['path', 'content'] 
+          } 
+        },
+        { 
+          name: 'apply_patch', 
+          description: 'Apply a unified diff to one or more text files; nothing is written unless every hunk applies', 
           inputSchema: { 
             type: 'object', 
             properties: { 
-              query: { type: 'string' }, 
-              limit: { type: 'number' } 
+              patch: { type: 'string', description: 'Unified diff (diff -u or git diff); /dev/null as the old file creates one' }, 
+              working_directory: { type: 'string', description: 'Directory the paths in the diff are relative to (default: the default working directory)' } 
             }, 
-            required: ['query'] 
+            required: ['patch'] 
+          } 
+        },
+        { 
+          name: 'list_directory', 
+          description: 'List a directory with entry types, sizes, modes and modification times', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              path: { type: 'string', description: 'Default: the default working directory' }, 
+              depth: { type: 'number', description: `Levels to descend (default 1, max 5); ${SKIP_DIRS.join(', ')} are listed but not entered` }, 
+              include_hidden: { type: 'boolean', description: 'Include dotfiles (default false)' } 
+            } 
+          } 
+        },
+        { 
+          name: 'search_files', 
+          description: 'Find files by name glob and/or lines matching a regular expression below a directory', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              pattern: { type: 'string', description: 'Regular expression matched against each line' }, 
+              glob: { type: 'string', description: 'File name glob (*.js), or a path glob below the directory (src/**/*.ts)' }, 
+              path: { type: 'string', description: 'Directory to search (default: the default working directory)' }, 
+              case_sensitive: { type: 'boolean', description: 'Default false' }, 
+              include_hidden: { type: 'boolean', description: `Include dotfiles and ${SKIP_DIRS.join(', ')} (default false)` }, 
+              max_results: { type: 'number', description: `Default and maximum ${FILE_LIMITS.maxResults}` } 
+            } 
           } 
         },
         
-        // Configuration management tools
+        // Background job tools
         { 
-          name: 'allow_command', 
-          description: 'Allow a specific command (even if blocked by default)', 
+          name: 'start_job', 
+          description: 'Start a long-running command in the background and return a job id', 
           inputSchema: { 
             type: 'object', 
             properties: { 
-              command: { type: 'string', description: 'Command to allow (e.g., "rm", "sudo")' } 
+              command: { type: 'string' }, 
+              working_directory: { type: 'string' }, 
+              session_id: { type: 'string', description: 'Run with the cwd and environment of this session' }, 
+              timeout_seconds: { type: 'number', description: `Defaults to ${this.effective.jobTimeoutMs / 1000}; at most ${this.effective.jobMaxTimeoutMs / 1000}` } 
             }, 
             required: ['command'] 
           } 
         },
         { 
-          name: 'block_command', 
-          description: 'Block a specific command (even if allowed by default)', 
+          name: 'get_job_output', 
+          description: 'Read job output from a cursor; pass next_offset back to continue', 
           inputSchema: { 
             type: 'object', 
             properties: { 
-              command: { type: 'string', description: 'Command to block (e.g., "curl", "wget")' } 
+              job_id: { type: 'string' }, 
+              offset: { type: 'number', description: 'Character offset to read from (default 0)' }, 
+              limit: { type: 'number', description: 'Maximum characters to return (default 20000)' } 
             }, 
-            required: ['command'] 
+            required: ['job_id'] 
           } 
         },
         { 
-          name: 'view_config', 
-          description: 'View current command configuration with detailed breakdown', 
-          inputSchema: { type: 'object', properties: {} } 
+          name: 'job_status', 
+          description: 'Status of one job, or of all jobs when job_id is omitted', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              job_id: { type: 'string' } 
+            } 
+          } 
         },
         { 
-          name: 'reset_config', 
-          description: 'Reset all command overrides to secure defaults', 
+          name: 'cancel_job', 
+          description: 'Stop a running job', 
           inputSchema: { 
             type: 'object', 
             properties: { 
-              confirm: { type: 'boolean', description: 'Must be true to confirm reset' } 
+              job_id: { type: 'string' } 
             }, 
-            required: ['confirm'] 
+            required: ['job_id'] 
           } 
         },
+        
+        // Approval tools
         { 
-          name: 'export_config', 
-          description: 'Export current configuration as JSON', 
-          inputSchema: { type: 'object', properties: {} } 
+          name: 'approve_pending', 
+          description: 'Run a command that is waiting for approval; only call this after the user has approved it', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              pending_id: { type: 'string' }, 
+              scope: { type: 'string', enum: ['once', 'session'], description: 'once (default) or session: stop asking for the same approval until the session ends' } 
+            }, 
+            required: ['pending_id'] 
+          } 
         },
         { 
-          name: 'import_config', 
-          description: 'Import configuration from JSON', 
+          name: 'deny_pending', 
+          description: 'Discard a command that is waiting for approval', 
           inputSchema: { 
             type: 'object', 
             properties: { 
-              config: { type: 'string', description: 'JSON configuration to import' } 
+              pending_id: { type: 'string' }, 
+              reason: { type: 'string' } 
             }, 
-            required: ['config'] 
+            required: ['pending_id'] 
           } 
         },
-      ],
-    }));
-
-    this.server.setRequestHandler(CallToolRequestSchema, async ({ params }) => {
-      const { name, arguments: args } = params;
-      switch (name) {
-        // Core tools
-        case 'execute_command': return this.execute(args.command, args.working_directory);
-        case 'list_allowed_commands': return this.listAllowed();
-        case 'get_terminal_status': return this.status();
-        case 'search_command_history': return this.history(args.query, args.limit);
-        
-        // Configuration tools
-        case 'allow_command': return this.allowCommand(args.command);
-        case 'block_command': return this.blockCommand(args.command);
-        case 'view_config': return this.viewConfig();
-        case 'reset_config': return this.resetConfig(args.confirm);
-        case 'export_config': return this.exportConfig();
-        case 'import_config': return this.importConfig(args.config);
         
-        default: throw new McpError(ErrorCode.MethodNotFound, `Unknown tool ${name}`);
-      }
+        // Configuration management tools
+        { 
+          name: 'allow_command', 
+          description: 'Allow a specific command (even if blocked by default), or lift one of its argument rules', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              command: { type: 'string', description: 'Command to allow (e.g., "rm", "sudo")' },
+              subcommand: { type: 'string', description: 'Allow only this subcommand rule (e.g., "push" for git)' },
+              flag: { type: 'string', description: 'Remove a denied flag (e.g., "--force"); scoped to subcommand if given' },
+              pattern: { type: 'string', description: 'Remove a denied argument regex; scoped to subcommand if given' }
+            }, 
+            required: ['command'] 
+          } 
+        },
+        { 
+          name: 'block_command', 
+          description: 'Block a specific command (even if allowed by default), or add an argument rule to it', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              command: { type: 'string', description: 'Command to block (e.g., "curl", "wget")' },
+              subcommand: { type: 'string', description: 'Block only this subcommand (e.g., "publish" for npm)' },
+              flag: { type: 'string', description: 'Deny a flag (e.g., "-exec", "--force"); scoped to subcommand if given' },
+              pattern: { type: 'string', description: 'Deny arguments matching this regex; scoped to subcommand if given' }
+            }, 
+            required: ['command'] 
+          } 
+        },
+        { 
+          name: 'ask_command', 
+          description: 'Require user approval before a command runs, or before a subcommand/flag/argument pattern of it', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              command: { type: 'string', description: 'Command to ask about (e.g., "rm")' },
+              subcommand: { type: 'string', description: 'Ask only for this subcommand (e.g., "push" for git)' },
+              flag: { type: 'string', description: 'Ask for a flag (e.g., "--force"); scoped to subcommand if given' },
+              pattern: { type: 'string', description: 'Ask for arguments matching this regex; scoped to subcommand if given' }
+            }, 
+            required: ['command'] 
+          } 
+        },
+        { 
+          name: 'view_config', 
+          description: 'View current command configuration with detailed breakdown', 
+          inputSchema: { type: 'object', properties: {} } 
+        },
+        { 
+          name: 'reset_config', 
+          description: 'Reset all command overrides to secure defaults', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              confirm: { type: 'boolean', description: 'Must be true to confirm reset' } 
+            }, 
+            required: ['confirm'] 
+          } 
+        },
+        { 
+          name: 'reload_config', 
+          description: 'Re-read terminal-config.json and the system policy after editing them (they are also reloaded automatically); an invalid file leaves the current configuration in place', 
+          inputSchema: { type: 'object', properties: {} } 
+        },
+        { 
+          name: 'export_config', 
+          description: 'Export current configuration as JSON', 
+          inputSchema: { type: 'object', properties: {} } 
+        },
+        { 
+          name: 'import_config', 
+          description: 'Import configuration from JSON, replacing or merging with the current one', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              config: { type: 'string', description: 'JSON configuration to import' }, 
+              mode: { type: 'string', enum: ['replace', 'merge'], description: 'replace (default) swaps the whole configuration; merge adds the given sections to the current one' }, 
+              preview: { type: 'boolean', description: 'Only show what would change' } 
+            }, 
+            required: ['config'] 
+          } 
+        },
+        
+        // Profile tools
+        { 
+          name: 'list_profiles', 
+          description: 'List policy profiles, the active one and which one applies where', 
+          inputSchema: { type: 'object', properties: {} } 
+        },
+        { 
+          name: 'create_profile', 
+          description: 'Create or replace a named policy profile layered over the global configuration', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              name: { type: 'string' }, 
+              description: { type: 'string' }, 
+              based_on: { type: 'string', description: 'Start from a copy of this profile' }, 
+              allow: { type: 'array', items: { type: 'string' }, description: 'Commands to allow' }, 
+              block: { type: 'array', items: { type: 'string' }, description: 'Commands to block' }, 
+              ask: { type: 'array', items: { type: 'string' }, description: 'Commands that need approval' }, 
+              command_rules: { type: 'object', description: 'Argument rules by command, as in commandRules' }, 
+              timeout_seconds: { type: 'number' }, 
+              allowed_directories: { type: 'array', items: { type: 'string' }, description: 'Narrow the allowed directories to these' }, 
+              auto_select: { type: 'array', items: { type: 'string' }, description: 'Use this profile automatically for commands run in these directories' }, 
+              read_only: { type: 'boolean', description: 'Refuse all writes' }, 
+              replace: { type: 'boolean', description: 'Required to overwrite an existing profile' } 
+            }, 
+            required: ['name'] 
+          } 
+        },
+        { 
+          name: 'switch_profile', 
+          description: 'Make a profile active where no autoSelect directory matches; "none" for no profile', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              name: { type: 'string' } 
+            }, 
+            required: ['name'] 
+          } 
+        },
+        { 
+          name: 'diff_profiles', 
+          description: 'Show what changes between two profiles ("none" for no profile)', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              from: { type: 'string', description: 'Defaults to the active profile' }, 
+              to: { type: 'string' } 
+            }, 
+            required: ['to'] 
+          } 
+        },
+        { 
+          name: 'delete_profile', 
+          description: 'Delete a configured profile', 
+          inputSchema: { 
+            type: 'object', 
+            properties: { 
+              name: { type: 'string' } 
+            }, 
+            required: ['name'] 
+          } 
+        },
+      ],
+    }));
+
+    handle(CallToolRequestSchema, async ({ params }) => {
+      const { name, arguments: args = {} } = params;
+      if (!CONFIG_TOOLS.includes(name) || args.preview) return this.callTool(name, args, params);
+      const slot = this.quotas.reserve('configChangesPerHour');
+      if (!slot) return this.quotaRefusal(['configChangesPerHour'], { tool: name, command: args.command ?? args.name });
+      // Only a call that changed the configuration keeps its slot
+      const call = { changed: false };
+      try {
+        return await this.configCall.run(call, () => this.callTool(name, args, params));
+      } finally {
+        if (!call.changed) this.quotas.release('configChangesPerHour', slot);
+      }
+    });
+  }
+
+  // Runs a tool call; `params` is the whole request, for its `_meta`
+  async callTool(name, args, params) {
+    switch (name) {
+      // Core tools
+      case 'execute_command': return args.dry_run ? this.explain(args) : this.execute(args.command, args.working_directory, { env: args.env, format: args.format });
+      case 'explain_command': return this.explain(args);
+      case 'read_output': return this.readOutput(args);
+      case 'list_allowed_commands': return this.listAllowed();
+      case 'get_terminal_status': return this.status();
+      case 'search_command_history': return this.history(args);
+      case 'command_history_report': return this.historyReport(args);
+      case 'verify_audit_log': return this.verifyAudit(args.include_archives);
+      
+      // Session tools
+      case 'create_session': return this.createSession(args.working_directory, args.name);
+      case 'session_exec': return this.sessionExec(args.session_id, args.command);
+      case 'list_sessions': return this.listSessions();
+      case 'close_session': return this.closeSession(args.session_id);
+      
+      // File tools
+      case 'read_file': return this.readFile(args);
+      case 'write_file': return this.writeFile(args);
+      case 'apply_patch': return this.applyPatch(args.patch, args.working_directory);
+      case 'list_directory': return this.listDirectory(args);
+      case 'search_files': return this.searchFiles(args);
+      
+      // Background job tools
+      case 'start_job': return this.startJob(args, params._meta?.progressToken);
+      case 'get_job_output': return this.jobOutput(args.job_id, args.offset, args.limit);
+      case 'job_status': return this.jobStatus(args.job_id);
+      case 'cancel_job': return this.cancelJob(args.job_id);
+      
+      // Approval tools
+      case 'approve_pending': return this.approvePending(args.pending_id, args.scope);
+      case 'deny_pending': return this.denyPending(args.pending_id, args.reason);
+      
+      // Configuration tools
+      case 'allow_command': return this.allowCommand(args.command, args);
+      case 'block_command': return this.blockCommand(args.command, args);
+      case 'ask_command': return this.askCommand(args.command, args);
+      case 'view_config': return this.viewConfig();
+      case 'reset_config': return this.resetConfig(args.confirm);
+      case 'reload_config': return this.reload();
+      case 'export_config': return this.exportConfig();
+      case 'import_config': return this.importConfig(args.config, { mode: args.mode, preview: args.preview });
+      
+      // Profile tools
+      case 'list_profiles': return this.listProfiles();
+      case 'create_profile': return this.createProfile(args);
+      case 'switch_profile': return this.switchProfile(args.name);
+      case 'diff_profiles': return this.diffProfiles(args.from, args.to);
+      case 'delete_profile': return this.deleteProfile(args.name);
+      
+      default: throw new McpError(ErrorCode.MethodNotFound, `Unknown tool ${name}`);
+    }
+  }
+
+  /* ------------------- Prompts & resources -------------------- */
+  // Prompts are the manifest's, so the extension listing and the server agree
+  registerPrompts(handle) {
+    const prompts = MANIFEST.prompts || [];
+
+    handle(ListPromptsRequestSchema, async () => ({
+      prompts: prompts.map(p => ({
+        name: p.name,
+        description: p.description,
+        arguments: (p.arguments || []).map(arg => ({ name: arg, required: true }))
+      }))
+    }));
+
+    handle(GetPromptRequestSchema, async ({ params }) => {
+      const prompt = prompts.find(p => p.name === params.name);
+      if (!prompt) throw new McpError(ErrorCode.InvalidParams, `Unknown prompt ${params.name}`);
+      const args = params.arguments || {};
+      const missing = (prompt.arguments || []).filter(arg => !args[arg]);
+      if (missing.length) throw new McpError(ErrorCode.InvalidParams, `Prompt ${prompt.name} requires: ${missing.join(', ')}`);
+      const text = prompt.text.replace(/\$\{arguments\.(\w+)\}/g, (_, arg) => args[arg] ?? '');
+      return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text } }]
+      };
+    });
+  }
+
+  registerResources(handle, connection) {
+    const resources = {
+      'terminal://config': {
+        name: 'config',
+        description: 'Current command configuration (same as view_config)',
+        read: () => this.configView()
+      },
+      'terminal://status': {
+        name: 'status',
+        description: 'Server limits, directories, pending approvals and audit state (same as get_terminal_status)',
+        read: () => this.statusView()
+      },
+      'terminal://audit/recent': {
+        name: 'audit-recent',
+        description: `The last ${RECENT_AUDIT_RECORDS} audit records, newest first`,
+        read: async () => {
+          const recent = [];
+          for await (const { prev, hash, ...rest } of this.auditLog.records()) {
+            recent.push(rest);
+            if (recent.length > RECENT_AUDIT_RECORDS) recent.shift();
+          }
+          return recent.reverse();
+        }
+      },
+    };
+
+    handle(ListResourcesRequestSchema, async () => ({
+      resources: Object.entries(resources).map(([uri, r]) => ({ uri, name: r.name, description: r.description, mimeType: 'application/json' }))
+    }));
+
+    handle(ReadResourceRequestSchema, async ({ params }) => {
+      const resource = resources[params.uri];
+      if (!resource) throw new McpError(ErrorCode.InvalidParams, `Unknown resource ${params.uri}`);
+      return {
+        contents: [{ uri: params.uri, mimeType: 'application/json', text: JSON.stringify(await resource.read(), null, 2) }]
+      };
+    });
+
+    handle(SubscribeRequestSchema, async ({ params }) => {
+      if (!resources[params.uri]) throw new McpError(ErrorCode.InvalidParams, `Unknown resource ${params.uri}`);
+      connection.subscriptions.add(params.uri);
+      return {};
+    });
+
+    handle(UnsubscribeRequestSchema, async ({ params }) => {
+      connection.subscriptions.delete(params.uri);
+      return {};
+    });
+  }
+
+  // Tells subscribed clients to re-read; a missing or closed transport is not an error
+  async resourcesChanged(...uris) {
+    for (const { server, subscriptions } of this.connections) {
+      for (const uri of uris.filter(u => subscriptions.has(u))) {
+        await server.notification({ method: 'notifications/resources/updated', params: { uri } }).catch(() => { });
+      }
+    }
+  }
+
+  /* ------------------- Security helpers ----------------------- */
+  // A profile's allowedDirectories narrow the allowed directories, they never widen them
+  dirAllowed(path, profile = null) {
+    return this.effective.allowedDirs.some(dir => isInside(path, dir)) && (!profile?.dirs || profile.dirs.some(dir => isInside(path, dir)));
+  }
+
+  pathAllowed(tok, cwd, profile = null) {
+    const value = pathOperand(tok);
+    if (value === null) return true;
+    if (value.startsWith('~') && !/^~(\/|$)/.test(value)) return false;                 // ~user can't be checked
+    return this.dirAllowed(canonicalPath(value, cwd), profile);
+  }
+
+  // Write targets must resolve into an allowed directory that isn't read-only,
+  // and must leave project policy files alone
+  writeAllowed(tok, cwd, profile = null) {
+    if (/[$`*?[]/.test(tok) || (tok.startsWith('~') && !/^~(\/|$)/.test(tok))) return false;   // can't know where it lands
+    return this.writable(canonicalPath(tok, cwd), profile);
+  }
+
+  writable(resolved, profile = null) {
+    if (profile?.readOnly) return false;
+    return this.dirAllowed(resolved, profile) && !this.effective.readOnlyDirs.some(dir => isInside(resolved, dir))
+      && !touchesProjectPolicy(resolved, this.projects.known());
+  }
+
+  // The command PATH's binary when a session's PATH (an activated venv or nvm
+  // version) finds another one in a directory the agent could write to first;
+  // a pinned command has already been checked by its hash
+  shadowedBinary(base, binary, profile = null) {
+    if (base.includes('/') || this.envPolicy.pins[base]) return null;
+    const pinned = resolveBinary(base, this.envFor().PATH);
+    if (!pinned || canonicalPath(pinned) === canonicalPath(binary)) return null;
+    const dirs = [dirname(canonicalPath(binary)), canonicalPath(dirname(binary))];
+    return dirs.some(dir => this.writable(dir, profile)) ? pinned : null;
+  }
+
+  // Resolves a requested working directory (through symlinks) and checks it is
+  // allowed, by the given profile or else the one that applies there
+  resolveCwd(requested, from = this.effective.defaultCwd, profile) {
+    const label = requested || this.effective.defaultCwd;
+    const cwd = requested ? canonicalPath(requested, from) : this.effective.defaultCwd;
+    if (!this.effective.allowedDirs.some(dir => isInside(cwd, dir))) {
+      return { error: denied('cwd_denied', `working directory ${label} not allowed`, label) };
+    }
+    const applies = profile === undefined ? this.profileFor(cwd) : profile;
+    if (!this.dirAllowed(cwd, applies)) {
+      return { error: denied('cwd_denied', `working directory ${label} not allowed by profile ${applies.name}`, label) };
+    }
+    try {
+      if (!statSync(cwd).isDirectory()) throw new Error();
+    } catch {
+      return { error: denied('cwd_missing', `working directory ${label} does not exist`, label) };
+    }
+    return { cwd };
+  }
+
+  // Returns null when the command may run, otherwise { code, message, segment }.
+  // Relative paths are resolved against `cwd`, which must already be resolved;
+  // `builtins` lists shell builtins permitted on top of the allow list. A command
+  // that only hits ask entries not in `approved` gets code `approval_required`
+  // and the list of `approvals` it needs. The profile and project policy are the
+  // ones for `cwd`; they stay in force after a `cd` inside the command. Commands
+  // are looked up on the PATH of `env`, the environment they will run with.
+  validate(cmd, cwd = this.effective.defaultCwd, { builtins = [], approved = new Set(), profile = this.profileFor(cwd), project = this.projectFor(cwd), env = this.envFor() } = {}) {
+    let segments;
+    try {
+      segments = parseCommand(cmd);
+    } catch (e) {
+      if (!(e instanceof ShellParseError)) throw e;
+      return denied('unsupported_syntax', e.message, e.segment);
+    }
+    if (!segments.some(seg => seg.base)) return denied('empty_command', 'no command to run', cmd.trim());
+    // With `sandbox: bubblewrap` nothing runs unsandboxed
+    if (this.sandbox.error) return denied('sandbox_unavailable', `sandbox required but unavailable: ${this.sandbox.error}`, cmd.trim());
+    // A project file that can't be read would otherwise loosen what it meant to tighten
+    if (project?.error) return denied('project_policy_invalid', `${project.error} in ${project.path}`, cmd.trim());
+
+    const currentBlocked = this.getCurrentBlocked(profile, project);
+    const currentAllowed = this.getCurrentAllowed(profile, project);
+    const currentAsk = this.getCurrentAsk(profile, project);
+    const rules = this.getCurrentRules(profile);
+    const projectRules = project?.policy?.commandRules ?? {};
+    const asks = [];
+    // Every directory a `cd` may have moved to; paths must be allowed from all of them
+    const cwds = [cwd];
+    const assigned = assignedNames(segments);
+
+    for (const seg of segments) {
+      const { base } = seg;
+      const moved = [];
+      for (const { name } of seg.assignments) {
+        // A plain `name=value` stays in the shell unless the variable is already exported
+        const local = base === null && !(name in env) && !PROTECTED_ENV.test(name);
+        if (!local && !this.envPolicy.maySet(name)) return denied('protected_variable', `assignment to ${name} not allowed`, seg.text);
+      }
+      const redirects = seg.redirects.filter(r => !r.duplicate && r.op !== '<<<' && !SAFE_DEVICES.includes(r.target));
+      // The arguments the command will get, rather than the words as written
+      const { args, operands } = expandSegment(seg, redirects, env, assigned, cwds);
+
+      if (base !== null) {
+        if (currentBlocked.includes(base)) return denied('blocked', `blocked command ${base}`, seg.text);
+        const ask = currentAsk.includes(base);
+        if (!currentAllowed.includes(base) && !ask && !builtins.includes(base)) return denied('not_allowed', `not allowed ${base}`, seg.text);
+        if (!SH_BUILTINS.includes(base)) {
+          const binary = resolveBinary(base, env.PATH, cwd);
+          if (!binary) return denied('binary_not_found', `${base} not found on the command PATH`, seg.text);
+          if (!pinMatches(binary, this.envPolicy.pins[base])) return denied('binary_mismatch', `${binary} does not match the pinned SHA-256 for ${base}`, seg.text);
+          const pinned = this.shadowedBinary(base, binary, profile);
+          if (pinned) return denied('binary_shadowed', `${binary} would run instead of ${pinned}`, seg.text);
+        }
+
+        // The project's rule for the command is checked as well as the layered one
+        const checks = [[rules[base], ''], [projectRules[base], ' (project policy)']].filter(([rule]) => rule);
+        for (const [rule, from] of checks) {
+          const violation = checkRule(rule, args);
+          if (violation) return denied('rule_violation', `${base} ${violation}${from}`, seg.text);
+        }
+        const network = checkNetwork(this.networkPolicy, base, args);
+        if (network) return { ...denied('network_denied', `${base} ${network.message}`, seg.text), urls: network.urls };
+
+        if (ask) asks.push({ key: base, reason: `${base} requires approval`, segment: seg.text });
+        for (const [rule, from] of checks) {
+          for (const { key, reason } of askRule(rule, args)) {
+            asks.push({ key: `${base} ${key}`, reason: `${base} ${reason}${from}`, segment: seg.text });
+          }
+        }
+
+        if (base === 'export' || base === 'unset') {
+          const name = seg.args.filter(a => !a.startsWith('-')).map(a => a.split('=')[0]).find(n => !this.envPolicy.maySet(n));
+          if (name) return denied('protected_variable', `${base} of ${name} not allowed`, seg.text);
+        }
+        if (base === 'cd') {
+          const target = seg.words.slice(1).find(w => w.value === '-' || !w.value.startsWith('-'));
+          if (target && (target.dynamic || target.glob || target.value === '-')) {
+            return denied('cwd_denied', 'cd target must be a literal path', seg.text);
+          }
+          for (const from of [...cwds]) {
+            const { cwd: next, error } = this.resolveCwd(target?.value ?? '~', from, profile);
+            if (error) return denied(error.code, error.message.replace('working directory', 'cd to'), seg.text);
+            moved.push(next);
+          }
+        }
+      }
+
+      const writes = [...redirects.filter(r => r.output).map(r => redirectTarget(r, env, assigned)), ...(base ? writeTargets(base, args) : [])];
+      for (const p of writes) {
+        if (!cwds.every(dir => this.writeAllowed(p, dir, profile))) return denied('write_denied', `write to ${p} not allowed`, seg.text);
+      }
+      for (const { value: p, dirs, unresolved } of operands) {
+        if (unresolved) return denied('path_denied', `path ${p} not allowed: what the shell makes of it can't be known in advance`, seg.text);
+        if (!dirs.every(dir => this.pathAllowed(p, dir, profile))) return denied('path_denied', `path ${p} not allowed`, seg.text);
+      }
+      moved.forEach(dir => { if (!cwds.includes(dir)) cwds.push(dir); });
+    }
+
+    const unapproved = asks.filter(a => !approved.has(a.key));
+    if (!unapproved.length) return null;
+    return {
+      ...denied('approval_required', unapproved.map(a => a.reason).join('; '), unapproved[0].segment),
+      approvals: [...new Set(unapproved.map(a => a.key))]
+    };
+  }
+
+  /* ------------------- Command execution ---------------------- */
+  async execute(requested, workingDirectory, { approved = new Set(), env: overrides, format } = {}) {
+    const tool = 'execute_command';
+    // With format "json" a known command runs with flags whose output can be parsed
+    const plan = format === 'json' ? structuredPlan(requested) : null;
+    const command = plan?.command ?? requested;
+    const { cwd, error } = this.resolveCwd(workingDirectory);
+    if (error) {
+      await this.auditCommand({ tool, command, cwd: workingDirectory, decision: 'denied', reason: error });
+      return this.wrap({ success: false, error: error.message, reason: error });
+    }
+
+    const problems = checkEnvOverrides(this.envPolicy, overrides);
+    if (problems.length) {
+      const reason = denied('env_denied', problems.join('; '), command.trim());
+      await this.auditCommand({ tool, command, cwd, envNames: Object.keys(overrides), decision: 'denied', reason });
+      return this.wrap({ success: false, error: reason.message, reason });
+    }
+    const env = this.envFor({ ...overrides, ...plan?.env });
+
+    const profile = this.profileFor(cwd);
+    const project = this.projectFor(cwd);
+    const err = this.validate(command, cwd, { approved: this.approvedFor(null, approved), profile, project, env });
+    if (err?.code === 'approval_required') {
+      return this.holdForApproval(err, { tool, args: { command: requested, working_directory: workingDirectory, env: overrides, format }, cwd });
+    }
+    if (err) {
+      await this.auditCommand({ tool, command, cwd, profile, project, envNames: Object.keys(overrides ?? {}), decision: 'denied', reason: err });
+      return this.wrap({ success: false, error: err.message, reason: err, profile: profile?.name, project_policy: project?.path });
+    }
+    const refusal = await this.quotaRefusal(COMMAND_QUOTAS, { tool, command, cwd, profile, project });
+    if (refusal) return refusal;
+
+    const start = Date.now();
+    const timeoutMs = this.timeoutFor(profile);
+    const running = this.quotas.begin(start + timeoutMs + this.effective.killGraceMs);
+    try {
+      const res = await this.run(command, cwd, {
+        env,
+        limits: this.limitsFor(command, project),
+        timeoutMs,
+        mounts: this.sandboxFor(command, { profile, project, env })
+      });
+      await this.auditCommand({ tool, command, cwd, profile, project, envNames: Object.keys(overrides ?? {}), approved, res, ms: Date.now() - start });
+      return this.wrap({ ...res, structured: plan ? this.structured(plan, res) : undefined, profile: profile?.name, project_policy: project?.path });
+    } catch (e) {
+      await this.auditCommand({ tool, command, cwd, profile, project, envNames: Object.keys(overrides ?? {}), approved, error: e.message });
+      await this.log('ERROR', e.stack || e.message);
+      return this.wrap({ success: false, error: e.message });
+    } finally {
+      this.quotas.end(running, Date.now() - start);
+    }
+  }
+
+  // Records parsed from the full output of a `format: "json"` command
+  structured(plan, res) {
+    if (!plan.parse) return parseStructured(plan);
+    if (res.binary?.includes('stdout')) return { parsed: false, parser: plan.parser, reason: 'the output is binary' };
+    const full = res.truncated?.stdout ? this.outputs.get(res.output_handle, this.clientId())?.streams.stdout.join('\n') : res.stdout;
+    return parseStructured(plan, full ?? res.stdout);
+  }
+
+  // One record per command decision. Output is kept as byte counts and hashes;
+  // with logAllCommands off only refusals are recorded.
+  async auditCommand({ tool, command, cwd, session, profile, project, envNames = [], decision = 'allowed', reason, approved, res, ms, error }) {
+    if (decision === 'allowed' && !this.effective.logAllCommands) return;
+    await this.audit({
+      ts: new Date().toISOString(),
+      action: tool,
+      session: session ?? undefined,
+      command,
+      cwd,
+      profile: profile?.name,
+      project: project?.path,
+      // Names only: the values may be secrets
+      env: envNames.length ? envNames : undefined,
+      decision,
+      reason: reason ? { code: reason.code, message: reason.message, segment: reason.segment, urls: reason.urls, quota: reason.quota, limit: reason.limit, retry_after_seconds: reason.retry_after_seconds } : undefined,
+      approvals: approved?.size ? [...approved] : undefined,
+      exit_code: res?.exit_code,
+      signal: res?.signal,
+      terminated: res?.terminated,
+      sandbox: res?.sandbox,
+      ms,
+      stdout: digest(res?.stdout),
+      stderr: digest(res?.stderr),
+      error,
+      success: decision === 'allowed' && !error && !!res?.success
+    });
+  }
+
+  // A quota_exceeded result when one of `quotas` is used up, after auditing
+  // the refusal; null when there is room
+  async quotaRefusal(quotas, { tool, command, cwd, session, profile, project }) {
+    const over = this.quotas.exceeded(quotas);
+    if (!over) return null;
+    const reason = { ...denied('quota_exceeded', quotaMessage(over), command?.trim()), ...over };
+    await this.auditCommand({ tool, command, cwd, session, profile, project, decision: 'denied', reason });
+    return this.wrap({ success: false, error: reason.message, reason, retry_after_seconds: over.retry_after_seconds });
+  }
+
+  /* ------------------- Dry run ------------------------------- */
+  // Everything execute/session_exec would decide about `command`, without spawning it
+  async explain({ command: requested, working_directory: workingDirectory, session_id: sessionId, env: overrides, format }) {
+    // Explains what format "json" would run (execute_command's dry_run only)
+    const plan = format === 'json' && !sessionId ? structuredPlan(requested) : null;
+    const command = plan?.command ?? requested;
+    const problems = checkEnvOverrides(this.envPolicy, overrides);
+    let session = null, builtins = [], from = this.effective.defaultCwd, env = this.envFor(problems.length ? {} : overrides);
+    if (sessionId) {
+      session = this.sessions.get(sessionId, this.clientId());
+      if (!session) return this.wrap({ success: false, error: `Unknown or expired session ${sessionId}` });
+      builtins = SESSION_BUILTINS;
+      from = session.cwd;
+      env = sessionEnv(session, env);
+    }
+    const { cwd, error } = session && !workingDirectory ? this.resolveCwd(session.cwd) : this.resolveCwd(workingDirectory, from);
+    const profile = cwd ? this.profileFor(cwd) : null;
+    const project = cwd ? this.projectFor(cwd) : null;
+    const err = error
+      || (problems.length ? denied('env_denied', problems.join('; '), command.trim()) : null)
+      || this.validate(command, cwd, { builtins, approved: this.approvedFor(session, []), profile, project, env });
+
+    let segments = [];
+    try {
+      segments = parseCommand(command);
+    } catch {
+      // reported through `reason`
+    }
+
+    return this.wrap({
+      dry_run: true,
+      command,
+      structured: plan ? { parser: plan.parser, reason: plan.reason } : undefined,
+      verdict: !err ? 'allowed' : err.code === 'approval_required' ? 'approval_required' : 'denied',
+      reason: err || undefined,
+      cwd: cwd ?? null,
+      session: session?.id,
+      profile: profile?.name ?? null,
+      project_policy: project?.path ?? null,
+      timeout_ms: this.timeoutFor(profile),
+      limits: this.limitsFor(command, project),
+      sandbox: this.sandboxView(cwd ? this.sandboxFor(command, { profile, project, env }) : null),
+      environment: {
+        path: env.PATH,
+        set: overrides && Object.keys(overrides).length ? Object.keys(overrides) : undefined,
+        withheld: commandEnv(this.envPolicy).removed.length
+      },
+      segments: cwd ? this.explainSegments(segments, cwd, env, builtins, profile, project) : []
+    });
+  }
+
+  // Follows literal `cd`s so later segments show paths from where they would run
+  explainSegments(segments, cwd, env, builtins, profile, project) {
+    const assigned = assignedNames(segments);
+    return segments.map(seg => {
+      const explained = this.explainSegment(seg, cwd, env, builtins, profile, project, assigned);
+      const target = seg.base === 'cd' && seg.words.slice(1).find(w => !w.value.startsWith('-'));
+      if (seg.base === 'cd' && !target?.dynamic && !target?.glob) cwd = this.resolveCwd(target?.value ?? '~', cwd, profile).cwd ?? cwd;
+      return explained;
+    });
+  }
+
+  explainSegment(seg, cwd, env, builtins, profile, project, assigned = assignedNames([seg])) {
+    const { base } = seg;
+    const rules = this.getCurrentRules(profile);
+    const rule = base && rules[base];
+    const projectRule = base && project?.policy?.commandRules[base];
+    const [user, unlockedProfile] = this.unlockedLayers(profile);
+    const binary = base && !SH_BUILTINS.includes(base) ? resolveBinary(base, env.PATH, cwd) : null;
+    const pin = base && this.envPolicy.pins[base];
+    const redirects = seg.redirects.filter(r => !r.duplicate && r.op !== '<<<' && !SAFE_DEVICES.includes(r.target));
+    const { args, operands: reads } = expandSegment(seg, redirects.filter(r => !r.output), env, assigned, [cwd]);
+    const writes = [...redirects.filter(r => r.output).map(r => redirectTarget(r, env, assigned)), ...(base ? writeTargets(base, args) : [])];
+    const resolve = p => {
+      const value = pathOperand(p) ?? p;
+      return value.startsWith('~') && !/^~(\/|$)/.test(value) ? null : canonicalPath(value, cwd);
+    };
+
+    return {
+      text: seg.text,
+      origin: seg.origin,
+      cwd,
+      command: base,
+      args,
+      assignments: seg.assignments.map(a => a.name),
+      binary: base && (SH_BUILTINS.includes(base) ? `${base} (sh builtin)` : binary),
+      pinned: pin ? (binary && pinMatches(binary, pin) ? 'match' : 'mismatch') : undefined,
+      shadows: (binary && this.shadowedBinary(base, binary, profile)) ?? undefined,
+      policy: base && this.commandPolicy(base, builtins, profile, project),
+      rule: rule ? {
+        source: unlockedProfile?.commandRules?.[base] ? 'profile'
+          : base in user.commandRules ? 'override'
+          : base in this.system.policy.commandRules ? 'system' : 'default',
+        violation: checkRule(rule, args),
+        approvals: askRule(rule, args).map(a => `${base} ${a.key}`)
+      } : null,
+      project_rule: projectRule ? {
+        violation: checkRule(projectRule, args),
+        approvals: askRule(projectRule, args).map(a => `${base} ${a.key}`)
+      } : undefined,
+      network: (base && inspectNetwork(this.networkPolicy, base, args)) ?? undefined,
+      paths: [
+        ...writes.map(p => ({ arg: p, access: 'write', resolved: resolve(p), allowed: this.writeAllowed(p, cwd, profile) })),
+        ...reads.map(({ value: p, unresolved }) => ({ arg: p, access: 'read', resolved: unresolved ? null : resolve(p), allowed: !unresolved && this.pathAllowed(p, cwd, profile) }))
+      ],
+      redirects: seg.redirects.map(({ fd, op, target }) => ({ fd, op, target }))
+    };
+  }
+
+  // Which list, of which layer, decides whether `base` may run
+  commandPolicy(base, builtins = [], profile = null, project = null) {
+    const [user, unlockedProfile] = this.unlockedLayers(profile);
+    const from = (key, userSource, fallback) => {
+      if (project?.policy?.[key]?.includes(base)) return 'project_override';
+      if (unlockedProfile?.[key]?.includes(base)) return 'profile_override';
+      if (user[key].includes(base)) return userSource;
+      if (this.system.policy[key].includes(base)) return 'system_override';
+      return fallback;
+    };
+    const locked = this.system.policy.locked.commands.includes(base) || undefined;
+    if (this.getCurrentBlocked(profile, project).includes(base)) {
+      return { verdict: 'blocked', source: from('blockOverrides', 'block_override', 'default_blocked'), locked };
+    }
+    if (this.getCurrentAsk(profile, project).includes(base)) return { verdict: 'ask', source: from('askOverrides', 'ask_override', 'ask_override'), locked };
+    if (this.getCurrentAllowed(profile, project).includes(base)) {
+      return { verdict: 'allowed', source: from('allowOverrides', 'allow_override', 'default_allowed'), locked };
+    }
+    if (builtins.includes(base)) return { verdict: 'allowed', source: 'session_builtin' };
+    return { verdict: 'not_allowed', source: 'not_listed', locked };
+  }
+
+  // Commands never see the server's own environment, only what the policy passes on
+  envFor(overrides = {}) {
+    return { ...commandEnv(this.envPolicy).env, ...overrides };
+  }
+
+  // Through the executor the `sandbox` setting picked; `mounts` is what
+  // sandboxFor allows the command
+  spawnShell(cmd, cwd, env = this.envFor(), limits, mounts = this.sandboxFor(cmd, { env })) {
+    const { executor, error } = this.sandbox;
+    if (!executor) throw new Error(`Sandbox unavailable: ${error}`);
+    return executor.spawn(cmd, { cwd, env, limits, mounts });
+  }
+
+  // The executor in use, and for a command (from sandboxFor) what it may reach
+  sandboxView(mounts = null) {
+    const { mode, executor, reason, error } = this.sandbox;
+    const view = { mode, backend: executor?.name ?? null, reason, error };
+    if (executor?.name !== 'bubblewrap' || !mounts) return view;
+    return { ...view, network: mounts.network, writable: mounts.writable, read_only: mounts.readOnly.length ? mounts.readOnly : undefined };
+  }
+
+  // How a command runs, for results and the audit log; undefined for a plain spawn
+  sandboxReport(mounts) {
+    const { executor } = this.sandbox;
+    return executor?.name === 'bubblewrap' ? { backend: executor.name, network: mounts.network } : undefined;
+  }
+
+  // Resolves once the whole process tree is gone; `terminated` says why it was
+  // stopped early: timeout, output_limit or cpu_limit. `label` is the command
+  // shown for the output handle of a truncated result.
+  run(cmd, cwd, { env, limits = this.limitsFor(cmd, this.projectFor(cwd)), timeoutMs = this.effective.timeoutMs, label = cmd, mounts = this.sandboxFor(label, { env }) } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = this.spawnShell(cmd, cwd, env, limits, mounts);
+      const out = [], err = [];
+      let bytes = 0, reason = null;
+
+      const stop = why => {
+        if (reason) return;
+        reason = why;
+        terminateTree(child, this.effective.killGraceMs);
+      };
+      const collect = into => chunk => {
+        const room = limits.maxOutputBytes ? limits.maxOutputBytes - bytes : chunk.length;
+        if (room > 0) into.push(chunk.subarray(0, room));
+        bytes += chunk.length;
+        if (chunk.length > room) stop('output_limit');
+      };
+      child.stdout?.on('data', collect(out));
+      child.stderr?.on('data', collect(err));
+
+      const killer = setTimeout(() => stop('timeout'), timeoutMs);
+
+      child.on('close', (code, signal) => {
+        clearTimeout(killer);
+        if (!reason) reapTree(child);
+        if (!reason && cpuLimitHit(limits, code, signal)) reason = 'cpu_limit';
+        const stdout = this.shapeOutput(Buffer.concat(out));
+        const stderr = this.shapeOutput(Buffer.concat(err));
+        const cut = stdout.truncated || stderr.truncated;
+        const binary = [stdout.binary && 'stdout', stderr.binary && 'stderr'].filter(Boolean);
+        const latin1 = stdout.encoding === 'latin1' || stderr.encoding === 'latin1';
+        resolve({
+          success: code === 0 && !reason,
+          exit_code: code,
+          signal: signal ?? undefined,
+          stdout: stdout.text,
+          stderr: stderr.text,
+          timeout: reason === 'timeout',
+          terminated: reason ?? undefined,
+          output_bytes: bytes,
+          truncated: cut ? { stdout: stdout.truncated ?? undefined, stderr: stderr.truncated ?? undefined } : undefined,
+          output_handle: cut ? this.outputs.save(label, { stdout: stdout.full, stderr: stderr.full }, this.clientId()) : undefined,
+          binary: binary.length ? binary : undefined,
+          encoding: latin1 ? { stdout: stdout.encoding ?? undefined, stderr: stderr.encoding ?? undefined } : undefined,
+          redactions: stdout.count + stderr.count,
+          limits,
+          sandbox: this.sandboxReport(mounts)
+        });
+      });
+
+      child.on('error', e => {
+        clearTimeout(killer);
+        reject(e);
+      });
+    });
+  }
+
+  redact(text) {
+    return this.effective.redactSecrets ? redact(text, this.redactions) : { text, count: 0 };
+  }
+
+  // Decoded, without ANSI escapes and redacted before truncation, so a secret cut
+  // in half is still recognised; `full` is what read_output pages through
+  shapeOutput(buf) {
+    const { text: decoded, binary, encoding } = decodeOutput(buf);
+    const { text: full, count } = binary ? { text: decoded, count: 0 } : this.redact(stripAnsi(decoded));
+    const { text, truncated } = truncateOutput(full, this.effective.outputLimits);
+    return { text, full, count, binary, encoding, truncated };
+  }
+
+  async readOutput({ output_handle: handle, stream = 'stdout', line = 1, lines = 200 }) {
+    const entry = this.outputs.get(handle, this.clientId());
+    if (!entry) return this.wrap({ success: false, error: `Unknown or expired output handle ${handle}` });
+    if (!entry.streams[stream]) return this.wrap({ success: false, error: `Unknown stream ${stream}; use stdout or stderr` });
+    return this.wrap({
+      ...this.outputs.describe(entry),
+      stream,
+      ...this.outputs.read(entry, stream, line, Math.min(Math.max(1, lines), 2000), this.effective.outputLimits.maxBytes)
+    });
+  }
+
+  /* ------------------- Sessions ------------------------------ */
+  async createSession(workingDirectory, name) {
+    const { cwd, error } = this.resolveCwd(workingDirectory);
+    if (error) return this.wrap({ success: false, error: error.message, reason: error });
+
+    let session;
+    try {
+      session = this.sessions.create(cwd, name, this.clientId());
+    } catch (e) {
+      return this.wrap({ success: false, error: e.message });
+    }
+    await this.audit({ ts: new Date().toISOString(), action: 'create_session', session: session.id, cwd, success: true });
+    return this.wrap({ success: true, message: `🖥️ Session ${session.id} created`, ...this.sessions.describe(session) });
+  }
+
+  async sessionExec(id, command, { approved = new Set() } = {}) {
+    const session = this.sessions.get(id, this.clientId());
+    if (!session) return this.wrap({ success: false, error: `Unknown or expired session ${id}` });
+
+    const tool = 'session_exec';
+    // The directory may have been removed or left the allowed set since the last call
+    const { error } = this.resolveCwd(session.cwd);
+    if (error) {
+      await this.auditCommand({ tool, command, cwd: session.cwd, session: id, decision: 'denied', reason: error });
+      return this.wrap({ success: false, error: error.message, reason: error });
+    }
+
+    const profile = this.profileFor(session.cwd);
+    const project = this.projectFor(session.cwd);
+    const toolchain = await this.sessionToolchain(session, command, { approved, profile, project });
+    if (toolchain) return toolchain;
+    const env = sessionEnv(session, this.envFor());
+    const err = this.validate(command, session.cwd, { builtins: SESSION_BUILTINS, approved: this.approvedFor(session, approved), profile, project, env });
+    if (err?.code === 'approval_required') {
+      return this.holdForApproval(err, { tool, args: { session_id: id, command }, cwd: session.cwd, session: id });
+    }
+    if (err) {
+      await this.auditCommand({ tool, command, cwd: session.cwd, session: id, profile, project, decision: 'denied', reason: err });
+      return this.wrap({ success: false, error: err.message, reason: err, profile: profile?.name, project_policy: project?.path });
+    }
+
+    const refusal = await this.quotaRefusal(COMMAND_QUOTAS, { tool, command, cwd: session.cwd, session: id, profile, project });
+    if (refusal) return refusal;
+
+    const names = touchedNames(parseCommand(command));
+    const stateFile = join(tmpdir(), `cst-state-${randomUUID()}`);
+    const cwd = session.cwd;
+    const start = Date.now();
+    const timeoutMs = this.timeoutFor(profile);
+    const running = this.quotas.begin(start + timeoutMs + this.effective.killGraceMs);
+    try {
+      // Created up front so a sandbox can bind it in place of its own empty /tmp
+      await fs.writeFile(stateFile, '', { mode: 0o600 });
+      const res = await this.run(withStateTrailer(command, names), cwd, {
+        env: { ...env, CST_STATE_FILE: stateFile },
+        limits: this.limitsFor(command, project),
+        timeoutMs,
+        label: command,
+        mounts: this.sandboxFor(command, { profile, project, env, writable: [stateFile] })
+      });
+      const warnings = await this.applySessionState(session, stateFile, names);
+      await this.auditCommand({ tool, command, cwd, session: id, profile, project, approved, res, ms: Date.now() - start });
+      return this.wrap({ ...res, profile: profile?.name, project_policy: project?.path, session: { cwd: session.cwd, env: session.env }, warnings: warnings.length ? warnings : undefined });
+    } catch (e) {
+      await this.auditCommand({ tool, command, cwd, session: id, profile, project, approved, error: e.message });
+      await this.log('ERROR', e.stack || e.message);
+      return this.wrap({ success: false, error: e.message });
+    } finally {
+      this.quotas.end(running, Date.now() - start);
+      await fs.rm(stateFile, { force: true });
+    }
+  }
+
+  // Adopts the cwd and variables reported by the state trailer, re-validating both
+  async applySessionState(session, stateFile, names) {
+    let state;
+    try {
+      state = parseState(await fs.readFile(stateFile, 'utf8'), names);
+    } catch {
+      return [];   // the command exited before the trailer ran; keep the previous state
+    }
+    if (!state) return [];
+
+    const warnings = [];
+    const { cwd, error } = this.resolveCwd(state.cwd);
+    if (error) warnings.push(`kept ${session.cwd}: ${error.message}`);
+    else session.cwd = cwd;
+
+    for (const [name, value] of Object.entries(state.env)) {
+      if (!this.envPolicy.maySet(name)) { warnings.push(`ignored change to ${name}`); continue; }
+      session.env[name] = value ?? null;
+    }
+    return warnings;
+  }
+
+  // `source <venv>/bin/activate`, `deactivate` and `nvm use <version>` are emulated
+  // by the server instead of running the scripts; returns null for anything else
+  async sessionToolchain(session, command, { approved, profile, project }) {
+    let segments;
+    try {
+      segments = parseCommand(command);
+    } catch {
+      return null;
+    }
+    if (segments.length !== 1 || segments[0].assignments.length || segments[0].redirects.length) return null;
+    const [{ base, args }] = segments;
+    const venv = (base === 'source' || base === '.') && args.length === 1 && venvRoot(args[0]);
+    const nvm = base === 'nvm' && args[0] === 'use' && args.length === 2;
+    if (!venv && !nvm && !(base === 'deactivate' && !args.length && session.venv)) return null;
+
+    // Emulated, but only where the command itself could run, and counted like one
+    const tool = 'session_exec';
+    const context = { tool, command, cwd: session.cwd, session: session.id, profile, project };
+    if (base !== 'deactivate') {
+      const { verdict } = this.commandPolicy(base, [], profile, project);
+      if (verdict === 'ask' && !this.approvedFor(session, approved).has(base)) {
+        const err = { ...denied('approval_required', `${base} requires approval`, command), approvals: [base] };
+        return this.holdForApproval(err, { tool, args: { session_id: session.id, command }, cwd: session.cwd, session: session.id });
+      }
+      if (verdict === 'blocked' || verdict === 'not_allowed') {
+        const reason = denied(verdict, `${verdict === 'blocked' ? 'blocked command' : 'not allowed'} ${base}`, command);
+        await this.auditCommand({ ...context, decision: 'denied', reason });
+        return this.wrap({ success: false, error: reason.message, reason, profile: profile?.name, project_policy: project?.path });
+      }
+    }
+    const refusal = await this.quotaRefusal(['commandsPerMinute'], context);
+    if (refusal) return refusal;
+    this.quotas.record('commandsPerMinute');
+
+    let message;
+    if (venv) {
+      const dir = canonicalPath(venv, session.cwd);
+      if (!this.dirAllowed(dir, profile)) return this.wrap({ success: false, error: `virtualenv ${dir} is outside the allowed directories` });
+      try {
+        if (!statSync(join(dir, 'bin')).isDirectory()) throw new Error();
+      } catch {
+        return this.wrap({ success: false, error: `${dir} is not a virtualenv` });
+      }
+      session.paths = session.paths.filter(p => p !== (session.venv && join(session.venv, 'bin')));
+      session.paths.unshift(join(dir, 'bin'));
+      session.venv = dir;
+      session.env.VIRTUAL_ENV = dir;
+      session.env.PYTHONHOME = null;
+      message = `🐍 Activated virtualenv ${dir}`;
+    } else if (base === 'deactivate') {
+      session.paths = session.paths.filter(p => p !== join(session.venv, 'bin'));
+      delete session.env.VIRTUAL_ENV;
+      delete session.env.PYTHONHOME;
+      message = `Deactivated virtualenv ${session.venv}`;
+      session.venv = null;
+    } else {
+      // The server's NVM_DIR: a session can't point nvm somewhere else
+      const found = nvmVersionDir(args[1], this.envFor());
+      if (!found) return this.wrap({ success: false, error: `node ${args[1]} is not installed under nvm` });
+      const dir = canonicalPath(found);
+      if (!this.dirAllowed(dir, profile)) return this.wrap({ success: false, error: `node ${dir} is outside the allowed directories` });
+      session.paths = session.paths.filter(p => p !== (session.node && join(session.node, 'bin')));
+      session.paths.unshift(join(dir, 'bin'));
+      session.node = dir;
+      message = `⬢ Using node from ${dir}`;
+    }
+
+    await this.audit({ ts: new Date().toISOString(), action: 'session_toolchain', session: session.id, command, cwd: session.cwd, success: true });
+    return this.wrap({ success: true, message, session: this.sessions.describe(session) });
+  }
+
+  async listSessions() {
+    const sessions = this.sessions.owned(this.clientId()).map(s => this.sessions.describe(s));
+    return this.wrap({ count: sessions.length, idle_timeout_minutes: this.effective.sessionIdleMs / 60000, sessions });
+  }
+
+  async closeSession(id) {
+    const session = this.sessions.close(id, this.clientId());
+    if (!session) return this.wrap({ success: false, error: `Unknown or expired session ${id}` });
+    await this.audit({ ts: new Date().toISOString(), action: 'close_session', session: id, success: true });
+    return this.wrap({ success: true, message: `Session ${id} closed` });
+  }
+
+  async expireSessions() {
+    for (const session of this.sessions.expire()) {
+      await this.audit({ ts: new Date().toISOString(), action: 'expire_session', session: session.id, success: true });
+      await this.log('INFO', `Session ${session.id} expired after ${this.effective.sessionIdleMs / 60000} idle minutes`);
+    }
+  }
+
+  /* ------------------- File tools ---------------------------- */
+  // A file tool's path resolved through symlinks (relative paths from `from`)
+  // and checked against the directory policy of the profile that applies there
+  resolveFile(requested, access = 'read', from = this.effective.defaultCwd) {
+    if (typeof requested !== 'string' || !requested || requested.includes('\0')) return { error: denied('invalid_path', 'a path is required', String(requested ?? '')) };
+    if (requested.startsWith('~') && !/^~(\/|$)/.test(requested)) return { error: denied('path_denied', `path ${requested} not allowed`, requested) };
+    const path = canonicalPath(requested, from);
+    const profile = this.profileFor(path);
+    if (!this.dirAllowed(path, profile)) return { error: denied('path_denied', `path ${requested} not allowed`, requested), path, profile };
+    if (access === 'write' && !this.writable(path, profile)) return { error: denied('write_denied', `write to ${requested} not allowed`, requested), path, profile };
+    return { path, profile };
+  }
+
+  // Reads are recorded like commands (only refusals with logAllCommands off);
+  // changes always are, with the content hashes before and after
+  async auditFile({ tool, path, profile, decision = 'allowed', reason, error, ...details }) {
+    const changes = tool === 'write_file' || tool === 'apply_patch';
+    if (decision === 'allowed' && !error && !changes && !this.effective.logAllCommands) return;
+    await this.audit({
+      ts: new Date().toISOString(),
+      action: tool,
+      path,
+      profile: profile?.name,
+      decision,
+      reason: reason ? { code: reason.code, message: reason.message, segment: reason.segment } : undefined,
+      ...details,
+      error,
+      success: decision === 'allowed' && !error
+    });
+  }
+
+  // Policy refusals are recorded as denied, anything else (a missing or binary file) as an error
+  async fileRefusal(tool, { path, profile, reason, policy = true, ...details }) {
+    await this.auditFile({ tool, path, profile, ...details, ...(policy ? { decision: 'denied', reason } : { error: reason.message }) });
+    return this.wrap({ success: false, error: reason.message, reason });
+  }
+
+  // { buf, stat, text, encoding } of a text file, or { error }
+  async readTextFile(path, label) {
+    let stat;
+    try {
+      stat = await fs.stat(path);
+    } catch {
+      return { error: denied('file_missing', `${label} does not exist`, label) };
+    }
+    if (!stat.isFile()) return { error: denied('not_a_file', `${label} is not a regular file`, label) };
+    if (stat.size > FILE_LIMITS.maxFileBytes) {
+      return { error: denied('file_too_large', `${label} is ${stat.size} bytes; files over ${FILE_LIMITS.maxFileBytes / 1024 / 1024} MB are refused`, label) };
+    }
+    const buf = await fs.readFile(path);
+    const decoded = decodeText(buf);
+    if (decoded.binary) return { error: denied('binary_file', `${label} looks like a binary file`, label) };
+    return { buf, stat, ...decoded };
+  }
+
+  async readFile({ path: requested, start_line: start = 1, end_line: end, max_bytes: maxBytes = FILE_LIMITS.readBytes }) {
+    const tool = 'read_file';
+    const { path, profile, error } = this.resolveFile(requested);
+    if (error) return this.fileRefusal(tool, { path: path ?? requested, profile, reason: error });
+    const file = await this.readTextFile(path, requested);
+    if (file.error) return this.fileRefusal(tool, { path, profile, reason: file.error, policy: false });
+
+    const range = lineRange(file.text, start, end ?? Infinity, Math.min(Math.max(1, maxBytes), FILE_LIMITS.maxReadBytes));
+    const { text, count } = this.redact(range.content);
+    const sha256 = fileDigest(file.buf).sha256;
+    await this.auditFile({ tool, path, profile, lines: [range.start_line, range.end_line], file: fileDigest(file.buf) });
+    return this.wrap({
+      success: true,
+      path,
+      size: file.stat.size,
+      modified: file.stat.mtime.toISOString(),
+      sha256,
+      encoding: file.encoding,
+      ...range,
+      content: text,
+      redactions: count
+    });
+  }
+
+  async writeFile({ path: requested, content, expected_sha256: expected, create_directories: createDirs = false }) {
+    const tool = 'write_file';
+    if (typeof content !== 'string') return this.wrap({ success: false, error: 'content must be a string' });
+    const { path, profile, error } = this.resolveFile(requested, 'write');
+    if (error) return this.fileRefusal(tool, { path: path ?? requested, profile, reason: error });
+
+    const data = Buffer.from(content, 'utf8');
+    if (data.length > FILE_LIMITS.maxFileBytes) {
+      return this.fileRefusal(tool, { path, profile, reason: denied('file_too_large', `content is ${data.length} bytes; files over ${FILE_LIMITS.maxFileBytes / 1024 / 1024} MB are refused`, requested), policy: false });
+    }
+    let before = null;
+    const existing = await this.readTextFile(path, requested);
+    if (existing.error && existing.error.code !== 'file_missing') return this.fileRefusal(tool, { path, profile, reason: existing.error, policy: false });
+    if (!existing.error) before = existing.buf;
+    if (expected !== undefined) {
+      const current = before ? fileDigest(before).sha256 : '';
+      if (current !== String(expected).toLowerCase()) {
+        const now = current ? `its SHA-256 is now ${current}` : 'it does not exist';
+        return this.fileRefusal(tool, { path, profile, reason: denied('file_changed', `${requested} is not the expected version; ${now}`, requested), policy: false });
+      }
+    }
+
+    try {
+      if (createDirs) await fs.mkdir(dirname(path), { recursive: true });
+      await fs.writeFile(path, data);
+    } catch (e) {
+      await this.auditFile({ tool, path, profile, before: fileDigest(before), error: e.message });
+      return this.wrap({ success: false, error: e.code === 'ENOENT' ? `${dirname(path)} does not exist; set create_directories to create it` : e.message });
+    }
+    const after = fileDigest(data);
+    await this.auditFile({ tool, path, profile, before: fileDigest(before), after });
+    return this.wrap({ success: true, message: `📝 ${before ? 'Wrote' : 'Created'} ${path}`, path, created: !before, bytes: after.bytes, sha256: after.sha256 });
+  }
+
+  // Every file is checked and patched in memory first, so a patch that doesn't
+  // apply cleanly changes nothing
+  async applyPatch(patch, workingDirectory) {
+    const tool = 'apply_patch';
+    const { cwd, error } = this.resolveCwd(workingDirectory);
+    if (error) return this.fileRefusal(tool, { cwd: workingDirectory, reason: error });
+    let files;
+    try {
+      files = parsePatch(typeof patch === 'string' ? patch : '');
+    } catch (e) {
+      if (!(e instanceof PatchError)) throw e;
+      return this.wrap({ success: false, error: `Invalid patch: ${e.message}` });
+    }
+
+    const changes = [];
+    for (const { from, to, hunks } of files) {
+      const label = to ?? from;
+      if (!to) return this.fileRefusal(tool, { cwd, reason: denied('delete_denied', `apply_patch does not delete files (${from})`, from) });
+      if (from && from !== to) return this.fileRefusal(tool, { cwd, reason: denied('rename_unsupported', `apply_patch does not rename files (${from} → ${to})`, to), policy: false });
+      const { path, profile, error: refused } = this.resolveFile(to, 'write', cwd);
+      if (refused) return this.fileRefusal(tool, { path: path ?? to, profile, cwd, reason: refused });
+      if (changes.some(c => c.path === path)) return this.wrap({ success: false, error: `Invalid patch: ${label} appears more than once` });
+
+      const existing = await this.readTextFile(path, label);
+      if (from && existing.error) return this.fileRefusal(tool, { path, profile, cwd, reason: existing.error, policy: false });
+      if (!from && existing.error?.code !== 'file_missing') return this.fileRefusal(tool, { path, profile, cwd, reason: denied('file_exists', `${label} already exists`, label), policy: false });
+      if (from && existing.encoding !== 'utf-8') return this.fileRefusal(tool, { path, profile, cwd, reason: denied('not_utf8', `${label} is not UTF-8 text`, label), policy: false });
+
+      try {
+        const { text, offsets } = applyHunks(from ? existing.text : '', hunks, label);
+        changes.push({ path, profile, before: from ? existing.buf : null, after: Buffer.from(text, 'utf8'), offsets });
+      } catch (e) {
+        if (!(e instanceof PatchError)) throw e;
+        await this.auditFile({ tool, path, profile, cwd, error: e.message });
+        return this.wrap({ success: false, error: e.message, hint: 'Nothing was written; read the file again and regenerate the hunk' });
+      }
+    }
+
+    const written = [];
+    try {
+      for (const change of changes) {
+        if (!change.before) await fs.mkdir(dirname(change.path), { recursive: true });
+        await fs.writeFile(change.path, change.after);
+        written.push(change);
+      }
+    } catch (e) {
+      const record = c => ({ path: c.path, before: fileDigest(c.before), after: written.includes(c) ? fileDigest(c.after) : undefined });
+      await this.auditFile({ tool, cwd, files: changes.map(record), error: e.message });
+      return this.wrap({ success: false, error: e.message, written: written.map(c => c.path) });
+    }
+    await this.auditFile({ tool, cwd, files: changes.map(c => ({ path: c.path, profile: c.profile?.name, before: fileDigest(c.before), after: fileDigest(c.after) })) });
+    return this.wrap({
+      success: true,
+      message: `🩹 Patched ${changes.length} file${changes.length === 1 ? '' : 's'}`,
+      files: changes.map(c => ({
+        path: c.path,
+        created: !c.before,
+        hunks: c.offsets.length,
+        // Hunks that applied away from the line their header named
+        offsets: c.offsets.some(Boolean) ? c.offsets : undefined,
+        sha256: fileDigest(c.after).sha256
+      }))
     });
   }
 
-  /* ------------------- Security helpers ----------------------- */
-  pathAllowed(tok) {
-    if (!tok.startsWith('/')) return true;                // relative path => ok (will resolve under cwd)
-    const resolved = pathResolve(tok);
-    return ALLOWED_DIRS.some(dir => resolved.startsWith(dir));
+  async listDirectory({ path: requested = this.effective.defaultCwd, depth = 1, include_hidden: hidden = false }) {
+    const tool = 'list_directory';
+    const { path, profile, error } = this.resolveFile(requested);
+    if (error) return this.fileRefusal(tool, { path: path ?? requested, profile, reason: error });
+    const stat = await fs.stat(path).catch(() => null);
+    if (!stat?.isDirectory()) return this.fileRefusal(tool, { path, profile, reason: denied('not_a_directory', `${requested} is not a directory`, requested), policy: false });
+
+    const entries = [];
+    let truncated = false;
+    for await (const { path: entryPath, rel, dirent } of walk(path, { maxDepth: Math.min(Math.max(1, depth), 5), hidden })) {
+      if (entries.length >= FILE_LIMITS.maxEntries) {
+        truncated = true;
+        break;
+      }
+      const info = await fs.lstat(entryPath).catch(() => null);
+      if (!info) continue;
+      const type = dirent.isDirectory() ? 'directory' : dirent.isSymbolicLink() ? 'symlink' : dirent.isFile() ? 'file' : 'other';
+      entries.push({
+        name: rel,
+        type,
+        size: type === 'file' ? info.size : undefined,
+        mode: (info.mode & 0o7777).toString(8).padStart(4, '0'),
+        modified: info.mtime.toISOString(),
+        target: type === 'symlink' ? await fs.readlink(entryPath).catch(() => undefined) : undefined
+      });
+    }
+    await this.auditFile({ tool, path, profile, entries: entries.length });
+    return this.wrap({ success: true, path, entries, truncated: truncated || undefined });
   }
 
-  validate(cmd) {
-    const parts = cmd.trim().split(/\s+/);
-    const base = parts[0];
-    
-    const currentBlocked = this.getCurrentBlocked();
-    const currentAllowed = this.getCurrentAllowed();
-    
-    if (currentBlocked.includes(base)) return `blocked command ${base}`;
-    if (!currentAllowed.includes(base)) return `not allowed ${base}`;
-    
-    for (const p of parts.slice(1)) {
-      if (!this.pathAllowed(p)) return `path ${p} not allowed`;
+  async searchFiles({ pattern, glob, path: requested = this.effective.defaultCwd, case_sensitive: caseSensitive = false, include_hidden: hidden = false, max_results: maxResults = FILE_LIMITS.maxResults }) {
+    const tool = 'search_files';
+    if (!pattern && !glob) return this.wrap({ success: false, error: 'Give a pattern, a glob or both' });
+    let re = null;
+    try {
+      re = pattern ? new RegExp(pattern, caseSensitive ? '' : 'i') : null;
+    } catch (e) {
+      return this.wrap({ success: false, error: `Invalid pattern: ${e.message}` });
+    }
+    const { path, profile, error } = this.resolveFile(requested);
+    if (error) return this.fileRefusal(tool, { path: path ?? requested, profile, reason: error, pattern, glob });
+    const stat = await fs.stat(path).catch(() => null);
+    if (!stat?.isDirectory()) return this.fileRefusal(tool, { path, profile, reason: denied('not_a_directory', `${requested} is not a directory`, requested), policy: false });
+
+    const nameMatches = glob ? globMatcher(glob) : () => true;
+    const limit = Math.min(Math.max(1, maxResults), FILE_LIMITS.maxResults);
+    const matches = [];
+    const skipped = { binary: 0, too_large: 0 };
+    let files = 0, truncated = false;
+    search: for await (const { path: filePath, rel, dirent } of walk(path, { hidden, skip: hidden ? [] : SKIP_DIRS })) {
+      if (!dirent.isFile() || !nameMatches(rel)) continue;
+      if (++files > FILE_LIMITS.maxSearchFiles || matches.length >= limit) {
+        truncated = true;
+        break;
+      }
+      if (!re) {
+        matches.push({ path: rel });
+        continue;
+      }
+      const file = await this.readTextFile(filePath, rel).catch(() => ({ error: {} }));
+      if (file.error?.code === 'binary_file') skipped.binary++;
+      if (file.error?.code === 'file_too_large') skipped.too_large++;
+      if (file.error) continue;
+      const lines = file.text.split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!re.test(lines[i].slice(0, FILE_LIMITS.maxSearchLineChars))) continue;
+        if (matches.length >= limit) {
+          truncated = true;
+          break search;
+        }
+        const line = lines[i].length > 500 ? `${lines[i].slice(0, 500)} …` : lines[i];
+        matches.push({ path: rel, line: i + 1, text: this.redact(line.replace(/\r$/, '')).text });
+      }
     }
-    return null;
+    await this.auditFile({ tool, path, profile, pattern, glob, matches: matches.length });
+    return this.wrap({
+      success: true,
+      path,
+      matches,
+      files_searched: Math.min(files, FILE_LIMITS.maxSearchFiles),
+      skipped: skipped.binary || skipped.too_large ? skipped : undefined,
+      truncated: truncated || undefined
+    });
   }
 
-  /* ------------------- Command execution ---------------------- */
-  async execute(command, cwd) {
-    const err = this.validate(command);
-    if (err) return this.wrap({ success: false, error: err });
+  /* ------------------- Background jobs ------------------------ */
+  async startJob(args, progressToken, { approved = new Set() } = {}) {
+    const { command, working_directory: workingDirectory, session_id: sessionId, timeout_seconds: timeoutSeconds } = args;
+    let cwd, env, session = null;
+    if (sessionId) {
+      session = this.sessions.get(sessionId, this.clientId());
+      if (!session) return this.wrap({ success: false, error: `Unknown or expired session ${sessionId}` });
+      if (workingDirectory) return this.wrap({ success: false, error: 'Pass either session_id or working_directory, not both' });
+      ({ cwd } = session);
+      env = sessionEnv(session, this.envFor());
+    }
+    const resolved = this.resolveCwd(cwd ?? workingDirectory);
+    if (resolved.error) return this.wrap({ success: false, error: resolved.error.message, reason: resolved.error });
+    cwd = resolved.cwd;
 
-    const start = Date.now();
+    const timeoutMs = timeoutSeconds === undefined ? this.effective.jobTimeoutMs : Math.round(timeoutSeconds * 1000);
+    if (!(timeoutMs > 0) || timeoutMs > this.effective.jobMaxTimeoutMs) {
+      return this.wrap({ success: false, error: `timeout_seconds must be between 1 and ${this.effective.jobMaxTimeoutMs / 1000}` });
+    }
+
+    const profile = this.profileFor(cwd);
+    const project = this.projectFor(cwd);
+    env ??= this.envFor();
+    const err = this.validate(command, cwd, { approved: this.approvedFor(session, approved), profile, project, env });
+    if (err?.code === 'approval_required') {
+      return this.holdForApproval(err, { tool: 'start_job', args, cwd, session: sessionId, progressToken });
+    }
+    if (err) {
+      await this.auditCommand({ tool: 'start_job', command, cwd, session: sessionId, profile, project, decision: 'denied', reason: err });
+      return this.wrap({ success: false, error: err.message, reason: err, profile: profile?.name, project_policy: project?.path });
+    }
+    const refusal = await this.quotaRefusal(COMMAND_QUOTAS, { tool: 'start_job', command, cwd, session: sessionId, profile, project });
+    if (refusal) return refusal;
+
+    let job;
     try {
-      const res = await this.run(command, cwd);
-      await this.audit({ ts: new Date().toISOString(), command, cwd, ms: Date.now() - start, ...res });
-      return this.wrap(res);
+      job = this.jobs.create({ command, cwd, session: sessionId, timeoutMs, client: this.clientId() });
     } catch (e) {
-      await this.audit({ ts: new Date().toISOString(), command, cwd, error: e.message, success: false });
-      await this.log('ERROR', e.stack || e.message);
       return this.wrap({ success: false, error: e.message });
     }
+    const running = this.quotas.begin(job.startedAt + timeoutMs + this.effective.killGraceMs);
+
+    // Job output goes to a ring buffer, so only the CPU and memory limits apply
+    const limits = { ...this.limitsFor(command, project), maxOutputBytes: null };
+    const mounts = this.sandboxFor(command, { profile, project, env });
+    const child = job.child = this.spawnShell(command, cwd, env, limits, mounts);
+    child.stdout?.setEncoding('utf8').on('data', d => job.output.append(d));
+    child.stderr?.setEncoding('utf8').on('data', d => job.output.append(d));
+
+    const killer = setTimeout(() => this.stopJob(job, 'timeout'), timeoutMs);
+    // Progress goes to the client that started the job
+    const server = this.connection()?.server;
+    const progress = progressToken === undefined || !server ? null : setInterval(() => {
+      server.notification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress: Math.round((Date.now() - job.startedAt) / 1000),
+          message: `${job.status}: ${job.output.end} chars of output${job.output.data ? ` – ${this.redact(stripAnsi(job.output.lastLine())).text}` : ''}`,
+        },
+      }).catch(() => { });
+    }, JOB_PROGRESS_MS);
+
+    const finish = async (code, error, signal) => {
+      clearTimeout(killer);
+      if (progress) clearInterval(progress);
+      if (job.finishedAt) return;
+      job.finishedAt = Date.now();
+      this.quotas.end(running, job.finishedAt - job.startedAt);
+      job.exitCode = code;
+      job.signal = signal ?? null;
+      if (job.status === 'running') {
+        reapTree(child);
+        job.status = error ? 'failed' : cpuLimitHit(limits, code, signal) ? 'cpu_limit' : 'exited';
+      }
+      job.child = null;
+      if (error) job.output.append(`\n[job error] ${error.message}\n`);
+      if (!this.effective.logAllCommands) return;
+      await this.audit({
+        ts: new Date().toISOString(),
+        action: 'finish_job',
+        job: job.id,
+        command,
+        cwd,
+        status: job.status,
+        exit_code: code,
+        signal: job.signal ?? undefined,
+        ms: job.finishedAt - job.startedAt,
+        output_chars: job.output.end,
+        success: job.status === 'exited' && code === 0
+      });
+    };
+    child.on('close', (code, signal) => finish(code, null, signal));
+    child.on('error', e => finish(null, e));
+
+    if (this.effective.logAllCommands) {
+      await this.audit({
+        ts: new Date().toISOString(),
+        action: 'start_job',
+        job: job.id,
+        session: sessionId,
+        command,
+        cwd,
+        profile: profile?.name,
+        project: project?.path,
+        decision: 'allowed',
+        approvals: approved.size ? [...approved] : undefined,
+        timeout_ms: timeoutMs,
+        sandbox: this.sandboxReport(mounts),
+        success: true
+      });
+    }
+    return this.wrap({ success: true, message: `🚀 Job ${job.id} started`, ...this.jobs.describe(job), sandbox: this.sandboxReport(mounts) });
   }
 
-  run(cmd, cwd) {
-    return new Promise((resolve, reject) => {
-      const child = spawn(cmd, { shell: true, cwd });
-      let out = '', err = '';
+  // `reason` becomes the job status: 'cancelled' or 'timeout'
+  stopJob(job, reason) {
+    if (job.status !== 'running') return false;
+    job.status = reason;
+    if (job.child) terminateTree(job.child, this.effective.killGraceMs);
+    return true;
+  }
+
+  async jobOutput(id, offset = 0, limit = 20000) {
+    const job = this.jobs.get(id, this.clientId());
+    if (!job) return this.wrap({ success: false, error: `Unknown job ${id}` });
+    const chunk = job.output.read(Math.max(0, offset), Math.min(Math.max(1, limit), 100000));
+    // Offsets refer to the raw buffer; only the text handed out is redacted
+    const { text, count } = this.redact(stripAnsi(chunk.output));
+    return this.wrap({
+      job_id: id,
+      status: job.status,
+      exit_code: job.exitCode,
+      ...chunk,
+      output: text,
+      redactions: count,
+      complete: job.status !== 'running' && chunk.next_offset === job.output.end
+    });
+  }
+
+  async jobStatus(id) {
+    if (id === undefined) return this.wrap({ jobs: this.jobs.owned(this.clientId()).map(j => this.jobs.describe(j)) });
+    const job = this.jobs.get(id, this.clientId());
+    if (!job) return this.wrap({ success: false, error: `Unknown job ${id}` });
+    return this.wrap({ ...this.jobs.describe(job), last_line: this.redact(stripAnsi(job.output.lastLine())).text });
+  }
 
-      child.stdout?.on('data', d => out += d);
-      child.stderr?.on('data', d => err += d);
+  async cancelJob(id) {
+    const job = this.jobs.get(id, this.clientId());
+    if (!job) return this.wrap({ success: false, error: `Unknown job ${id}` });
+    if (!this.stopJob(job, 'cancelled')) return this.wrap({ success: false, error: `Job ${id} is not running (${job.status})` });
+    await this.audit({ ts: new Date().toISOString(), action: 'cancel_job', job: id, command: job.command, success: true });
+    return this.wrap({ success: true, message: `🛑 Job ${id} cancelled`, ...this.jobs.describe(job) });
+  }
+
+  /* ------------------- Approvals ----------------------------- */
+  // Keys approved once for this call, for the session, or for the whole connection;
+  // a session's approvals only count for the client that owns it
+  approvedFor(session, once) {
+    const sessionKeys = session?.client === this.clientId() ? session.approved : [];
+    return new Set([...(this.connection()?.approvedKeys || []), ...sessionKeys, ...once]);
+  }
+
+  // Parks a command that needs approval and hands its pending id to the client;
+  // clients that support elicitation are asked directly instead
+  async holdForApproval(err, { tool, args, cwd, session, progressToken }) {
+    let request;
+    try {
+      request = this.approvals.create({ tool, args, cwd, session, keys: err.approvals, reason: err.message, progressToken, client: this.clientId() });
+    } catch (e) {
+      return this.wrap({ success: false, error: e.message, reason: err });
+    }
+    await this.audit({ ts: new Date().toISOString(), action: 'request_approval', pending: request.id, tool, command: args.command, cwd, session, approvals: err.approvals, success: true });
+
+    const answer = await this.elicitApproval(request);
+    if (answer?.approve) return this.approvePending(request.id, answer.scope, 'elicitation');
+    if (answer) {
+      await this.recordDenial(this.approvals.take(request.id, request.client), 'declined', 'elicitation');
+      return this.wrap({ success: false, error: `❌ Not run: the user declined ${err.approvals.join(', ')}`, reason: err });
+    }
+
+    return this.wrap({
+      success: false,
+      pending: true,
+      message: `⏸️ Approval required: ${err.message}. Ask the user, then call approve_pending or deny_pending with this pending_id.`,
+      reason: err,
+      ...this.approvals.describe(request)
+    });
+  }
 
-      const killer = setTimeout(() => {
-        if (!child.killed) {
-          child.kill('SIGTERM');
-          resolve({ success: false, exit_code: null, stdout: out, stderr: err, timeout: true });
+  // Returns { approve, scope } from the user, or null when the client cannot ask
+  // or the user dismissed the prompt (the request then stays pending)
+  async elicitApproval(request) {
+    const connection = this.connection();
+    if (!connection?.capabilities.elicitation) return null;
+    try {
+      const res = await connection.server.request({
+        method: 'elicitation/create',
+        params: {
+          message: `Run \`${request.args.command}\` in ${request.cwd}?\n${request.reason}`,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              remember: {
+                type: 'boolean',
+                title: 'Remember for this session',
+                description: `Don't ask again for ${request.keys.join(', ')}`,
+                default: false
+              }
+            }
+          }
         }
-      }, TIMEOUT_MS);
+      }, ElicitResultSchema, { timeout: this.effective.approvalTtlMs });
+      if (res.action === 'accept') return { approve: true, scope: res.content?.remember ? 'session' : 'once' };
+      if (res.action === 'decline') return { approve: false };
+      return null;
+    } catch (e) {
+      await this.log('ERROR', `Elicitation failed: ${e.message}`);
+      return null;
+    }
+  }
 
-      child.on('close', code => {
-        clearTimeout(killer);
-        out = this.truncate(out);
-        err = this.truncate(err);
-        resolve({ success: code === 0, exit_code: code, stdout: out, stderr: err, timeout: false });
-      });
+  // `scope` is 'once' or 'session'; session approvals outside a terminal
+  // session last until the client disconnects
+  async approvePending(id, scope = 'once', via = 'tool') {
+    if (scope !== 'once' && scope !== 'session') return this.wrap({ success: false, error: `scope must be 'once' or 'session'` });
+    const request = this.approvals.take(id, this.clientId());
+    if (!request) return this.wrap({ success: false, error: `Unknown or expired pending request ${id}` });
+    if (this.approvals.expired(request)) return this.recordExpiry(request);
+
+    if (scope === 'session') {
+      const store = request.session ? this.sessions.get(request.session, request.client)?.approved : this.connection()?.approvedKeys;
+      request.keys.forEach(key => store?.add(key));
+    }
+    await this.audit({
+      ts: new Date().toISOString(),
+      action: 'approve_pending',
+      pending: id,
+      tool: request.tool,
+      command: request.args.command,
+      cwd: request.cwd,
+      session: request.session ?? undefined,
+      approvals: request.keys,
+      scope,
+      via,
+      success: true
+    });
+
+    // Replayed through the normal path, so the command is validated again
+    const approved = new Set(request.keys);
+    switch (request.tool) {
+      case 'session_exec': return this.sessionExec(request.args.session_id, request.args.command, { approved });
+      case 'start_job': return this.startJob(request.args, request.progressToken, { approved });
+      default: return this.execute(request.args.command, request.args.working_directory, { approved, env: request.args.env, format: request.args.format });
+    }
+  }
+
+  async denyPending(id, reason) {
+    const request = this.approvals.take(id, this.clientId());
+    if (!request) return this.wrap({ success: false, error: `Unknown or expired pending request ${id}` });
+    if (this.approvals.expired(request)) return this.recordExpiry(request);
+    await this.recordDenial(request, reason, 'tool');
+    return this.wrap({ success: true, message: `🚫 Denied: ${request.args.command}`, ...this.approvals.describe(request) });
+  }
+
+  async recordDenial(request, reason, via) {
+    await this.audit({
+      ts: new Date().toISOString(),
+      action: 'deny_pending',
+      pending: request.id,
+      tool: request.tool,
+      command: request.args.command,
+      cwd: request.cwd,
+      session: request.session ?? undefined,
+      approvals: request.keys,
+      reason,
+      via,
+      success: true
+    });
+  }
 
-      child.on('error', reject);
+  // A request that expired before anyone answered it, found by the sweep or
+  // by an approve/deny that came too late
+  async recordExpiry(request) {
+    await this.audit({
+      ts: new Date().toISOString(),
+      action: 'approval_expired',
+      pending: request.id,
+      tool: request.tool,
+      command: request.args.command,
+      cwd: request.cwd,
+      session: request.session ?? undefined,
+      approvals: request.keys,
+      success: true
     });
+    return this.wrap({ success: false, error: `Unknown or expired pending request ${request.id}` });
   }
 
-  truncate(text) {
-    const lines = text.split('\n');
-    if (lines.length <= MAX_LINES) return text;
-    return lines.slice(0, MAX_LINES).join('\n') + `\n... (truncated ${lines.length - MAX_LINES} lines)`;
+  async expireApprovals() {
+    for (const request of this.approvals.expire()) await this.recordExpiry(request);
   }
 
   /* ------------------- Configuration Tool Implementations ----- */
-  async allowCommand(command) {
+  async allowCommand(command, { subcommand, flag, pattern } = {}) {
     const cmd = command.trim();
     
     // Validation
     if (!cmd) return this.wrap({ success: false, error: 'Command cannot be empty' });
     if (!/^[a-zA-Z0-9_-]+$/.test(cmd)) return this.wrap({ success: false, error: 'Invalid command format' });
+    if (this.system.policy.locked.commands.includes(cmd)) return this.lockedRefusal([cmd]);
+    if (subcommand || flag || pattern) return this.updateRule('allow', cmd, { subcommand, flag, pattern });
     
     // Check if it's a dangerous command
     const dangerous = ['rm', 'sudo', 'dd', 'mkfs', 'fdisk', 'shutdown', 'reboot'];
@@ -342,11 +2573,12 @@ class SecureTerminal {
       warning = `⚠️ WARNING: '${cmd}' is potentially dangerous and could cause data loss or system damage.`;
     }
     
-    // Remove from block overrides if present
+    // Remove from block and ask overrides if present
     this.blockOverrides = this.blockOverrides.filter(c => c !== cmd);
+    this.askOverrides = this.askOverrides.filter(c => c !== cmd);
     
-    // Add to allow overrides if not already default-allowed
-    if (!this.DEFAULT_ALLOWED.includes(cmd) && !this.allowOverrides.includes(cmd)) {
+    // Add to allow overrides if not already allowed by default or the system policy
+    if (!this.getCurrentAllowed().includes(cmd) && !this.allowOverrides.includes(cmd)) {
       this.allowOverrides.push(cmd);
     }
     
@@ -369,18 +2601,21 @@ class SecureTerminal {
     return this.wrap(result);
   }
 
-  async blockCommand(command) {
+  async blockCommand(command, { subcommand, flag, pattern } = {}) {
     const cmd = command.trim();
     
     // Validation
     if (!cmd) return this.wrap({ success: false, error: 'Command cannot be empty' });
     if (!/^[a-zA-Z0-9_-]+$/.test(cmd)) return this.wrap({ success: false, error: 'Invalid command format' });
+    if (this.system.policy.locked.commands.includes(cmd)) return this.lockedRefusal([cmd]);
+    if (subcommand || flag || pattern) return this.updateRule('block', cmd, { subcommand, flag, pattern });
     
-    // Remove from allow overrides if present
+    // Remove from allow and ask overrides if present
     this.allowOverrides = this.allowOverrides.filter(c => c !== cmd);
+    this.askOverrides = this.askOverrides.filter(c => c !== cmd);
     
-    // Add to block overrides if not already default-blocked
-    if (!this.DEFAULT_BLOCKED.includes(cmd) && !this.blockOverrides.includes(cmd)) {
+    // Add to block overrides if not already blocked by default or the system policy
+    if (!this.getCurrentBlocked().includes(cmd) && !this.blockOverrides.includes(cmd)) {
       this.blockOverrides.push(cmd);
     }
     
@@ -402,64 +2637,241 @@ class SecureTerminal {
     return this.wrap(result);
   }
 
-  async viewConfig() {
-    const currentAllowed = this.getCurrentAllowed();
-    const currentBlocked = this.getCurrentBlocked();
+  async askCommand(command, { subcommand, flag, pattern } = {}) {
+    const cmd = command.trim();
     
-    // Create detailed breakdown
-    const allowedWithIndicators = this.DEFAULT_ALLOWED.map(cmd => {
-      if (this.blockOverrides.includes(cmd)) return `${cmd} 🚫 (blocked by override)`;
-      return cmd + (this.DEFAULT_ALLOWED.includes(cmd) ? '' : ' ✨');
-    }).filter(cmd => !cmd.includes('🚫'));
+    // Validation
+    if (!cmd) return this.wrap({ success: false, error: 'Command cannot be empty' });
+    if (!/^[a-zA-Z0-9_-]+$/.test(cmd)) return this.wrap({ success: false, error: 'Invalid command format' });
+    if (this.system.policy.locked.commands.includes(cmd)) return this.lockedRefusal([cmd]);
+    if (subcommand || flag || pattern) return this.updateRule('ask', cmd, { subcommand, flag, pattern });
     
-    // Add override-allowed commands
-    this.allowOverrides.forEach(cmd => {
-      if (!this.DEFAULT_ALLOWED.includes(cmd)) {
-        allowedWithIndicators.push(`${cmd} ✨ (allowed by override)`);
-      }
-    });
+    // An ask override takes the command out of both lists
+    this.allowOverrides = this.allowOverrides.filter(c => c !== cmd);
+    this.blockOverrides = this.blockOverrides.filter(c => c !== cmd);
+    if (!this.askOverrides.includes(cmd)) this.askOverrides.push(cmd);
     
-    const blockedWithIndicators = this.DEFAULT_BLOCKED.map(cmd => {
-      if (this.allowOverrides.includes(cmd)) return `${cmd} ✅ (allowed by override)`;
-      return cmd;
-    }).filter(cmd => !cmd.includes('✅'));
+    await this.saveConfig();
+    await this.audit({ 
+      ts: new Date().toISOString(), 
+      action: 'ask_command', 
+      command: cmd, 
+      success: true 
+    });
     
-    // Add override-blocked commands
-    this.blockOverrides.forEach(cmd => {
-      if (!this.DEFAULT_BLOCKED.includes(cmd)) {
-        blockedWithIndicators.push(`${cmd} ✨ (blocked by override)`);
+    return this.wrap({
+      success: true,
+      message: `❓ Command '${cmd}' now runs only after approval`,
+      currentAllowed: this.getCurrentAllowed().length,
+      currentBlocked: this.getCurrentBlocked().length,
+      currentAsk: this.getCurrentAsk().length
+    });
+  }
+
+  // Locked commands that a configuration's lists, rules or profiles mention
+  lockedCommandsIn(config) {
+    const locked = this.system.policy.locked.commands;
+    return [...new Set([config, ...Object.values(config.profiles)].flatMap(layer => lockedIn(layer, locked)))];
+  }
+
+  // Commands locked by the system policy keep its decision whatever the user asks for
+  lockedRefusal(commands) {
+    return this.wrap({
+      success: false,
+      error: `🔒 Locked by the system policy: ${commands.join(', ')}`,
+      locked: commands,
+      hint: `An administrator can change these in ${this.system.path}`
+    });
+  }
+
+  // Adds (block), lifts (allow) or turns into an approval (ask) a subcommand,
+  // flag or pattern restriction on `cmd`
+  async updateRule(mode, cmd, { subcommand, flag, pattern }) {
+    if (subcommand && !/^[a-zA-Z0-9_.:-]+$/.test(subcommand)) return this.wrap({ success: false, error: 'Invalid subcommand format' });
+    if (flag && !/^--?[a-zA-Z0-9][a-zA-Z0-9_-]*$/.test(flag)) return this.wrap({ success: false, error: 'Invalid flag format' });
+    if (pattern) {
+      try { new RegExp(pattern, 'i'); } catch (e) { return this.wrap({ success: false, error: `Invalid pattern: ${e.message}` }); }
+    }
+
+    const rules = { ...this.commandRules };
+    const rule = rules[cmd] = structuredClone(this.getCurrentRules()[cmd] || {});
+    // Flags and patterns given with a subcommand apply to that subcommand only
+    const target = subcommand && (flag || pattern)
+      ? ((rule.subcommands ??= {})[subcommand] ??= {})
+      : rule;
+
+    const add = (key, value) => { if (!(target[key] ??= []).includes(value)) target[key].push(value); };
+    const remove = (key, value) => {
+      if (!target[key]) return;
+      target[key] = target[key].filter(v => v !== value);
+      if (!target[key].length && key !== 'allowedSubcommands') delete target[key];
+    };
+
+    // Ask entries only apply to things that are not denied, so every mode clears the ask entry first
+    if (flag) remove('askFlags', flag);
+    if (pattern) remove('askArgPatterns', pattern);
+    if (subcommand && !flag && !pattern) remove('askSubcommands', subcommand);
+
+    if (mode === 'block') {
+      if (flag) add('deniedFlags', flag);
+      if (pattern) add('deniedArgPatterns', pattern);
+      if (subcommand && !flag && !pattern) {
+        add('deniedSubcommands', subcommand);
+        remove('allowedSubcommands', subcommand);
+      }
+    } else {
+      if (flag) remove('deniedFlags', flag);
+      if (pattern) remove('deniedArgPatterns', pattern);
+      if (subcommand && !flag && !pattern) {
+        remove('deniedSubcommands', subcommand);
+        if (target.allowedSubcommands && !target.allowedSubcommands.includes(subcommand)) target.allowedSubcommands.push(subcommand);
       }
+    }
+    if (mode === 'ask') {
+      if (flag) add('askFlags', flag);
+      if (pattern) add('askArgPatterns', pattern);
+      if (subcommand && !flag && !pattern) add('askSubcommands', subcommand);
+    }
+    this.commandRules = rules;
+
+    await this.saveConfig();
+    await this.audit({ 
+      ts: new Date().toISOString(), 
+      action: `${mode}_command`, 
+      command: cmd, 
+      subcommand, 
+      flag, 
+      pattern, 
+      success: true 
     });
 
-    const config = {
+    const scope = [cmd, subcommand].filter(Boolean).join(' ');
+    const what = flag ? `flag ${flag}` : pattern ? `pattern /${pattern}/` : `subcommand ${subcommand}`;
+    const messages = {
+      block: `❌ ${flag || pattern ? `${what} is now denied for '${scope}'` : `'${scope}' is now blocked`}`,
+      allow: `✅ ${flag || pattern ? `${what} is no longer denied for '${scope}'` : `'${scope}' is now allowed`}`,
+      ask: `❓ ${flag || pattern ? `${what} of '${scope}'` : `'${scope}'`} now runs only after approval`
+    };
+    const runnable = this.getCurrentAllowed().includes(cmd) || this.getCurrentAsk().includes(cmd);
+    return this.wrap({
+      success: true,
+      message: messages[mode],
+      warning: mode !== 'block' && !runnable ? `'${cmd}' itself is still not allowed` : undefined,
+      rule: describeRule(rules[cmd])
+    });
+  }
+
+  async viewConfig() {
+    return this.wrap(this.configView());
+  }
+
+  configView() {
+    const currentAllowed = this.getCurrentAllowed();
+    const currentBlocked = this.getCurrentBlocked();
+    const system = this.system.policy;
+    const locked = system.locked.commands;
+    const [user] = this.unlockedLayers(null);
+
+    // Which layer put a command on its list
+    const annotate = (cmd, key, verb) => {
+      const lock = locked.includes(cmd) ? ' 🔒' : '';
+      if (user[key].includes(cmd)) return `${cmd} ✨ (${verb} by override)`;
+      if (system[key].includes(cmd)) return `${cmd} 🏢${lock} (${verb} by system policy)`;
+      return cmd + lock;
+    };
+    const allowedWithIndicators = currentAllowed.map(cmd => annotate(cmd, 'allowOverrides', 'allowed'));
+    const blockedWithIndicators = currentBlocked.map(cmd => annotate(cmd, 'blockOverrides', 'blocked'));
+    const askWithIndicators = this.getCurrentAsk().map(cmd => `${cmd} ❓` + (user.askOverrides.includes(cmd) ? ' ✨' : system.askOverrides.includes(cmd) ? ' 🏢' : '') + (locked.includes(cmd) ? ' 🔒' : ''));
+    const ruleLayer = cmd => (cmd in user.commandRules ? ' ✨' : cmd in system.commandRules ? ' 🏢' : '') + (locked.includes(cmd) ? ' 🔒' : '');
+    const project = this.projectFor(this.effective.defaultCwd);
+    const ignored = this.lockedCommandsIn(this.configSections());
+    const warnings = [
+      this.configError && `⚠️ ${this.configError.message}. ${this.configError.effect}; the invalid file was kept as ${this.configError.backup}.`,
+      this.system.error && `⚠️ ${this.system.error.message}. ${this.system.error.effect}.`,
+      this.sandbox.error && `⚠️ sandbox is bubblewrap but ${this.sandbox.error}; commands are refused.`,
+      this.sandbox.mode === 'auto' && this.sandbox.reason && `⚠️ sandbox is auto but ${this.sandbox.reason}; commands run without it.`
+    ].filter(Boolean);
+
+    return {
       summary: {
         version: '1.0.6',
+        configVersion: CONFIG_VERSION,
         totalAllowed: currentAllowed.length,
         totalBlocked: currentBlocked.length,
+        totalAsk: this.askOverrides.length,
         allowOverrides: this.allowOverrides.length,
-        blockOverrides: this.blockOverrides.length
+        blockOverrides: this.blockOverrides.length,
+        ruleOverrides: Object.keys(this.commandRules).length,
+        activeProfile: this.activeProfile,
+        limitOverrides: Object.keys(this.resourceLimits.commands || {}).length
+      },
+      warning: warnings.length ? warnings.join(' ') : undefined,
+      layers: {
+        system: {
+          path: this.system.path,
+          loaded: this.system.loaded,
+          description: system.description,
+          locked: system.locked,
+          error: this.system.error ?? undefined
+        },
+        user: {
+          path: this.configPath,
+          ignored_locked: ignored.length ? ignored : undefined
+        },
+        project: project && { path: project.path, description: project.policy?.description, error: project.error }
       },
       breakdown: {
         currentlyAllowed: allowedWithIndicators.sort(),
         currentlyBlocked: blockedWithIndicators.sort(),
+        currentlyAsk: askWithIndicators.sort(),
         overrides: {
           allowed: this.allowOverrides,
-          blocked: this.blockOverrides
+          blocked: this.blockOverrides,
+          ask: this.askOverrides
+        },
+        rules: Object.fromEntries(Object.entries(this.getCurrentRules()).sort().map(([cmd, rule]) => [
+          cmd + ruleLayer(cmd),
+          describeRule(rule)
+        ])),
+        resourceLimits: {
+          default: { ...this.DEFAULT_LIMITS, ...this.resourceLimits.default },
+          commands: this.resourceLimits.commands || {},
+          system: this.system.loaded ? system.resourceLimits : undefined
+        },
+        profiles: Object.values(this.getProfiles()).map(p => p.name + (p.builtin ? '' : ' ✨') + (p.name === this.activeProfile ? ' (active)' : '')),
+        environment: {
+          path: this.envPolicy.path ?? 'inherited',
+          allow: this.envPolicy.allow,
+          deny: this.envPolicy.deny,
+          settable: this.envPolicy.settable,
+          pinned: Object.keys(this.envPolicy.pins),
+          withheld: commandEnv(this.envPolicy).removed
+        },
+        network: {
+          allow: this.networkPolicy.allow.map(({ host, methods, uploads }) => `${host} (${methods.join(', ')}${uploads ? ', uploads' : ''})`),
+          deny: this.networkPolicy.deny
         }
       },
       legend: {
         '✨': 'Modified from defaults',
         '🚫': 'Blocked by override',
-        '✅': 'Allowed by override'
+        '✅': 'Allowed by override',
+        '🏢': 'Set by the system policy',
+        '🔒': 'Locked by the system policy',
+        '❓': 'Runs only after approval'
       },
       settings: {
-        timeout: `${TIMEOUT_MS / 1000} seconds`,
-        maxOutputLines: MAX_LINES,
-        allowedDirectories: ALLOWED_DIRS.length
+        timeout: `${this.effective.timeoutMs / 1000} seconds`,
+        killGracePeriod: `${this.effective.killGraceMs / 1000} seconds`,
+        maxOutputLines: this.effective.maxLines,
+        outputTailLines: this.effective.tailLines,
+        maxOutputKb: this.effective.outputLimits.maxBytes / 1024,
+        allowedDirectories: this.effective.allowedDirs.length,
+        defaultWorkingDirectory: this.effective.defaultCwd,
+        readOnlyDirectories: this.effective.readOnlyDirs.length,
+        secretRedaction: this.effective.redactSecrets ? this.redactions.map(p => p.name) : 'off'
       }
     };
-    
-    return this.wrap(config);
   }
 
   async resetConfig(confirm) {
@@ -473,9 +2885,17 @@ class SecureTerminal {
     
     const oldAllowOverrides = [...this.allowOverrides];
     const oldBlockOverrides = [...this.blockOverrides];
+    const oldAskOverrides = [...this.askOverrides];
+    const oldCommandRules = this.commandRules;
+    const oldResourceLimits = this.resourceLimits;
+    const oldRedactPatterns = this.redactPatterns;
+    const oldProfiles = this.profiles;
+    const oldActiveProfile = this.activeProfile;
+    const oldEnvironment = this.environment;
+    const oldNetwork = this.network;
     
-    this.allowOverrides = [];
-    this.blockOverrides = [];
+    // Settings are not overrides; they stay
+    this.applyConfig({ ...this.checkConfig({ configVersion: CONFIG_VERSION }).sections, settings: this.settings });
     
     await this.saveConfig();
     await this.audit({ 
@@ -483,6 +2903,14 @@ class SecureTerminal {
       action: 'reset_config', 
       oldAllowOverrides, 
       oldBlockOverrides, 
+      oldAskOverrides, 
+      oldCommandRules, 
+      oldResourceLimits, 
+      oldRedactPatterns, 
+      oldProfiles, 
+      oldActiveProfile, 
+      oldEnvironment, 
+      oldNetwork, 
       success: true 
     });
     
@@ -491,7 +2919,15 @@ class SecureTerminal {
       message: '🔄 Configuration reset to secure defaults',
       removed: {
         allowOverrides: oldAllowOverrides,
-        blockOverrides: oldBlockOverrides
+        blockOverrides: oldBlockOverrides,
+        askOverrides: oldAskOverrides,
+        commandRules: Object.keys(oldCommandRules),
+        resourceLimits: oldResourceLimits,
+        redactPatterns: oldRedactPatterns,
+        profiles: Object.keys(oldProfiles),
+        activeProfile: oldActiveProfile,
+        environment: oldEnvironment,
+        network: oldNetwork
       },
       currentAllowed: this.getCurrentAllowed().length,
       currentBlocked: this.getCurrentBlocked().length
@@ -500,15 +2936,53 @@ class SecureTerminal {
     return this.wrap(result);
   }
 
+  async reload() {
+    let system;
+    try {
+      system = await this.reloadSystemPolicy('tool');
+    } catch (error) {
+      return this.wrap({
+        success: false,
+        error: `Reload failed: ${error.message}`,
+        errors: error.errors?.length ? error.errors : undefined,
+        hint: `The previous system policy stays in use; ${this.system.path} needs fixing by an administrator`
+      });
+    }
+    try {
+      const { changes, migratedFrom } = await this.reloadConfig('tool');
+      return this.wrap({
+        success: true,
+        message: Object.keys(changes).length || system ? '🔄 Configuration reloaded' : '🔄 Configuration reloaded; nothing changed',
+        migrated_from: migratedFrom,
+        system_policy: system ? { path: this.system.path, loaded: this.system.loaded, settings: system.length ? system : undefined } : undefined,
+        changes
+      });
+    } catch (error) {
+      return this.wrap({
+        success: false,
+        error: `Reload failed: ${error.message}`,
+        errors: error.errors?.length ? error.errors : undefined,
+        backup: error instanceof ConfigError ? this.configError.backup : undefined,
+        hint: 'The current configuration stays in use; fix terminal-config.json and reload again'
+      });
+    }
+  }
+
   async exportConfig() {
     const config = {
       version: '1.0.6',
+      configVersion: CONFIG_VERSION,
       exportedAt: new Date().toISOString(),
-      allowOverrides: this.allowOverrides,
-      blockOverrides: this.blockOverrides,
+      ...this.configSections(),
       defaults: {
         allowed: this.DEFAULT_ALLOWED,
-        blocked: this.DEFAULT_BLOCKED
+        blocked: this.DEFAULT_BLOCKED,
+        rules: this.DEFAULT_RULES,
+        limits: this.DEFAULT_LIMITS,
+        redactions: BUILTIN_PATTERNS.map(p => p.name),
+        profiles: this.DEFAULT_PROFILES,
+        environment: DEFAULT_ENVIRONMENT,
+        network: DEFAULT_NETWORK
       }
     };
     
@@ -519,49 +2993,67 @@ class SecureTerminal {
     });
   }
 
-  async importConfig(configJson) {
+  // `replace` swaps the whole configuration; `merge` adds the given sections
+  // on top of the current one (see mergeConfigs)
+  async importConfig(configJson, { mode = 'replace', preview = false } = {}) {
     try {
-      const config = JSON.parse(configJson);
-      
-      // Validate config structure
-      if (!config.allowOverrides || !Array.isArray(config.allowOverrides)) {
-        throw new Error('Invalid config: allowOverrides must be an array');
-      }
-      if (!config.blockOverrides || !Array.isArray(config.blockOverrides)) {
-        throw new Error('Invalid config: blockOverrides must be an array');
-      }
-      
-      // Validate command formats
-      const allOverrides = [...config.allowOverrides, ...config.blockOverrides];
-      for (const cmd of allOverrides) {
-        if (typeof cmd !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(cmd)) {
-          throw new Error(`Invalid command format: ${cmd}`);
-        }
+      if (!['replace', 'merge'].includes(mode)) throw new Error(`Unknown mode ${mode}; use replace or merge`);
+      const raw = this.parseConfigJson(configJson);
+      const { sections: incoming, from } = this.checkConfig(raw);
+      const oldConfig = this.configSections();
+      // Settings (directories, timeouts, limits) only change by editing the file
+      const settingsIgnored = raw.settings !== undefined && JSON.stringify(incoming.settings) !== JSON.stringify(oldConfig.settings);
+      incoming.settings = oldConfig.settings;
+      const newConfig = mode === 'merge'
+        ? this.checkConfig({ configVersion: CONFIG_VERSION, ...mergeConfigs(oldConfig, incoming, CONFIG_SECTIONS.filter(key => key in raw)) }).sections
+        : incoming;
+      const had = this.lockedCommandsIn(oldConfig);
+      const locked = this.lockedCommandsIn(newConfig).filter(cmd => !had.includes(cmd));
+      if (locked.length) return this.lockedRefusal(locked);
+      const changes = diffConfigs(oldConfig, newConfig);
+      const migratedFrom = from < CONFIG_VERSION ? from : undefined;
+
+      if (preview) {
+        return this.wrap({
+          success: true,
+          preview: true,
+          mode,
+          migrated_from: migratedFrom,
+          settings_ignored: settingsIgnored || undefined,
+          message: Object.keys(changes).length ? '👀 Import preview; nothing was changed' : '👀 Importing this would change nothing',
+          changes
+        });
       }
-      
-      const oldConfig = {
-        allowOverrides: [...this.allowOverrides],
-        blockOverrides: [...this.blockOverrides]
-      };
-      
-      this.allowOverrides = config.allowOverrides;
-      this.blockOverrides = config.blockOverrides;
+
+      this.applyConfig(newConfig);
       
       await this.saveConfig();
       await this.audit({ 
         ts: new Date().toISOString(), 
         action: 'import_config', 
+        mode, 
+        migratedFrom, 
         oldConfig, 
-        newConfig: { allowOverrides: this.allowOverrides, blockOverrides: this.blockOverrides },
+        newConfig, 
         success: true 
       });
       
       const result = {
         success: true,
-        message: '📥 Configuration imported successfully',
+        message: `📥 Configuration ${mode === 'merge' ? 'merged' : 'imported'} successfully`,
+        mode,
+        migrated_from: migratedFrom,
+        settings_ignored: settingsIgnored || undefined,
+        changes,
         imported: {
           allowOverrides: this.allowOverrides,
-          blockOverrides: this.blockOverrides
+          blockOverrides: this.blockOverrides,
+          askOverrides: this.askOverrides,
+          commandRules: Object.keys(this.commandRules),
+          resourceLimits: this.resourceLimits,
+          redactPatterns: this.redactPatterns,
+          profiles: Object.keys(this.profiles),
+          activeProfile: this.activeProfile
         },
         currentAllowed: this.getCurrentAllowed().length,
         currentBlocked: this.getCurrentBlocked().length
@@ -573,11 +3065,128 @@ class SecureTerminal {
       return this.wrap({
         success: false,
         error: `Import failed: ${error.message}`,
-        hint: 'Make sure the JSON is valid and contains allowOverrides and blockOverrides arrays'
+        errors: error.errors?.length ? error.errors : undefined,
+        hint: 'Make sure the JSON is valid and matches the configuration schema (see export_config)'
       });
     }
   }
 
+  /* ------------------- Profiles ------------------------------- */
+  describeProfile(profile) {
+    return {
+      name: profile.name,
+      description: profile.description,
+      builtin: profile.builtin,
+      active: profile.name === this.activeProfile,
+      allow: profile.allowOverrides || [],
+      block: profile.blockOverrides || [],
+      ask: profile.askOverrides || [],
+      rules: Object.keys(profile.commandRules || {}),
+      timeout_seconds: this.timeoutFor(profile) / 1000,
+      allowed_directories: profile.dirs ?? undefined,
+      auto_select: profile.autoDirs.length ? profile.autoDirs : undefined,
+      read_only: profile.readOnly || undefined
+    };
+  }
+
+  async listProfiles() {
+    return this.wrap({
+      active: this.activeProfile,
+      default_working_directory: { path: this.effective.defaultCwd, profile: this.profileFor(this.effective.defaultCwd)?.name ?? null },
+      profiles: Object.values(this.getProfiles()).map(p => this.describeProfile(p))
+    });
+  }
+
+  // Given fields replace the based_on profile's fields wholesale
+  async createProfile(args) {
+    const { name, based_on: basedOn, replace } = args;
+    if (typeof name !== 'string' || !PROFILE_NAME.test(name) || name === 'none') {
+      return this.wrap({ success: false, error: 'Invalid profile name. Use only letters, numbers, hyphens, and underscores ("none" is reserved).' });
+    }
+    const existing = { ...this.DEFAULT_PROFILES, ...this.profiles };
+    if (name in existing && !replace) return this.wrap({ success: false, error: `Profile ${name} already exists; pass replace: true to overwrite it` });
+    if (basedOn !== undefined && !(basedOn in existing)) return this.wrap({ success: false, error: `Unknown profile ${basedOn}` });
+    const given = { allowOverrides: args.allow, blockOverrides: args.block, askOverrides: args.ask, commandRules: args.command_rules };
+    const locked = lockedIn(given, this.system.policy.locked.commands);
+    if (locked.length) return this.lockedRefusal(locked);
+
+    const profile = structuredClone(basedOn ? existing[basedOn] : {});
+    const fields = {
+      description: args.description,
+      allowOverrides: args.allow,
+      blockOverrides: args.block,
+      askOverrides: args.ask,
+      commandRules: args.command_rules,
+      timeoutSeconds: args.timeout_seconds,
+      allowedDirectories: args.allowed_directories,
+      autoSelect: args.auto_select,
+      readOnly: args.read_only
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) profile[key] = value;
+    }
+    try {
+      validateProfile(profile, `profile ${name}`);
+    } catch (e) {
+      return this.wrap({ success: false, error: e.message });
+    }
+
+    const oldProfile = existing[name];
+    this.profiles = { ...this.profiles, [name]: profile };
+    await this.saveConfig();
+    await this.audit({ ts: new Date().toISOString(), action: 'create_profile', profile: name, basedOn, oldProfile, newProfile: profile, success: true });
+    return this.wrap({
+      success: true,
+      message: `🗂️ Profile ${name} ${oldProfile ? 'replaced' : 'created'}`,
+      profile: this.describeProfile(this.getProfiles()[name])
+    });
+  }
+
+  async switchProfile(name) {
+    const target = name === 'none' || name === null || name === undefined ? null : name;
+    if (target !== null && !(target in this.getProfiles())) return this.wrap({ success: false, error: `Unknown profile ${name}` });
+
+    const previous = this.activeProfile;
+    this.activeProfile = target;
+    await this.saveConfig();
+    await this.audit({ ts: new Date().toISOString(), action: 'switch_profile', from: previous, to: target, success: true });
+
+    const here = this.profileFor(this.effective.defaultCwd);
+    return this.wrap({
+      success: true,
+      message: target ? `🔀 Profile ${target} is now active` : '🔀 No profile is active',
+      previous,
+      warning: (here?.name ?? null) !== target ? `Commands in the default working directory use ${here?.name ?? 'no profile'} (autoSelect)` : undefined
+    });
+  }
+
+  async diffProfiles(from = this.activeProfile ?? 'none', to) {
+    const profiles = this.getProfiles();
+    for (const name of [from, to]) {
+      if (name !== 'none' && !profiles[name]) return this.wrap({ success: false, error: `Unknown profile ${name}` });
+    }
+    const policy = name => this.effectivePolicy(name === 'none' ? null : profiles[name]);
+    const changes = diffPolicies(policy(from), policy(to));
+    return this.wrap({ from, to, identical: Object.values(changes).every(c => c === undefined), changes });
+  }
+
+  async deleteProfile(name) {
+    if (!(name in this.profiles)) {
+      return this.wrap({ success: false, error: name in this.DEFAULT_PROFILES ? `${name} is a built-in profile and cannot be deleted` : `Unknown profile ${name}` });
+    }
+    const { [name]: oldProfile, ...rest } = this.profiles;
+    this.profiles = rest;
+    const builtin = name in this.DEFAULT_PROFILES;
+    if (this.activeProfile === name && !builtin) this.activeProfile = null;
+    await this.saveConfig();
+    await this.audit({ ts: new Date().toISOString(), action: 'delete_profile', profile: name, oldProfile, success: true });
+    return this.wrap({
+      success: true,
+      message: `🗑️ Profile ${name} deleted${builtin ? '; the built-in profile of that name applies again' : ''}`,
+      active: this.activeProfile
+    });
+  }
+
   /* ------------------- Tool impls ----------------------------- */
   wrap(obj) { return { content: [{ type: 'text', text: JSON.stringify(obj, null, 2) }] }; }
 
@@ -585,42 +3194,136 @@ class SecureTerminal {
     return this.wrap({ 
       allowed: this.getCurrentAllowed(), 
       blocked: this.getCurrentBlocked(),
+      ask: this.getCurrentAsk(),
       overrides: {
         allow: this.allowOverrides,
-        block: this.blockOverrides
+        block: this.blockOverrides,
+        ask: this.askOverrides
       }
     }); 
   }
   
   async status() { 
-    return this.wrap({ 
+    return this.wrap(this.statusView());
+  }
+
+  statusView() {
+    return { 
       version: '1.0.6', 
       sdk: sdkVer, 
-      timeout_ms: TIMEOUT_MS, 
-      max_lines: MAX_LINES, 
-      allowed_dirs: ALLOWED_DIRS,
+      timeout_ms: this.effective.timeoutMs, 
+      max_lines: this.effective.maxLines, 
+      output: { ...this.effective.outputLimits, retained_outputs: this.outputs.entries.size },
+      kill_grace_ms: this.effective.killGraceMs,
+      default_limits: { ...this.DEFAULT_LIMITS, ...this.resourceLimits.default },
+      allowed_dirs: this.effective.allowedDirs,
+      default_cwd: this.effective.defaultCwd,
+      readonly_dirs: this.effective.readOnlyDirs,
+      config: { version: CONFIG_VERSION, settings: this.effective.sources, error: this.configError ?? undefined },
+      layers: {
+        system: { path: this.system.path, loaded: this.system.loaded, locked: this.system.policy.locked, error: this.system.error ?? undefined },
+        project: this.projectFor(this.effective.defaultCwd)?.path ?? null
+      },
       commands: {
         allowed: this.getCurrentAllowed().length,
         blocked: this.getCurrentBlocked().length,
-        overrides: this.allowOverrides.length + this.blockOverrides.length
+        ask: this.getCurrentAsk().length,
+        overrides: this.allowOverrides.length + this.blockOverrides.length + this.askOverrides.length
+      },
+      approvals: {
+        pending: [...this.approvals.pending.values()].filter(r => r.client === this.clientId()).map(r => this.approvals.describe(r)),
+        remembered: [...(this.connection()?.approvedKeys || [])]
+      },
+      profiles: {
+        active: this.activeProfile,
+        default_working_directory: this.profileFor(this.effective.defaultCwd)?.name ?? null,
+        available: Object.keys(this.getProfiles())
+      },
+      environment: {
+        path: this.envPolicy.path ?? 'inherited',
+        withheld: commandEnv(this.envPolicy).removed.length,
+        pinned: Object.keys(this.envPolicy.pins)
+      },
+      sandbox: { ...this.sandboxView(), binary: this.sandbox.executor?.binary },
+      quotas: this.quotas.usage(),
+      clients: {
+        you: this.clientId(),
+        connected: [...this.connections].map(({ client, info, since }) => ({ id: client.id, auth: client.auth, transport: client.transport, name: info?.name, since }))
+      },
+      redaction: {
+        enabled: this.effective.redactSecrets,
+        patterns: this.redactions.map(p => p.name)
+      },
+      audit: {
+        version: AUDIT_VERSION,
+        log_all_commands: this.effective.logAllCommands,
+        records: this.auditLog.state?.seq,
+        rotate_at_mb: AUDIT_MAX_BYTES / 1024 / 1024,
+        rotate_after_days: AUDIT_MAX_AGE_MS / 86400000,
+        last_error: this.auditError ?? undefined
       }
-    }); 
+    }; 
   }
   
-  async history(q, limit = 20) {
+  async history(args) {
+    const limit = Math.max(1, args.limit ?? 20);
+    const found = await this.queryHistory(args, limit);
+    if (found.error) return this.wrap({ success: false, error: found.error });
+    return this.wrap({
+      count: found.count,
+      returned: found.entries.length,
+      records: found.entries.reverse().map(({ record: { prev, hash, ...rest } }) => rest)
+    });
+  }
+
+  async historyReport(args) {
+    const found = await this.queryHistory(args);
+    if (found.error) return this.wrap({ success: false, error: found.error });
+    return this.wrap(historyReport(found.entries, { top: Math.max(1, args.top ?? 10) }));
+  }
+
+  // The last `limit` matching audit records, oldest first, and how many matched
+  async queryHistory(args, limit = Infinity) {
+    let filter;
     try {
-      const data = await fs.readFile(this.auditPath, 'utf8');
-      const matches = data.split('\n').filter(l => l.includes(q)).slice(-limit).map(line => {
-        try { return JSON.parse(line); } catch { return null; }
-      }).filter(Boolean);
-      return this.wrap({ query: q, matches });
-    } catch {
-      return this.wrap({ query: q, matches: [] });
+      filter = historyFilter(args);
+    } catch (e) {
+      return { error: e.message };
     }
+    const entries = [];
+    let count = 0;
+    for await (const record of this.auditLog.records({ includeArchives: !!args.include_archives })) {
+      const entry = normalize(record);
+      if (!matches(entry, filter)) continue;
+      count++;
+      entries.push(entry);
+      if (entries.length > limit) entries.shift();
+    }
+    return { entries, count };
   }
 
+  // A failed audit write doesn't fail the tool call, but is logged and reported by
+  // get_terminal_status. Records made while handling a request name its client.
   async audit(rec) {
-    await fs.appendFile(this.auditPath, JSON.stringify(rec) + "\n").catch(() => { });
+    try {
+      const client = this.clientId();
+      const record = client && rec.client === undefined ? { ...rec, client } : rec;
+      const { value, count } = this.effective.redactSecrets ? redactValue(record, this.redactions) : { value: record, count: 0 };
+      await this.auditLog.append(count ? { ...value, redactions: count } : value);
+      this.auditError = null;
+      await this.resourcesChanged('terminal://audit/recent', 'terminal://status');
+    } catch (e) {
+      this.auditError = `${new Date().toISOString()} ${e.message}`;
+      await this.log('ERROR', `Audit write failed: ${e.message}`);
+    }
+  }
+
+  async verifyAudit(includeArchives = false) {
+    const result = await this.auditLog.verify({ includeArchives });
+    return this.wrap({
+      ...result,
+      message: result.valid ? '✅ Audit log chain is intact' : `❌ Audit log failed verification (${result.problem_count} problems)`
+    });
   }
   
   async log(lvl, msg) {
@@ -631,7 +3334,10 @@ class SecureTerminal {
 
   /* ------------------- Shutdown hooks ------------------------- */
   setupShutdown() {
-    const bye = sig => { this.log('INFO', `Shutdown ${sig}`).then(() => process.exit(0)); };
+    const bye = sig => {
+      this.jobs.running().forEach(job => this.stopJob(job, 'cancelled'));
+      this.log('INFO', `Shutdown ${sig}`).then(() => process.exit(0));
+    };
     process.on('SIGINT', () => bye('SIGINT'));
     process.on('SIGTERM', () => bye('SIGTERM'));
     process.on('unhandledRejection', e => this.log('ERROR', 'unhandledRejection ' + (e.stack || e)));
@@ -639,9 +3345,77 @@ class SecureTerminal {
   }
 }
 
+function denied(code, message, segment) {
+  return { code, message, segment };
+}
+
+// The part of an argument checked as a path, or null for flags and URLs
+function pathOperand(tok) {
+  const value = /^-{0,2}[\w.-]+=/.test(tok) ? tok.slice(tok.indexOf('=') + 1) : tok;   // --file=/path, if=/path
+  if (!value || value.startsWith('-')) return null;                                   // flags
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) return null;                           // URLs aren't paths
+  return value;
+}
+
+// A segment's arguments after the shell's variable and pathname expansion with
+// `env`, from each of `cwds`: `args` for the rule and network checks, and the
+// `operands` that may name paths, each { value, dirs } to check from those
+// directories, or { value, unresolved: true } for a word only the shell can expand
+function expandSegment(seg, redirects, env, assigned, cwds) {
+  const expand = (word, redirect) => {
+    const unresolved = [{ value: word.raw, arg: word.value, unresolved: true }];
+    const expanded = expandWord(word, env, assigned);
+    if (!expanded) return unresolved;
+    if (!expanded.pattern) return [{ value: expanded.value, dirs: [...cwds] }];
+    const found = [];
+    for (const dir of cwds) {
+      const matches = expandGlob(expanded.pattern, dir);
+      if (!matches) return unresolved;
+      found.push(...matches.map(value => ({ value, dirs: [dir] })));
+    }
+    // dash doesn't expand redirection targets
+    if (redirect) found.push({ value: expanded.value, dirs: [...cwds] });
+    return found;
+  };
+  const args = [], operands = [];
+  for (const word of seg.words.slice(1)) {
+    const found = expand(word, false);
+    args.push(...new Set(found.map(o => o.arg ?? o.value)));
+    operands.push(...found);
+  }
+  redirects.forEach(r => operands.push(...expand(r.word, true)));
+  return { args, operands: operands.filter(o => pathOperand(o.arg ?? o.value) !== null) };
+}
+
+// Where an output redirection writes, as written when it can't be expanded
+function redirectTarget(r, env, assigned) {
+  const expanded = expandWord(r.word, env, assigned);
+  return expanded && !expanded.pattern ? expanded.value : r.target;
+}
+
 /* -------------------- bootstrap ------------------------------- */
 (async () => {
   const app = new SecureTerminal();
+  try {
+    await app.ready;
+  } catch (e) {
+    await app.log('ERROR', `Cannot load configuration: ${e.message}`);
+    console.error(`Cannot load configuration: ${e.message}`);
+    process.exit(1);
+  }
+
+  // Several authenticated clients over HTTP (see http-transport.js), or the one on stdio
+  if (process.env.TRANSPORT === 'http') {
+    try {
+      await startHttpServer(app, httpOptions());
+    } catch (e) {
+      await app.log('ERROR', `Cannot start the HTTP transport: ${e.message}`);
+      console.error(`Cannot start the HTTP transport: ${e.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   const transport = new StdioServerTransport();
 
   if (process.env.DEBUG_PROTOCOL === 'true') {
@@ -650,6 +3424,6 @@ class SecureTerminal {
     transport.write = m => { console.error('[DEBUG ⇠]', m.toString().trim()); return baseWrite(m); };
   }
 
-  await app.server.connect(transport);
+  await app.connect({ id: 'stdio', auth: 'none', transport: 'stdio' }).server.connect(transport);
   setInterval(() => { }, 1 << 30); // keep event loop alive
 })();
\ No newline at end of file
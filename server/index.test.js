@@ -0,0 +1,256 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, existsSync, mkdirSync, symlinkSync } from 'fs';
+import { join } from 'path';
+import { startServer } from './testing.js';
+
+describe('path operands', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ files: { 'a.txt': 'a\n', 'b.txt': 'b\n', 'sub/c.txt': 'c\n' } });
+    symlinkSync('/etc', join(server.work, 'etc.txt'));
+  });
+  after(() => server.close());
+  const run = (command, args) => server.call('execute_command', { command, ...args });
+
+  test('globs are expanded and every match is checked', async () => {
+    const ok = await run('cat [ab].txt sub/*.txt');
+    assert.equal(ok.stdout, 'a\nb\nc\n');
+    const res = await run('ls *.txt');
+    assert.equal(res.reason.code, 'path_denied');
+    assert.match(res.error, /etc\.txt/);
+  });
+
+  test('variables are expanded from the command environment', async () => {
+    const ok = await run('cat "$LANG"/c.txt', { env: { LANG: 'sub' } });
+    assert.equal(ok.stdout, 'c\n');
+    const outside = await run('cat $LANG/passwd', { env: { LANG: '/etc' } });
+    assert.equal(outside.reason.code, 'path_denied');
+    assert.match(outside.error, /\/etc\/passwd/);
+  });
+
+  test('what only the shell can expand is refused', async () => {
+    for (const command of ['cat $(echo a.txt)', 'cat "$1"', 'cat {a,b}.txt']) {
+      const res = await run(command);
+      assert.equal(res.reason.code, 'path_denied', command);
+    }
+  });
+
+  test('redirections and write targets must be inside an allowed directory', async () => {
+    const ok = await run('echo hi > out.txt 2>&1; cat out.txt; echo gone > /dev/null');
+    assert.equal(ok.stdout, 'hi\n');
+    for (const command of ['echo hi > ../outside.txt', 'echo hi >> /tmp/x.txt', 'tar -cf /tmp/a.tar a.txt', 'echo hi > "$LANG"/x']) {
+      const res = await run(command, { env: { LANG: '/etc' } });
+      assert.equal(res.reason?.code, 'write_denied', command);
+    }
+    assert.ok(!existsSync(join(server.root, 'outside.txt')));
+  });
+
+  test('dry runs show the expanded paths', async () => {
+    const res = await server.call('explain_command', { command: 'cat [ab].txt' });
+    assert.deepEqual(res.segments[0].paths.map(p => [p.arg, p.allowed]), [['a.txt', true], ['b.txt', true]]);
+  });
+});
+
+describe('sessions', () => {
+  const fakeLs = '#!/bin/sh\necho fake\n';
+  let server;
+  before(async () => {
+    server = await startServer({
+      config: { allowOverrides: ['source', 'nvm'] },
+      env: ({ work }) => ({ NVM_DIR: join(work, 'nvm'), READONLY_DIRECTORIES: join(work, 'ro') }),
+      files: {
+        'nvm/versions/node/v20.1.0/bin/node': '#!/bin/sh\necho node\n',
+        '.venv/bin/activate': '', '.venv/bin/ls': fakeLs,
+        'ro/.venv/bin/activate': '', 'ro/.venv/bin/ls': fakeLs,
+      },
+    });
+    for (const venv of ['.venv', 'ro/.venv']) chmodSync(join(server.work, venv, 'bin/ls'), 0o755);
+    // An installed version that links out of the allowed directory
+    const outside = join(server.root, 'elsewhere', 'v18.2.0');
+    mkdirSync(join(outside, 'bin'), { recursive: true });
+    symlinkSync(outside, join(server.work, 'nvm/versions/node/v18.2.0'));
+  });
+  after(() => server.close());
+
+  test('cd and exports carry over to the next call', async () => {
+    const { session_id } = await server.call('create_session', {});
+    const exec = command => server.call('session_exec', { session_id, command });
+    assert.equal((await exec('cd nvm && export NODE_ENV=test')).success, true);
+    const next = await exec('ls; echo "$NODE_ENV"');
+    assert.equal(next.stdout, 'versions\ntest\n');
+    assert.equal(next.session.cwd, join(server.work, 'nvm'));
+
+    const outside = await exec('cd /etc');
+    assert.equal(outside.reason?.code, 'cwd_denied');
+    assert.equal((await exec('echo still')).session.cwd, join(server.work, 'nvm'));
+  });
+
+  test('nvm use stays inside the allowed directories', async () => {
+    const { session_id } = await server.call('create_session', {});
+    const ok = await server.call('session_exec', { session_id, command: 'nvm use 20' });
+    assert.equal(ok.success, true);
+    assert.equal(ok.session.node, join(server.work, 'nvm/versions/node/v20.1.0'));
+
+    const outside = await server.call('session_exec', { session_id, command: 'nvm use 18' });
+    assert.equal(outside.success, false);
+    assert.match(outside.error, /outside the allowed directories/);
+  });
+
+  test('a session cannot move NVM_DIR', async () => {
+    const { session_id } = await server.call('create_session', {});
+    const res = await server.call('session_exec', { session_id, command: `export NVM_DIR=${server.root}/elsewhere` });
+    assert.equal(res.reason?.code, 'protected_variable');
+  });
+
+  test('a venv binary only shadows the command PATH from a read-only directory', async () => {
+    const { session_id } = await server.call('create_session', {});
+    assert.equal((await server.call('session_exec', { session_id, command: 'source .venv/bin/activate' })).success, true);
+    const res = await server.call('session_exec', { session_id, command: 'ls' });
+    assert.equal(res.reason?.code, 'binary_shadowed');
+
+    await server.call('session_exec', { session_id, command: 'source ro/.venv/bin/activate' });
+    const ro = await server.call('session_exec', { session_id, command: 'ls' });
+    assert.equal(ro.stdout.trim(), 'fake');
+  });
+});
+
+describe('emulated session commands', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      config: { allowOverrides: ['nvm'], askOverrides: ['source'] },
+      env: ({ work }) => ({ NVM_DIR: join(work, 'nvm'), COMMANDS_PER_MINUTE: '2' }),
+      files: { '.venv/bin/activate': '', 'nvm/versions/node/v20.1.0/bin/node': '' },
+    });
+  });
+  after(() => server.close());
+
+  test('follow the command policy and the commands-per-minute quota', async () => {
+    const { session_id } = await server.call('create_session', {});
+    const dot = await server.call('session_exec', { session_id, command: '. .venv/bin/activate' });
+    assert.equal(dot.reason?.code, 'not_allowed');
+
+    const held = await server.call('session_exec', { session_id, command: 'source .venv/bin/activate' });
+    assert.equal(held.pending, true);
+    assert.deepEqual(held.approvals, ['source']);
+    const approved = await server.call('approve_pending', { pending_id: held.pending_id });
+    assert.equal(approved.success, true);
+    assert.equal(approved.session.virtualenv, join(server.work, '.venv'));
+
+    assert.equal((await server.call('session_exec', { session_id, command: 'nvm use 20' })).success, true);
+    const over = await server.call('session_exec', { session_id, command: 'nvm use 20' });
+    assert.equal(over.reason?.code, 'quota_exceeded');
+  });
+});
+
+describe('command history', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('returns the newest matches and counts them all', async () => {
+    for (const word of ['one', 'two', 'three']) await server.call('execute_command', { command: `echo ${word}` });
+    const res = await server.call('search_command_history', { command: 'echo', limit: 2 });
+    assert.equal(res.count, 3);
+    assert.deepEqual(res.records.map(r => r.command), ['echo three', 'echo two']);
+    const resource = await server.client.readResource({ uri: 'terminal://audit/recent' });
+    assert.equal(JSON.parse(resource.contents[0].text)[0].command, 'echo three');
+  });
+});
+
+describe('configuration changes quota', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ env: { CONFIG_CHANGES_PER_HOUR: '2' } });
+  });
+  after(() => server.close());
+
+  test('no-op calls are free and concurrent calls cannot overshoot', async () => {
+    for (let i = 0; i < 3; i++) assert.equal((await server.call('allow_command', { command: 'ls' })).success, true);
+
+    const results = await Promise.all(['jq', 'tree', 'make'].map(command => server.call('allow_command', { command })));
+    assert.equal(results.filter(r => r.success).length, 2);
+    assert.deepEqual(results.filter(r => !r.success).map(r => r.reason.code), ['quota_exceeded']);
+  });
+});
+
+describe('policy layers', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      config: { allowOverrides: ['curl'] },
+      policy: { blockOverrides: ['curl'], locked: { commands: ['curl'] } },
+      files: { 'a.txt': 'a\n', 'project/.secure-terminal.json': JSON.stringify({ blockOverrides: ['cat'] }), 'project/b.txt': 'b\n' },
+    });
+  });
+  after(() => server.close());
+
+  test('a locked command keeps the system policy\'s decision', async () => {
+    const res = await server.call('execute_command', { command: 'curl https://github.com' });
+    assert.equal(res.reason?.code, 'blocked');
+    const allow = await server.call('allow_command', { command: 'curl' });
+    assert.deepEqual(allow.locked, ['curl']);
+  });
+
+  test('a project policy tightens, and commands cannot change it', async () => {
+    assert.equal((await server.call('execute_command', { command: 'cat a.txt' })).success, true);
+    const inside = await server.call('execute_command', { command: 'cat b.txt', working_directory: join(server.work, 'project') });
+    assert.equal(inside.reason?.code, 'blocked');
+    const write = await server.call('execute_command', { command: 'echo {} > project/.secure-terminal.json' });
+    assert.equal(write.reason?.code, 'write_denied');
+  });
+});
+
+describe('approvals', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ config: { askOverrides: ['echo'] } });
+  });
+  after(() => server.close());
+
+  test('a command on the ask list waits for approve_pending or deny_pending', async () => {
+    const held = await server.call('execute_command', { command: 'echo hi' });
+    assert.equal(held.pending, true);
+    assert.deepEqual(held.approvals, ['echo']);
+    const approved = await server.call('approve_pending', { pending_id: held.pending_id });
+    assert.equal(approved.stdout, 'hi\n');
+    assert.equal((await server.call('approve_pending', { pending_id: held.pending_id })).success, false);
+
+    const again = await server.call('execute_command', { command: 'echo again' });
+    assert.equal((await server.call('deny_pending', { pending_id: again.pending_id, reason: 'no' })).success, true);
+    const actions = (await server.audit()).map(r => r.action).filter(a => a.endsWith('_pending') || a === 'request_approval');
+    assert.deepEqual(actions, ['request_approval', 'approve_pending', 'request_approval', 'deny_pending']);
+  });
+});
+
+describe('file tools', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      env: ({ work }) => ({ READONLY_DIRECTORIES: join(work, 'docs') }),
+      files: { 'a.txt': 'a\n', 'docs/guide.md': '# Guide\n' },
+    });
+    symlinkSync('/etc/hostname', join(server.work, 'hostname'));
+  });
+  after(() => server.close());
+
+  test('read and write only inside the allowed directories', async () => {
+    assert.equal((await server.call('read_file', { path: 'a.txt' })).content, 'a');
+    for (const path of ['/etc/hostname', '../work/../../etc/hostname', 'hostname']) {
+      assert.equal((await server.call('read_file', { path })).reason?.code, 'path_denied', path);
+    }
+    assert.equal((await server.call('write_file', { path: 'b.txt', content: 'b\n' })).success, true);
+    assert.equal((await server.call('write_file', { path: '/tmp/b.txt', content: 'b\n' })).reason?.code, 'path_denied');
+  });
+
+  test('read-only directories and project policy files cannot be written', async () => {
+    assert.equal((await server.call('read_file', { path: 'docs/guide.md' })).content, '# Guide');
+    const docs = await server.call('write_file', { path: 'docs/guide.md', content: 'changed\n' });
+    assert.equal(docs.reason?.code, 'write_denied');
+    const project = await server.call('write_file', { path: '.secure-terminal.json', content: '{}' });
+    assert.equal(project.reason?.code, 'write_denied');
+  });
+});
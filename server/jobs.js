@@ -0,0 +1,108 @@
+/*
+ * Background job registry
+ * -----------------------
+ * Jobs outlive the tool call that started them. Output (stdout and stderr
+ * interleaved, as a terminal would show it) goes into a ring buffer
+ * addressed by absolute offsets, so clients can page with a cursor and are
+ * told how much was dropped when they fall behind.
+ */
+
+import { randomUUID } from 'crypto';
+
+export class OutputBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.data = '';
+    this.end = 0;   // total characters ever written
+  }
+
+  get start() { return this.end - this.data.length; }
+
+  append(chunk) {
+    this.data += chunk;
+    this.end += chunk.length;
+    if (this.data.length > this.capacity) this.data = this.data.slice(this.data.length - this.capacity);
+  }
+
+  // Reads up to `limit` characters from absolute `offset`
+  read(offset, limit) {
+    const from = Math.max(offset, this.start);
+    const text = this.data.slice(from - this.start, from - this.start + limit);
+    return { offset: from, next_offset: from + text.length, dropped: from - offset, output: text };
+  }
+
+  lastLine() {
+    const lines = this.data.trimEnd().split('\n');
+    return lines[lines.length - 1].slice(-200);
+  }
+}
+
+export class JobRegistry {
+  constructor({ maxRunning, maxRetained, bufferSize }) {
+    this.maxRunning = maxRunning;
+    this.maxRetained = maxRetained;
+    this.bufferSize = bufferSize;
+    this.jobs = new Map();
+  }
+
+  running() {
+    return [...this.jobs.values()].filter(j => j.status === 'running');
+  }
+
+  // `client` owns the job: get() hands it to no other client
+  create({ command, cwd, session, timeoutMs, client = null }) {
+    if (this.running().length >= this.maxRunning) {
+      throw new Error(`Job limit reached (${this.maxRunning} running); wait for a job to finish or cancel one`);
+    }
+    this.prune();
+    const job = {
+      id: randomUUID(),
+      client,
+      command,
+      cwd,
+      session: session || null,
+      status: 'running',
+      exitCode: null,
+      timeoutMs,
+      startedAt: Date.now(),
+      finishedAt: null,
+      output: new OutputBuffer(this.bufferSize),
+      child: null,
+    };
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  get(id, client = null) {
+    const job = this.jobs.get(id);
+    return job?.client === client ? job : undefined;
+  }
+
+  owned(client = null) {
+    return [...this.jobs.values()].filter(j => j.client === client);
+  }
+
+  // Drops the oldest finished jobs beyond maxRetained
+  prune() {
+    const finished = [...this.jobs.values()].filter(j => j.status !== 'running');
+    finished.sort((a, b) => a.finishedAt - b.finishedAt);
+    while (finished.length >= this.maxRetained) this.jobs.delete(finished.shift().id);
+  }
+
+  describe(job, now = Date.now()) {
+    return {
+      job_id: job.id,
+      command: job.command,
+      cwd: job.cwd,
+      session: job.session ?? undefined,
+      status: job.status,
+      exit_code: job.exitCode,
+      started: new Date(job.startedAt).toISOString(),
+      finished: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      elapsed_ms: (job.finishedAt ?? now) - job.startedAt,
+      timeout_seconds: job.timeoutMs / 1000,
+      output_chars: job.output.end,
+      output_retained_from: job.output.start,
+    };
+  }
+}
@@ -0,0 +1,135 @@
+/*
+ * Policy layers
+ * -------------
+ * Besides the user's terminal-config.json, policy comes from two more files:
+ *
+ *   system   /etc/claude-secure-terminal/policy.json (or SYSTEM_POLICY_PATH),
+ *            managed by an administrator. Its lists and rules sit between the
+ *            defaults and the user's configuration, its resource limits are
+ *            ceilings, and the commands and settings listed under `locked` keep
+ *            the system's decision whatever the user, a profile or a project says.
+ *   project  .secure-terminal.json in the working directory or one of its
+ *            parents inside the allowed directory. It applies to commands run
+ *            there and can only tighten: block commands or require approval,
+ *            add rules checked on top of the others and lower resource limits.
+ *            Commands may not write or remove it.
+ *
+ * Lists and rules are layered defaults < system < user < profile < project.
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { validateRule } from './command-rules.js';
+import { validateLimits } from './process-tree.js';
+import { compileRedactions } from './redaction.js';
+import { validateNetwork } from './network-policy.js';
+import { isInside } from './path-policy.js';
+import { ConfigError, checkLayerSchema } from './config-schema.js';
+
+export const PROJECT_FILE = '.secure-terminal.json';
+
+const LISTS = ['allowOverrides', 'blockOverrides', 'askOverrides'];
+
+function checkSections(policy, label) {
+  try {
+    for (const [cmd, rule] of Object.entries(policy.commandRules)) validateRule(rule, `commandRules.${cmd}`);
+    const { default: defaults, commands = {} } = policy.resourceLimits;
+    if (defaults !== undefined) validateLimits(defaults, 'resourceLimits.default');
+    for (const [cmd, limits] of Object.entries(commands)) validateLimits(limits, `resourceLimits.commands.${cmd}`);
+    if (policy.redactPatterns) compileRedactions(policy.redactPatterns);
+    if (policy.network) validateNetwork(policy.network);
+  } catch (e) {
+    throw new ConfigError(label, [e.message]);
+  }
+  return policy;
+}
+
+// An empty system policy when there is no file
+export const NO_SYSTEM_POLICY = checkSystemPolicy({});
+
+// Throws ConfigError; returns the policy with every section present
+export function checkSystemPolicy(policy) {
+  return checkSections(checkLayerSchema(policy, 'system'), 'Invalid system policy');
+}
+
+export function checkProjectPolicy(policy) {
+  return checkSections(checkLayerSchema(policy, 'project'), 'Invalid project policy');
+}
+
+// A copy of a layer (the user's lists, a profile) without the locked commands
+export function stripLocked(layer, locked) {
+  if (!layer || !locked.length) return layer;
+  const stripped = { ...layer };
+  for (const key of LISTS) {
+    if (layer[key]) stripped[key] = layer[key].filter(cmd => !locked.includes(cmd));
+  }
+  if (layer.commandRules) {
+    stripped.commandRules = Object.fromEntries(Object.entries(layer.commandRules).filter(([cmd]) => !locked.includes(cmd)));
+  }
+  return stripped;
+}
+
+// Locked commands a layer tries to change
+export function lockedIn(layer, locked) {
+  const touched = [...LISTS.flatMap(key => layer[key] || []), ...Object.keys(layer.commandRules || {})];
+  return [...new Set(touched.filter(cmd => locked.includes(cmd)))];
+}
+
+// Whether writing to, moving or removing `path` could change a project policy:
+// the file itself, or a directory holding it or one of the `known` files
+export function touchesProjectPolicy(path, known = []) {
+  const target = path.replace(/\/+$/, '');
+  return basename(target) === PROJECT_FILE || existsSync(join(target, PROJECT_FILE)) || known.some(file => isInside(file, target));
+}
+
+// Project policy files, re-read when they change
+export class ProjectPolicies {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Files seen so far that still existed when last looked at
+  known() {
+    return [...this.cache.keys()];
+  }
+
+  // The nearest .secure-terminal.json from `cwd` up to the allowed directory it
+  // is in: null, { path, policy } or { path, error }
+  find(cwd, roots) {
+    const root = roots.find(dir => isInside(cwd, dir));
+    if (!root) return null;
+    for (let dir = cwd; ; dir = dirname(dir)) {
+      const path = join(dir, PROJECT_FILE);
+      const project = this.load(path);
+      if (project) return project;
+      if (!isInside(dirname(dir), root) || dirname(dir) === dir) return null;
+    }
+  }
+
+  load(path) {
+    let stat;
+    try {
+      stat = statSync(path);
+    } catch {
+      this.cache.delete(path);
+      return null;
+    }
+    const cached = this.cache.get(path);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.project;
+    let project;
+    try {
+      let raw;
+      try {
+        raw = JSON.parse(readFileSync(path, 'utf8'));
+      } catch (e) {
+        throw new ConfigError('Invalid project policy', [e.message]);
+      }
+      project = { path, policy: checkProjectPolicy(raw) };
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      project = { path, error: e.message };
+    }
+    this.cache.set(path, { mtimeMs: stat.mtimeMs, size: stat.size, project });
+    return project;
+  }
+}
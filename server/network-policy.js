@@ -0,0 +1,294 @@
+/*
+ * Network egress policy
+ * ---------------------
+ * curl, wget, git and the package managers are allowed by default, which on
+ * their own would let a command fetch from or send to any host. validate()
+ * extracts the destinations from their arguments (URLs, `[user@]host:path`
+ * remotes, registry and proxy flags) and checks each against the `network`
+ * policy: hosts, `*.domain` patterns, IP addresses and CIDR ranges to allow
+ * or deny, the HTTP methods curl and wget may use, and whether they may
+ * upload local files (`-d @file`, `-F name=@file`, `-T`, `--post-file`).
+ *
+ * Hosts that aren't valid names or addresses, and curl URLs it would expand
+ * (`{a,b}`, `[1-9]`) without -g, are refused rather than guessed at.
+ *
+ * Host names are not resolved; CIDR entries match URLs that use an address.
+ * Redirects and remotes or registries set in config files are not seen.
+ */
+
+import { BlockList, isIP } from 'net';
+import { CURL_VALUE_SHORT, WGET_VALUE_SHORT, scanArgs } from './path-policy.js';
+
+const ALL_METHODS = ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+export const DEFAULT_NETWORK = {
+  allow: [
+    'github.com', '*.github.com', '*.githubusercontent.com', 'gitlab.com', 'bitbucket.org',
+    'registry.npmjs.org', 'registry.yarnpkg.com', 'pypi.org', 'files.pythonhosted.org',
+    // Local development servers
+    { host: 'localhost', methods: ALL_METHODS },
+    { host: '127.0.0.0/8', methods: ALL_METHODS },
+    { host: '::1', methods: ALL_METHODS },
+  ],
+  // Checked first; cloud metadata endpoints hand out credentials
+  deny: ['169.254.0.0/16', 'fd00:ec2::254', 'metadata.google.internal'],
+  // For allow entries that don't list their own
+  methods: ['GET', 'HEAD'],
+  uploads: false,
+};
+
+const HOST = { type: 'string', pattern: '^(\\*\\.)?[A-Za-z0-9_.-]+$|^[0-9A-Fa-f:.]+(/[0-9]{1,3})?$' };
+const METHODS = { type: 'array', items: { type: 'string', pattern: '^[A-Z]+$' }, uniqueItems: true, minItems: 1 };
+
+export const NETWORK_SCHEMA = {
+  type: 'object',
+  properties: {
+    allow: {
+      type: 'array',
+      items: {
+        anyOf: [
+          HOST,
+          {
+            type: 'object',
+            properties: { host: HOST, methods: METHODS, uploads: { type: 'boolean' } },
+            required: ['host'],
+            additionalProperties: false,
+          },
+        ],
+      },
+    },
+    deny: { type: 'array', items: HOST },
+    methods: METHODS,
+    uploads: { type: 'boolean' },
+  },
+  additionalProperties: false,
+  default: {},
+};
+
+// A function telling whether a (normalized) host matches `pattern`
+function hostPattern(pattern) {
+  const [address, bits] = pattern.split('/');
+  const family = isIP(address);
+  if (family) {
+    const max = family === 4 ? 32 : 128;
+    const prefix = bits === undefined ? max : Number(bits);
+    if (!(prefix >= 0 && prefix <= max)) throw new Error(`invalid CIDR range ${pattern}`);
+    const list = new BlockList();
+    list.addSubnet(address, prefix, `ipv${family}`);
+    return host => isIP(host) !== 0 && list.check(host, `ipv${isIP(host)}`);
+  }
+  if (bits !== undefined) throw new Error(`invalid CIDR range ${pattern}`);
+  const name = pattern.toLowerCase();
+  return name.startsWith('*.') ? host => host.endsWith(name.slice(1)) : host => host === name;
+}
+
+// Throws if a section has a host entry that can't be matched
+export function validateNetwork(section = {}, label = 'network') {
+  const entries = [...(section.allow ?? []).map(e => typeof e === 'string' ? e : e.host), ...(section.deny ?? [])];
+  for (const entry of entries) {
+    try {
+      hostPattern(entry);
+    } catch (e) {
+      throw new Error(`${label}: ${e.message}`);
+    }
+  }
+}
+
+// The network policy with the system policy's and the user's sections on top
+// of the defaults: allow and deny lists add up, the nearest `methods` replaces
+// the default, and the system's `methods` and `uploads: false` are ceilings
+export function resolveNetwork(user = {}, system = {}) {
+  const methods = user.methods ?? system.methods ?? DEFAULT_NETWORK.methods;
+  const uploads = user.uploads ?? system.uploads ?? DEFAULT_NETWORK.uploads;
+  const allow = [...DEFAULT_NETWORK.allow, ...(system.allow ?? []), ...(user.allow ?? [])]
+    .map(entry => typeof entry === 'string' ? { host: entry } : entry)
+    .map(entry => ({
+      host: entry.host,
+      methods: (entry.methods ?? methods).filter(m => !system.methods || system.methods.includes(m)),
+      uploads: (entry.uploads ?? uploads) && system.uploads !== false,
+    }));
+  const deny = [...new Set([...DEFAULT_NETWORK.deny, ...(system.deny ?? []), ...(user.deny ?? [])])];
+  return {
+    allow,
+    deny,
+    allowMatchers: allow.map(entry => ({ ...entry, matches: hostPattern(entry.host) })),
+    denyMatchers: deny.map(pattern => ({ pattern, matches: hostPattern(pattern) })),
+  };
+}
+
+/* ---- Destinations ---- */
+
+const SCHEME = /^[a-z][a-z0-9+.-]*:\/\//i;
+const URL_IN_ARG = /[a-z][a-z0-9+-]*:\/\/[^\s'"<>]+/gi;
+const SCP_REMOTE = /^[\w.-]+@([\w.-]+|\[[0-9a-f:]+\]):/i;
+// git's scp-like `[user@]host:path`: no scheme, and a `:` before any `/`
+const SCP_LIKE = /^(?:[^@/:]+@)?(\[[0-9a-f:]+\]|[^@/:[\]]+):/i;
+// What a host may look like once parsed; anything else (`evil.com,a}`) is
+// something the suffix match can't be trusted with
+const HOSTNAME = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/;
+
+// The host a URL (or a bare `host[:port][/path]`) would connect to, lowercased
+// the way the resolver sees it (`http://2130706433` is 127.0.0.1); null when
+// it can't be parsed or isn't a valid host name or address
+export function hostOf(target) {
+  const scp = !SCHEME.test(target) && !/^[^:/]+:\d*(\/|$)/.test(target) && target.match(SCP_LIKE);   // not host:port
+  const rest = scp ? scp[1] : target.replace(SCHEME, '');
+  try {
+    // Parsed as http so every scheme gets the same host normalization
+    let host = new URL(`http://${rest}`).hostname.toLowerCase().replace(/\.$/, '');
+    if (host.startsWith('[')) host = host.slice(1, -1);
+    return host && (isIP(host) || HOSTNAME.test(host)) ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+const isLocal = url => /^file:/i.test(url);
+
+// Every URL anywhere in the arguments, including `--registry=URL` and
+// `url.<base>.insteadOf=URL`
+function urlsIn(args) {
+  return args.flatMap(arg => arg.match(URL_IN_ARG) ?? []).filter(url => !isLocal(url));
+}
+
+const CURL_VALUE_LONG = [
+  '--url', '--request', '--data', '--data-ascii', '--data-binary', '--data-raw', '--data-urlencode', '--json', '--form', '--form-string',
+  '--header', '--proxy-header', '--user', '--user-agent', '--referer', '--cookie', '--cookie-jar', '--output', '--output-dir', '--dump-header',
+  '--upload-file', '--proxy', '--preproxy', '--proxy-user', '--socks4', '--socks4a', '--socks5', '--socks5-hostname', '--noproxy',
+  '--max-time', '--connect-timeout', '--retry', '--retry-delay', '--retry-max-time', '--range', '--write-out', '--config', '--cert', '--key',
+  '--cacert', '--capath', '--resolve', '--connect-to', '--interface', '--limit-rate', '--max-filesize', '--max-redirs', '--time-cond',
+  '--trace', '--trace-ascii', '--stderr', '--libcurl', '--etag-save', '--etag-compare', '--oauth2-bearer', '--proto', '--proto-redir',
+  '--continue-at', '--local-port', '--unix-socket', '--abstract-unix-socket', '--dns-servers', '--doh-url', '--aws-sigv4', '--variable',
+  '--quote', '--telnet-option', '--cert-type', '--key-type', '--pass', '--ciphers', '--tls-max', '--expect100-timeout',
+];
+const WGET_VALUE_LONG = [
+  '--output-document', '--output-file', '--append-output', '--directory-prefix', '--input-file', '--execute', '--method', '--body-data',
+  '--body-file', '--post-data', '--post-file', '--header', '--user-agent', '--referer', '--user', '--password', '--http-user',
+  '--http-password', '--tries', '--timeout', '--wait', '--level', '--accept', '--reject', '--domains', '--exclude-domains',
+  '--include-directories', '--exclude-directories', '--limit-rate', '--quota', '--load-cookies', '--save-cookies', '--ca-certificate',
+  '--certificate', '--private-key', '--config', '--bind-address', '--base', '--progress', '--restrict-file-names', '--dns-servers',
+];
+
+const GIT_GLOBAL_VALUE_LONG = ['--git-dir', '--work-tree', '--namespace', '--super-prefix', '--config-env'];
+const GIT_VALUE_LONG = [
+  '--branch', '--origin', '--config', '--upload-pack', '--receive-pack', '--exec', '--depth', '--jobs', '--push-option',
+  '--reference', '--reference-if-able', '--separate-git-dir', '--template', '--filter', '--shallow-since', '--shallow-exclude',
+  '--server-option', '--remote', '--name',
+];
+// Subcommands whose operands name a repository, and how many of them do:
+// fetch, pull and push take refspecs (`main:main`) after the repository
+const GIT_REMOTE_OPERANDS = { clone: Infinity, 'ls-remote': Infinity, remote: Infinity, submodule: Infinity, archive: 0, fetch: 1, pull: 1, push: 1 };
+
+// Flags whose effect on where a request goes can't be checked from the arguments
+const CURL_REFUSED = ['-K', '--config', '--connect-to', '--resolve', '--unix-socket', '--abstract-unix-socket', '--doh-url', '--dns-servers'];
+const WGET_REFUSED = ['-i', '--input-file', '-e', '--execute', '--config', '-H', '--span-hosts', '--dns-servers'];
+
+function curlRequest(args) {
+  const { operands, values, has } = scanArgs(args, CURL_VALUE_SHORT, CURL_VALUE_LONG);
+  const targets = [
+    ...operands.filter(op => op !== '-'),
+    ...values('--url', '-x', '--proxy', '--preproxy', '--socks4', '--socks4a', '--socks5', '--socks5-hostname'),
+  ];
+  // curl expands `{a,b}` and `[1-9]` in URLs into several requests
+  const globbed = has('-g', '--globoff') ? [] : targets.filter(url => /[{}[\]]/.test(url));
+  const data = values('-d', '--data', '--data-ascii', '--data-binary', '--json');
+  const forms = values('-F', '--form');
+  const uploads = [
+    ...data.filter(v => v.startsWith('@')),
+    ...values('--data-urlencode').filter(v => /^[^=]*@/.test(v)),
+    ...forms.filter(v => /^[^=]+=[@<]/.test(v)),
+    ...values('-T', '--upload-file'),
+    ...values('-H', '--header').filter(v => v.startsWith('@')),
+  ];
+  const sends = data.length || forms.length || values('--data-raw', '--data-urlencode', '--form-string').length;
+  const method = values('-X', '--request').pop()?.toUpperCase()
+    ?? (has('-I', '--head') ? 'HEAD'
+      : has('-G', '--get') ? 'GET'
+        : sends ? 'POST'
+          : has('-T', '--upload-file') ? 'PUT' : 'GET');
+  return { targets, method, uploads, globbed, refused: CURL_REFUSED.filter(flag => has(flag)) };
+}
+
+function wgetRequest(args) {
+  const { operands, values, has } = scanArgs(args, WGET_VALUE_SHORT, WGET_VALUE_LONG);
+  const uploads = values('--post-file', '--body-file');
+  const method = values('--method').pop()?.toUpperCase()
+    ?? (values('--post-data', '--post-file').length ? 'POST' : has('--spider') ? 'HEAD' : 'GET');
+  return { targets: operands, method, uploads, refused: WGET_REFUSED.filter(flag => has(flag)) };
+}
+
+// Package managers: URLs in any argument, and proxies or trusted hosts given without a scheme
+function packageRequest(args) {
+  const { values } = scanArgs(args, '', ['--proxy', '--https-proxy', '--trusted-host']);
+  const bare = values('--proxy', '--https-proxy', '--trusted-host').filter(v => !SCHEME.test(v));
+  return { targets: [...urlsIn(args), ...bare], method: null, uploads: [], refused: [] };
+}
+
+// URLs anywhere, `user@host:path` anywhere, and `host:path` where the
+// subcommand takes a repository
+function gitRequest(args) {
+  let i = 0;
+  for (; i < args.length && args[i].startsWith('-'); i++) {
+    if (['-C', '-c'].includes(args[i]) || GIT_GLOBAL_VALUE_LONG.includes(args[i])) i++;
+  }
+  const subcommand = args[i];
+  const { operands, values } = scanArgs(args.slice(i + 1), 'bcojuC', GIT_VALUE_LONG);
+  const repositories = [...operands.slice(0, GIT_REMOTE_OPERANDS[subcommand] ?? 0), ...values('--remote')];
+  const remotes = [
+    ...args.filter(arg => SCP_REMOTE.test(arg)),
+    ...repositories.filter(arg => !SCHEME.test(arg) && SCP_LIKE.test(arg)),
+  ];
+  return { targets: [...urlsIn(args), ...new Set(remotes)], method: null, uploads: [], refused: [] };
+}
+
+const REQUESTS = {
+  curl: curlRequest,
+  wget: wgetRequest,
+  git: gitRequest,
+  ...Object.fromEntries(['npm', 'npx', 'yarn', 'pnpm', 'pip', 'pip3', 'uv', 'poetry'].map(cmd => [cmd, packageRequest])),
+};
+
+// What a command would send where: { targets, method, uploads, refused }, or
+// null for commands the policy doesn't cover. `method` is null for non-HTTP tools.
+export function networkRequest(base, args) {
+  return REQUESTS[base] ? REQUESTS[base](args) : null;
+}
+
+function destinationProblem(policy, url, host, { method, uploads, globbed = [] }) {
+  if (globbed.includes(url)) return 'curl would expand the {…} or […] pattern in it; pass -g (--globoff) or list the URLs';
+  if (!host) return 'not a URL the network policy can check';
+  const denied = policy.denyMatchers.find(d => d.matches(host));
+  if (denied) return `${host} is denied by the network policy (${denied.pattern})`;
+  const entries = policy.allowMatchers.filter(a => a.matches(host));
+  if (!entries.length) return `${host} is not on the network allowlist`;
+  if (method && !entries.some(a => a.methods.includes(method))) return `${method} to ${host} is not allowed`;
+  if (uploads.length && !entries.some(a => a.uploads)) return `uploading local files (${uploads.join(', ')}) to ${host} is not allowed`;
+  return null;
+}
+
+// Each destination of the command with the reason it is refused (null when
+// allowed); null for commands the policy doesn't cover
+export function inspectNetwork(policy, base, args) {
+  const request = networkRequest(base, args);
+  if (!request) return null;
+  return {
+    method: request.method ?? undefined,
+    uploads: request.uploads.length ? request.uploads : undefined,
+    refused: request.refused.length ? request.refused : undefined,
+    destinations: [...new Set(request.targets)].map(url => {
+      const host = hostOf(url);
+      return { url, host, problem: destinationProblem(policy, url, host, request) };
+    }),
+  };
+}
+
+// Returns null if the command may reach everything it names, otherwise
+// { message, urls } with the refused destinations
+export function checkNetwork(policy, base, args) {
+  const inspected = inspectNetwork(policy, base, args);
+  if (!inspected) return null;
+  if (inspected.refused) return { message: `flag ${inspected.refused[0]} not allowed (its destinations can't be checked)`, urls: [] };
+  const refused = inspected.destinations.filter(d => d.problem);
+  if (!refused.length) return null;
+  return { message: refused.map(d => `${d.url}: ${d.problem}`).join('; '), urls: refused.map(d => d.url) };
+}
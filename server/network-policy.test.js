@@ -0,0 +1,45 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkNetwork, hostOf, resolveNetwork, validateNetwork } from './network-policy.js';
+
+describe('network policy', () => {
+  const policy = resolveNetwork();
+  const problem = (base, args, using = policy) => checkNetwork(using, base, args)?.message ?? null;
+
+  test('only allowlisted hosts, with the methods they allow', () => {
+    assert.equal(problem('curl', ['https://github.com/x']), null);
+    assert.match(problem('curl', ['https://evil.com/x']), /evil\.com is not on the network allowlist/);
+    assert.match(problem('wget', ['https://evil.com.github.com.attacker.io/']), /not on the network allowlist/);
+    assert.match(problem('curl', ['-X', 'POST', 'https://github.com/x']), /POST to github\.com is not allowed/);
+    assert.equal(problem('curl', ['-X', 'POST', 'http://localhost:3000/x']), null);
+  });
+
+  test('denied ranges win, however the address is written', () => {
+    assert.match(problem('curl', ['http://169.254.169.254/latest']), /denied by the network policy \(169\.254\.0\.0\/16\)/);
+    assert.equal(hostOf('http://2130706433/'), '127.0.0.1');
+    assert.equal(hostOf('HTTPS://GitHub.com:443/a'), 'github.com');
+  });
+
+  test('uploads and curl globs are refused', () => {
+    assert.match(problem('curl', ['-d', '@secret.txt', 'http://localhost:3000/x']), /uploading local files \(@secret\.txt\)/);
+    assert.match(problem('curl', ['https://github.com/{a,b}']), /pass -g/);
+  });
+
+  test('git remotes and registry flags are destinations too', () => {
+    assert.equal(problem('git', ['clone', 'git@github.com:x/y.git']), null);
+    assert.match(problem('git', ['clone', 'git@evil.com:x/y.git']), /evil\.com/);
+    assert.match(problem('npm', ['install', '--registry', 'https://evil.com']), /evil\.com/);
+  });
+
+  test('the system policy\'s methods are a ceiling', () => {
+    const layered = resolveNetwork({ allow: ['example.com'], methods: ['GET', 'POST'] }, { methods: ['GET'] });
+    assert.equal(problem('curl', ['https://example.com'], layered), null);
+    assert.match(problem('curl', ['-X', 'POST', 'https://example.com'], layered), /POST to example\.com is not allowed/);
+  });
+
+  test('validateNetwork rejects ranges it cannot match', () => {
+    assert.doesNotThrow(() => validateNetwork({ allow: ['10.0.0.0/8'], deny: ['*.example.com'] }));
+    assert.throws(() => validateNetwork({ deny: ['10.0.0.0/40'] }), /invalid CIDR range/);
+    assert.throws(() => validateNetwork({ allow: [{ host: 'example.com/8' }] }), /invalid CIDR range/);
+  });
+});
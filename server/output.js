@@ -0,0 +1,166 @@
+/*
+ * Command output shaping
+ * ----------------------
+ * Raw output is decoded (binary output is withheld, invalid UTF-8 falls back
+ * to Latin-1), stripped of ANSI escapes and cut down to the first and last
+ * lines plus a byte ceiling, since the end of a build log is usually what
+ * matters. The full text of truncated output stays in an OutputStore under a
+ * handle so it can be paged through later.
+ */
+
+import { randomUUID } from 'crypto';
+
+// CSI sequences (colours, cursor movement), OSC sequences (titles, links) and lone two-byte escapes
+const ANSI = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+export function stripAnsi(text) {
+  return text.replace(ANSI, '');
+}
+
+// NUL bytes, or mostly control characters, in the first 8 KB
+export function looksBinary(buf) {
+  const sample = buf.subarray(0, 8192);
+  if (sample.includes(0)) return true;
+  let control = 0;
+  for (const byte of sample) {
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0d, 0x0c, 0x08, 0x1b].includes(byte)) control++;
+  }
+  return control > sample.length * 0.1;
+}
+
+// { text, binary, encoding }; binary output is reported by size only
+export function decodeOutput(buf) {
+  if (!buf.length) return { text: '', binary: false, encoding: 'utf-8' };
+  if (looksBinary(buf)) return { text: `[binary output: ${buf.length} bytes not shown]`, binary: true, encoding: null };
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  let text;
+  try {
+    // `stream` keeps a multi-byte character cut off by the output limit from counting as invalid
+    text = decoder.decode(buf, { stream: true });
+  } catch {
+    return { text: buf.toString('latin1'), binary: false, encoding: 'latin1' };
+  }
+  // The flush only fails on such a cut character, which is shown as U+FFFD rather than dropped
+  try {
+    text += decoder.decode();
+  } catch {
+    text += '\uFFFD';
+  }
+  return { text, binary: false, encoding: 'utf-8' };
+}
+
+function capLine(line, maxLineChars) {
+  return line.length > maxLineChars ? `${line.slice(0, maxLineChars)} … [${line.length - maxLineChars} more chars]` : line;
+}
+
+// Keeps `headLines` + `tailLines` lines, caps long lines and then the total size;
+// `truncated` is null when nothing was cut
+export function truncateOutput(text, { headLines, tailLines, maxBytes, maxLineChars }) {
+  const lines = text.split('\n');
+  let longLines = 0;
+  const capped = lines.map(line => {
+    if (line.length > maxLineChars) longLines++;
+    return capLine(line, maxLineChars);
+  });
+
+  let omittedLines = 0;
+  let kept = capped;
+  if (capped.length > headLines + tailLines) {
+    omittedLines = capped.length - headLines - tailLines;
+    kept = [
+      ...capped.slice(0, headLines),
+      `... [${omittedLines} lines omitted (${headLines + 1}-${headLines + omittedLines}); use read_output to see them] ...`,
+      ...capped.slice(capped.length - tailLines),
+    ];
+  }
+
+  let result = kept.join('\n');
+  let omittedBytes = 0;
+  const bytes = Buffer.byteLength(result);
+  if (bytes > maxBytes) {
+    const buf = Buffer.from(result);
+    // Half the budget each for the start and the end, unless one of them is not wanted
+    const headBytes = !tailLines ? maxBytes : !headLines ? 0 : Math.floor(maxBytes / 2);
+    // Cut at line boundaries where there is one; a cut can land inside a multi-byte character
+    let head = buf.subarray(0, headBytes).toString().replace(/\uFFFD$/, '');
+    let tail = buf.subarray(bytes - (maxBytes - headBytes)).toString().replace(/^\uFFFD/, '');
+    if (head.lastIndexOf('\n') > 0) head = head.slice(0, head.lastIndexOf('\n'));
+    if (tail.indexOf('\n') >= 0 && tail.indexOf('\n') < tail.length - 1) tail = tail.slice(tail.indexOf('\n') + 1);
+    omittedBytes = bytes - Buffer.byteLength(head) - Buffer.byteLength(tail);
+    result = `${head}\n... [${omittedBytes} bytes omitted; use read_output to see them] ...\n${tail}`;
+  }
+
+  const truncated = omittedLines || omittedBytes || longLines
+    ? { total_lines: lines.length, omitted_lines: omittedLines || undefined, omitted_bytes: omittedBytes || undefined, long_lines: longLines || undefined }
+    : null;
+  return { text: result, truncated };
+}
+
+export class OutputStore {
+  constructor({ maxEntries, maxChars, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.maxChars = maxChars;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  // `streams` maps a stream name to its full (already decoded and redacted) text;
+  // only `client` can get() the entry back
+  save(command, streams, client = null) {
+    const entry = { id: randomUUID(), client, command, created: Date.now(), streams: {} };
+    for (const [name, text] of Object.entries(streams)) entry.streams[name] = text.split('\n');
+    entry.chars = Object.values(streams).reduce((n, text) => n + text.length, 0);
+    this.entries.set(entry.id, entry);
+    this.prune();
+    return entry.id;
+  }
+
+  get(id, client = null) {
+    this.prune();
+    const entry = this.entries.get(id);
+    return entry?.client === client ? entry : undefined;
+  }
+
+  // Drops expired entries, then the oldest ones beyond the count and size budgets
+  prune(now = Date.now()) {
+    for (const entry of this.entries.values()) {
+      if (now - entry.created > this.ttlMs) this.entries.delete(entry.id);
+    }
+    let chars = [...this.entries.values()].reduce((n, e) => n + e.chars, 0);
+    for (const entry of this.entries.values()) {
+      if (this.entries.size <= this.maxEntries && chars <= this.maxChars) break;
+      this.entries.delete(entry.id);
+      chars -= entry.chars;
+    }
+  }
+
+  // Reads `count` lines from 1-based `line`, stopping early at `maxBytes`; lines are
+  // returned whole unless a single line is larger than that
+  read(entry, stream, line, count, maxBytes) {
+    const lines = entry.streams[stream];
+    const from = Math.min(Math.max(1, line), lines.length + 1);
+    const out = [];
+    let bytes = 0;
+    for (let i = from - 1; i < Math.min(lines.length, from - 1 + count); i++) {
+      bytes += Buffer.byteLength(lines[i]) + 1;
+      if (out.length && bytes > maxBytes) break;
+      out.push(capLine(lines[i], maxBytes));
+    }
+    return {
+      line: from,
+      next_line: from + out.length,
+      total_lines: lines.length,
+      output: out.join('\n'),
+      complete: from - 1 + out.length >= lines.length,
+    };
+  }
+
+  describe(entry, now = Date.now()) {
+    return {
+      output_handle: entry.id,
+      command: entry.command,
+      lines: Object.fromEntries(Object.entries(entry.streams).map(([name, lines]) => [name, lines.length])),
+      expires_in_seconds: Math.max(0, Math.round((entry.created + this.ttlMs - now) / 1000)),
+    };
+  }
+}
@@ -0,0 +1,19 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeOutput } from './output.js';
+
+describe('decodeOutput', () => {
+  test('UTF-8 output', () => {
+    assert.deepEqual(decodeOutput(Buffer.from('héllo €')), { text: 'héllo €', binary: false, encoding: 'utf-8' });
+  });
+
+  test('a character cut off at the end is marked, not dropped', () => {
+    const cut = Buffer.from('héllo €').subarray(0, -1);
+    assert.deepEqual(decodeOutput(cut), { text: 'héllo �', binary: false, encoding: 'utf-8' });
+  });
+
+  test('invalid UTF-8 falls back to Latin-1', () => {
+    const buf = Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x21]);
+    assert.deepEqual(decodeOutput(buf), { text: 'café!', binary: false, encoding: 'latin1' });
+  });
+});
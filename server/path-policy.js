@@ -0,0 +1,266 @@
+/*
+ * Path resolution and write-target detection
+ * ------------------------------------------
+ * Paths are resolved the way the kernel would see them: `~` expanded,
+ * relative paths joined onto the effective cwd and symlinks followed via
+ * realpath (for paths that do not exist yet, the deepest existing ancestor
+ * is resolved and the remainder appended).
+ */
+
+import { accessSync, constants, lstatSync, readdirSync, realpathSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { delimiter, isAbsolute, join, resolve as pathResolve, sep as pathSep } from 'path';
+
+export const withSep = dir => dir.endsWith(pathSep) ? dir : dir + pathSep;
+
+// `/a/b` is inside `/a/` and so is `/a` itself
+export const isInside = (path, dir) => withSep(path).startsWith(withSep(dir));
+
+export function expandHome(p) {
+  if (p === '~') return homedir();
+  if (p.startsWith('~/')) return homedir() + p.slice(1);
+  return p;
+}
+
+export function canonicalPath(p, cwd = process.cwd()) {
+  const expanded = expandHome(p);
+  // Keep `..` unresolved until the filesystem has had a chance to follow symlinks
+  const abs = isAbsolute(expanded) ? expanded : `${withSep(cwd)}${expanded}`;
+  return realpathPrefix(abs);
+}
+
+function realpathPrefix(abs) {
+  try {
+    return realpathSync.native(abs);
+  } catch {
+    const cut = abs.replace(/\/+$/, '').lastIndexOf('/');
+    if (cut <= 0) return pathResolve(abs);
+    const parent = abs.slice(0, cut) || '/';
+    const rest = abs.slice(cut + 1).replace(/\/+$/, '');
+    return pathResolve(realpathPrefix(parent), rest);
+  }
+}
+
+// The executable the shell's PATH lookup would pick for `name`, or null
+export function resolveBinary(name, searchPath = process.env.PATH || '', cwd = process.cwd()) {
+  if (name.includes('/')) return canonicalPath(name, cwd);
+  for (const dir of searchPath.split(delimiter).filter(Boolean)) {
+    const candidate = join(dir, name);
+    try {
+      accessSync(candidate, constants.X_OK);
+      if (statSync(candidate).isFile()) return candidate;
+    } catch {
+      // not here
+    }
+  }
+  return null;
+}
+
+/* ------------------- Pathname expansion ----------------------- */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const unescapeGlob = text => text.replace(/\\(.)/g, '$1');
+const joinGlob = (dir, name) => dir === '' ? name : dir.endsWith('/') ? dir + name : `${dir}/${name}`;
+
+// A RegExp for one path component of a glob, or null when it has no unescaped
+// `*`, `?` or `[...]`
+function componentRegExp(component) {
+  let source = '', magic = false;
+  for (let i = 0; i < component.length; i++) {
+    const c = component[i];
+    if (c === '\\' && i + 1 < component.length) source += escapeRegExp(component[++i]);
+    else if (c === '*') { source += '.*'; magic = true; }
+    else if (c === '?') { source += '.'; magic = true; }
+    else if (c === '[' && component.indexOf(']', i + 2) > 0) {
+      const end = component.indexOf(']', i + 2);
+      const set = component.slice(i + 1, end).replace(/^[!^]/, '^').replace(/\\/g, '\\\\');
+      source += `[${set}]`;
+      magic = true;
+      i = end;
+    } else source += escapeRegExp(c);
+  }
+  return magic ? new RegExp(`^${source}$`, 's') : null;
+}
+
+// What `sh` makes of the glob `pattern` (quoted characters backslash-escaped)
+// in `cwd`: the matching paths, or the pattern itself when nothing matches.
+// null when that can't be worked out here: brace expressions, whose handling
+// differs between shells, or more than `limit` directory entries to read.
+export function expandGlob(pattern, cwd, limit = 10000) {
+  if (/\{.*(,|\.\.).*\}/.test(pattern.replace(/\\./g, ''))) return null;
+  const components = expandHome(pattern).split('/');
+  let paths = [components[0] === '' ? '/' : ''];
+  if (components[0] === '') components.shift();
+  let magic = false, read = 0;
+  for (const [i, component] of components.entries()) {
+    const last = i === components.length - 1;
+    let re;
+    try {
+      re = componentRegExp(component);
+    } catch {
+      return null;
+    }
+    if (!re) {
+      paths = paths.map(p => joinGlob(p, unescapeGlob(component)));
+      continue;
+    }
+    magic = true;
+    const next = [];
+    for (const p of paths) {
+      let entries;
+      try {
+        entries = readdirSync(pathResolve(cwd, p || '.'), { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      if ((read += entries.length) > limit) return null;
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') && !component.startsWith('.')) continue;
+        if (!re.test(entry.name)) continue;
+        // A component followed by more of the pattern must be a directory
+        if (!last && !(entry.isDirectory() || entry.isSymbolicLink())) continue;
+        next.push(joinGlob(p, entry.name));
+      }
+    }
+    paths = next.sort();
+  }
+  if (!magic) return [unescapeGlob(pattern)];
+  const found = paths.filter(p => {
+    try {
+      lstatSync(pathResolve(cwd, p));
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  return found.length ? found : [unescapeGlob(pattern)];
+}
+
+/* ------------------- Argument scanning ------------------------ */
+// Splits argv into operands and options; `valueShort`/`valueLong` name the
+// flags that consume a value (attached, `=value` or the next argument).
+export function scanArgs(args, valueShort = '', valueLong = []) {
+  const operands = [], options = [];
+  let endOfOptions = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (endOfOptions || arg === '-' || !arg.startsWith('-')) { operands.push(arg); continue; }
+    if (arg === '--') { endOfOptions = true; continue; }
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      if (eq >= 0) options.push({ flag: arg.slice(0, eq), value: arg.slice(eq + 1) });
+      else if (valueLong.includes(arg)) options.push({ flag: arg, value: args[++i] });
+      else options.push({ flag: arg });
+      continue;
+    }
+    for (let j = 1; j < arg.length; j++) {
+      const c = arg[j];
+      if (valueShort.includes(c)) {
+        options.push({ flag: `-${c}`, value: arg.slice(j + 1) || args[++i] });
+        break;
+      }
+      options.push({ flag: `-${c}` });
+    }
+  }
+  const values = (...flags) => options.filter(o => flags.includes(o.flag) && o.value !== undefined).map(o => o.value);
+  const has = (...flags) => options.some(o => flags.includes(o.flag));
+  return { operands, values, has };
+}
+
+// cp/mv/ln/install: `-t DIR` or the last operand
+function destination(args, valueShort, valueLong) {
+  const { operands, values } = scanArgs(args, valueShort, ['--target-directory', ...valueLong]);
+  const target = values('-t', '--target-directory');
+  if (target.length) return target;
+  return operands.length > 1 ? [operands[operands.length - 1]] : [];
+}
+
+function tarTargets(args) {
+  let mode = null, file = null, dir = null;
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    if (i === 0 && /^[A-Za-z]+$/.test(arg)) arg = `-${arg}`;   // old-style `tar xzf a.tar`
+    if (arg.startsWith('--')) {
+      const [name, value] = arg.split(/=(.*)/s);
+      if (['--create', '--append', '--update', '--concatenate'].includes(name)) mode = 'write';
+      if (['--extract', '--get'].includes(name)) mode = 'extract';
+      if (name === '--file') file = value ?? args[++i];
+      if (name === '--directory') dir = value ?? args[++i];
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      for (let j = 1; j < arg.length; j++) {
+        const c = arg[j];
+        if ('cruA'.includes(c)) mode = 'write';
+        if (c === 'x') mode = 'extract';
+        if ('fCbHIKLNTVXg'.includes(c)) {
+          const value = arg.slice(j + 1) || args[++i];
+          if (c === 'f') file = value;
+          if (c === 'C') dir = value;
+          break;
+        }
+      }
+    }
+  }
+  if (mode === 'write') return file && file !== '-' ? [file] : [];
+  if (mode === 'extract') return [dir ?? '.'];
+  return [];
+}
+
+export const CURL_VALUE_SHORT = 'AbcCdDeEFHKmoPQrTuUwxXyYz';
+export const WGET_VALUE_SHORT = 'OoaPeUtTwQiB';
+
+// Where each command writes, as a function of its arguments
+const WRITERS = {
+  tee: args => scanArgs(args).operands,
+  cp: args => destination(args, 'tS', ['--suffix']),
+  ln: args => destination(args, 'tS', ['--suffix']),
+  install: args => destination(args, 'tSgmo', ['--suffix', '--group', '--mode', '--owner']),
+  // mv removes its sources as well
+  mv: args => {
+    const { operands, values } = scanArgs(args, 'tS', ['--target-directory', '--suffix']);
+    return [...operands, ...values('-t', '--target-directory')];
+  },
+  touch: args => scanArgs(args, 'dtr', ['--date', '--reference']).operands,
+  mkdir: args => scanArgs(args, 'm', ['--mode']).operands,
+  rmdir: args => scanArgs(args).operands,
+  rm: args => scanArgs(args).operands,
+  unlink: args => scanArgs(args).operands,
+  shred: args => scanArgs(args, 'nsu', ['--iterations', '--size']).operands,
+  truncate: args => scanArgs(args, 'sr', ['--size', '--reference']).operands,
+  tar: tarTargets,
+  zip: args => {
+    const { operands, values } = scanArgs(args, 'bntOP', ['--out', '--temp-path', '--suffixes', '--password']);
+    return [...operands.slice(0, 1), ...values('-O', '--out')];
+  },
+  unzip: args => {
+    const { values, has } = scanArgs(args, 'd');
+    if (has('-l', '-t', '-v', '-Z', '-p', '-z')) return [];
+    const dir = values('-d');
+    return dir.length ? dir : ['.'];
+  },
+  curl: args => {
+    const { values, has } = scanArgs(args, CURL_VALUE_SHORT, ['--output', '--output-dir', '--dump-header', '--cookie-jar', '--trace', '--trace-ascii', '--stderr', '--libcurl', '--etag-save']);
+    const targets = values('-o', '--output', '-D', '--dump-header', '-c', '--cookie-jar', '--trace', '--trace-ascii', '--stderr', '--libcurl', '--etag-save');
+    if (has('-O', '--remote-name', '--remote-name-all', '-J', '--remote-header-name')) {
+      targets.push(...(values('--output-dir').length ? values('--output-dir') : ['.']));
+    }
+    return targets;
+  },
+  wget: args => {
+    const { values, has } = scanArgs(args, WGET_VALUE_SHORT, ['--output-document', '--directory-prefix', '--output-file', '--append-output']);
+    if (has('--spider')) return [];
+    const document = values('-O', '--output-document');
+    const main = document.length ? document : (values('-P', '--directory-prefix').length ? values('-P', '--directory-prefix') : ['.']);
+    return [...main, ...values('-o', '--output-file', '-a', '--append-output')];
+  },
+  dd: args => args.filter(a => a.startsWith('of=')).map(a => a.slice(3)),
+  sed: args => {
+    const { operands, has } = scanArgs(args, 'efl', ['--expression', '--file', '--line-length']);
+    if (!has('-i', '--in-place')) return [];
+    return has('-e', '--expression', '-f', '--file') ? operands : operands.slice(1);
+  },
+};
+
+// Paths that `base` would write to (or delete), excluding stdout (`-`)
+export function writeTargets(base, args) {
+  const fn = WRITERS[base];
+  return fn ? fn(args).filter(p => p !== undefined && p !== '' && p !== '-') : [];
+}
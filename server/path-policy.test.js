@@ -0,0 +1,52 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, realpathSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { expandGlob, scanArgs, writeTargets } from './path-policy.js';
+
+describe('expandGlob', () => {
+  let dir;
+  before(() => {
+    dir = realpathSync(mkdtempSync(join(tmpdir(), 'cst-glob-')));
+    mkdirSync(join(dir, 'sub'));
+    for (const name of ['a.txt', 'b.txt', '.hidden.txt', 'sub/c.txt', 's*t']) writeFileSync(join(dir, name), '');
+    symlinkSync('/etc', join(dir, 'etc.txt'));
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('matches like sh', () => {
+    assert.deepEqual(expandGlob('*.txt', dir), ['a.txt', 'b.txt', 'etc.txt']);
+    assert.deepEqual(expandGlob('.*.txt', dir), ['.hidden.txt']);
+    assert.deepEqual(expandGlob('[!a].txt', dir), ['b.txt']);
+    assert.deepEqual(expandGlob('*/c.txt', dir), ['sub/c.txt']);
+    assert.deepEqual(expandGlob(`${dir}/sub/*`, '/'), [`${dir}/sub/c.txt`]);
+  });
+
+  test('keeps a pattern that matches nothing, and escaped characters', () => {
+    assert.deepEqual(expandGlob('*.md', dir), ['*.md']);
+    assert.deepEqual(expandGlob('s\\*t', dir), ['s*t']);
+  });
+
+  test('gives up on braces and on large directories', () => {
+    assert.equal(expandGlob('{a,b}.txt', dir), null);
+    assert.equal(expandGlob('*', dir, 2), null);
+  });
+});
+
+describe('writeTargets', () => {
+  test('finds where common commands write', () => {
+    assert.deepEqual(writeTargets('cp', ['-r', 'a', 'b', 'dest']), ['dest']);
+    assert.deepEqual(writeTargets('tee', ['-a', 'log']), ['log']);
+    assert.deepEqual(writeTargets('sed', ['-i', 's/a/b/', 'f']), ['f']);
+    assert.deepEqual(writeTargets('curl', ['-o', 'out', 'https://example.com']), ['out']);
+    assert.deepEqual(writeTargets('cat', ['f']), []);
+  });
+
+  test('scanArgs separates operands from flag values', () => {
+    const { operands, values, has } = scanArgs(['-o', 'out', '--level=3', 'x', '--', '-y'], 'o');
+    assert.deepEqual(operands, ['x', '-y']);
+    assert.deepEqual(values('-o'), ['out']);
+    assert.ok(has('--level'));
+  });
+});
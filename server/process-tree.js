@@ -0,0 +1,84 @@
+/*
+ * Process-tree control and resource limits
+ * ----------------------------------------
+ * Commands run in their own process group so a timeout or cancellation
+ * reaches every descendant (`sh` → pipeline → `python3 script.py`), not just
+ * the `sh` wrapper. Termination escalates from SIGTERM to SIGKILL after a
+ * grace period. CPU time and memory are capped with `ulimit` in the wrapper
+ * shell, so every process in the tree inherits them.
+ */
+
+import { spawn } from 'child_process';
+import { constants } from 'os';
+
+const IS_WINDOWS = process.platform === 'win32';
+const LIMIT_KEYS = ['cpuSeconds', 'memoryMb', 'maxOutputBytes'];
+
+export function spawnTree(cmd, { cwd, env, limits = {} }) {
+  return spawn(limitPrefix(limits) + cmd, { shell: true, cwd, env, detached: !IS_WINDOWS });
+}
+
+function signalTree(child, signal) {
+  if (!child.pid) return;
+  if (IS_WINDOWS) {
+    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' }).on('error', () => { });
+    return;
+  }
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // group already gone
+  }
+}
+
+// SIGTERM the whole group, then SIGKILL whatever is left after `graceMs`
+export function terminateTree(child, graceMs) {
+  signalTree(child, 'SIGTERM');
+  const escalate = setTimeout(() => signalTree(child, 'SIGKILL'), graceMs);
+  escalate.unref();
+  child.once('exit', () => {
+    clearTimeout(escalate);
+    // The wrapper may exit before its descendants
+    signalTree(child, 'SIGKILL');
+  });
+}
+
+// Kills descendants left behind after the wrapper shell exited on its own
+export function reapTree(child) {
+  signalTree(child, 'SIGKILL');
+}
+
+export function limitPrefix({ cpuSeconds, memoryMb }) {
+  if (IS_WINDOWS) return '';
+  let prefix = '';
+  // Soft limit sends SIGXCPU; the hard limit one second later is SIGKILL for processes that ignore it
+  if (cpuSeconds) prefix += `ulimit -S -t ${Math.ceil(cpuSeconds)}; ulimit -H -t ${Math.ceil(cpuSeconds) + 1}; `;
+  // Not every platform lets an unprivileged process lower RLIMIT_AS (macOS refuses)
+  if (memoryMb) prefix += `ulimit -v ${Math.ceil(memoryMb * 1024)} 2>/dev/null; `;
+  return prefix;
+}
+
+// A process killed for exceeding RLIMIT_CPU gets SIGXCPU; `sh` reports 128 + signo
+export function cpuLimitHit(limits, code, signal) {
+  if (!limits.cpuSeconds || IS_WINDOWS) return false;
+  return signal === 'SIGXCPU' || code === 128 + constants.signals.SIGXCPU;
+}
+
+// The strictest of several limit sets; null/undefined means "no limit"
+export function strictestLimits(...sets) {
+  const merged = {};
+  for (const key of LIMIT_KEYS) {
+    const values = sets.map(s => s?.[key]).filter(v => v !== null && v !== undefined);
+    merged[key] = values.length ? Math.min(...values) : null;
+  }
+  return merged;
+}
+
+// Throws if `limits` is not { cpuSeconds?, memoryMb?, maxOutputBytes? } with positive numbers or null
+export function validateLimits(limits, label) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) throw new Error(`${label} must be an object`);
+  for (const [key, value] of Object.entries(limits)) {
+    if (!LIMIT_KEYS.includes(key)) throw new Error(`${label}: unknown limit ${key}`);
+    if (value !== null && !(typeof value === 'number' && value > 0)) throw new Error(`${label}.${key} must be a positive number or null`);
+  }
+}
@@ -0,0 +1,130 @@
+/*
+ * Policy profiles
+ * ---------------
+ * A profile is a named bundle layered over the global configuration:
+ *
+ *   {
+ *     "description": "Node.js development",
+ *     "allowOverrides": ["npx"],               // moved onto the allow/block/ask lists
+ *     "blockOverrides": ["pip"],
+ *     "askOverrides": ["npm"],
+ *     "commandRules": { "npm": { ... } },      // replace the rule for the same command
+ *     "timeoutSeconds": 120,                   // execute_command / session_exec timeout
+ *     "allowedDirectories": ["~/Documents/web"],  // narrow ALLOWED_DIRECTORIES, never widen
+ *     "autoSelect": ["~/Documents/web"],       // used automatically for commands run in here
+ *     "readOnly": true                         // no writes anywhere
+ *   }
+ *
+ * Without an autoSelect match the active profile (if any) applies.
+ */
+
+import { resolve as pathResolve } from 'path';
+import { validateRule } from './command-rules.js';
+import { canonicalPath, expandHome, isInside, withSep } from './path-policy.js';
+
+const LIST_KEYS = ['allowOverrides', 'blockOverrides', 'askOverrides'];
+const DIR_KEYS = ['allowedDirectories', 'autoSelect'];
+const PROFILE_KEYS = ['description', ...LIST_KEYS, 'commandRules', 'timeoutSeconds', ...DIR_KEYS, 'readOnly'];
+
+export const PROFILE_NAME = /^[a-zA-Z0-9_-]+$/;
+const COMMAND_NAME = /^[a-zA-Z0-9_-]+$/;
+
+// Throws unless `profile` has the shape above
+export function validateProfile(profile, label) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) throw new Error(`${label} must be an object`);
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_KEYS.includes(key)) throw new Error(`${label}: unknown key ${key}`);
+  }
+  if (profile.description !== undefined && typeof profile.description !== 'string') throw new Error(`${label}.description must be a string`);
+  const seen = new Map();
+  for (const key of LIST_KEYS) {
+    const list = profile[key] ?? [];
+    if (!Array.isArray(list)) throw new Error(`${label}.${key} must be an array`);
+    for (const cmd of list) {
+      if (typeof cmd !== 'string' || !COMMAND_NAME.test(cmd)) throw new Error(`${label}.${key}: invalid command ${cmd}`);
+      if (seen.has(cmd)) throw new Error(`${label}: ${cmd} is in both ${seen.get(cmd)} and ${key}`);
+      seen.set(cmd, key);
+    }
+  }
+  const rules = profile.commandRules ?? {};
+  if (typeof rules !== 'object' || Array.isArray(rules)) throw new Error(`${label}.commandRules must be an object`);
+  for (const [cmd, rule] of Object.entries(rules)) {
+    if (!COMMAND_NAME.test(cmd)) throw new Error(`${label}.commandRules: invalid command ${cmd}`);
+    validateRule(rule, `${label}.commandRules.${cmd}`);
+  }
+  if (profile.timeoutSeconds !== undefined && !(typeof profile.timeoutSeconds === 'number' && profile.timeoutSeconds > 0)) {
+    throw new Error(`${label}.timeoutSeconds must be a positive number`);
+  }
+  if (profile.readOnly !== undefined && typeof profile.readOnly !== 'boolean') throw new Error(`${label}.readOnly must be a boolean`);
+  for (const key of DIR_KEYS) {
+    const dirs = profile[key] ?? [];
+    if (!Array.isArray(dirs) || dirs.some(d => typeof d !== 'string' || !/^(~|\/|\$\{HOME\})/.test(d))) {
+      throw new Error(`${label}.${key} must be an array of absolute or ~ paths`);
+    }
+  }
+}
+
+const canonicalDir = dir => withSep(canonicalPath(pathResolve(expandHome(dir.replace('${HOME}', '~')))));
+
+// Adds the name and canonical directories to a validated profile
+export function resolveProfile(name, profile, builtin) {
+  return {
+    ...profile,
+    name,
+    builtin,
+    dirs: profile.allowedDirectories?.length ? profile.allowedDirectories.map(canonicalDir) : null,
+    autoDirs: (profile.autoSelect || []).map(canonicalDir),
+  };
+}
+
+// The profile whose autoSelect directory most closely contains `cwd`
+export function autoSelected(profiles, cwd) {
+  let best = null, depth = -1;
+  for (const profile of profiles) {
+    for (const dir of profile.autoDirs) {
+      if (isInside(cwd, dir) && dir.length > depth) {
+        best = profile;
+        depth = dir.length;
+      }
+    }
+  }
+  return best;
+}
+
+// The profile's lists on top of the global ones; each command ends up only in
+// the list the profile puts it in
+export function layerOverrides(base, profile) {
+  const lists = { allow: [...base.allow], block: [...base.block], ask: [...base.ask] };
+  if (!profile) return lists;
+  const targets = { allowOverrides: 'allow', blockOverrides: 'block', askOverrides: 'ask' };
+  for (const [key, target] of Object.entries(targets)) {
+    for (const cmd of profile[key] || []) {
+      for (const list of Object.keys(lists)) lists[list] = lists[list].filter(c => c !== cmd);
+      lists[target].push(cmd);
+    }
+  }
+  return lists;
+}
+
+// What changes when going from policy `a` to policy `b` (see SecureTerminal.effectivePolicy)
+export function diffPolicies(a, b) {
+  const lists = key => {
+    const added = b[key].filter(x => !a[key].includes(x)).sort();
+    const removed = a[key].filter(x => !b[key].includes(x)).sort();
+    return added.length || removed.length ? { added, removed } : undefined;
+  };
+  const rules = [...new Set([...Object.keys(a.rules), ...Object.keys(b.rules)])]
+    .filter(cmd => JSON.stringify(a.rules[cmd]) !== JSON.stringify(b.rules[cmd]))
+    .sort()
+    .map(cmd => ({ command: cmd, from: a.rules[cmd] ?? null, to: b.rules[cmd] ?? null }));
+  const changed = key => JSON.stringify(a[key]) === JSON.stringify(b[key]) ? undefined : { from: a[key], to: b[key] };
+  return {
+    allowed: lists('allowed'),
+    blocked: lists('blocked'),
+    ask: lists('ask'),
+    rules: rules.length ? rules : undefined,
+    timeout_seconds: changed('timeout_seconds'),
+    allowed_directories: changed('allowed_directories'),
+    read_only: changed('read_only'),
+  };
+}
@@ -0,0 +1,28 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { autoSelected, layerOverrides, resolveProfile, validateProfile } from './profiles.js';
+
+describe('profiles', () => {
+  test('validateProfile rejects what it cannot apply', () => {
+    assert.doesNotThrow(() => validateProfile({ allowOverrides: ['make'], readOnly: true, allowedDirectories: ['~/src'] }, 'build'));
+    assert.throws(() => validateProfile({ allowOverrides: ['make'], blockOverrides: ['make'] }, 'build'), /make is in both allowOverrides and blockOverrides/);
+    assert.throws(() => validateProfile({ allowOverrides: ['rm -rf'] }, 'build'), /invalid command/);
+    assert.throws(() => validateProfile({ allowedDirectories: ['src'] }, 'build'), /absolute or ~ paths/);
+    assert.throws(() => validateProfile({ sandbox: 'none' }, 'build'), /unknown key sandbox/);
+  });
+
+  test('the closest autoSelect directory wins', () => {
+    const outer = resolveProfile('outer', { autoSelect: ['/srv'] }, false);
+    const inner = resolveProfile('inner', { autoSelect: ['/srv/app'] }, false);
+    assert.equal(autoSelected([outer, inner], '/srv/app/lib').name, 'inner');
+    assert.equal(autoSelected([outer, inner], '/srv/other').name, 'outer');
+    assert.equal(autoSelected([outer, inner], '/home'), null);
+  });
+
+  test('a profile moves commands between the lists', () => {
+    const base = { allow: ['make'], block: ['rm'], ask: [] };
+    const lists = layerOverrides(base, { blockOverrides: ['make'], askOverrides: ['rm'] });
+    assert.deepEqual(lists, { allow: [], block: ['make'], ask: ['rm'] });
+    assert.deepEqual(base.allow, ['make']);
+  });
+});
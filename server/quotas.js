@@ -0,0 +1,142 @@
+/*
+ * Execution quotas
+ * ----------------
+ * Per-command limits (timeout, CPU, memory) don't stop a client that calls
+ * execute_command hundreds of times in a loop. These quotas bound what all
+ * clients together can use: commands started per minute, commands running at
+ * once, CPU seconds per hour and configuration changes per hour. Windows
+ * slide, so a refusal can say when there will be room again.
+ *
+ * CPU time is what finished commands and jobs used, read from the server's
+ * accumulated child CPU time on Linux (processes a command leaves running are
+ * killed rather than waited for, so they don't count). Elsewhere the wall-clock
+ * time of the command is charged instead.
+ */
+
+import { readFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+
+// Settings name → sliding window; a limit of 0 turns the quota off
+export const QUOTAS = {
+  commandsPerMinute: { windowMs: 60 * 1000 },
+  cpuSecondsPerHour: { windowMs: 60 * 60 * 1000 },
+  configChangesPerHour: { windowMs: 60 * 60 * 1000 },
+};
+
+let ticks;
+const clockTicks = () => {
+  ticks ??= parseInt(spawnSync('getconf', ['CLK_TCK'], { encoding: 'utf8', timeout: 2000 }).stdout, 10) || 100;
+  return ticks;
+};
+
+// User + system CPU seconds of every child the server has waited for, or
+// null where /proc isn't available
+function childCpuSeconds() {
+  try {
+    const stat = readFileSync('/proc/self/stat', 'utf8');
+    // Fields after the command name, which may itself contain spaces: cutime and cstime are the 14th and 15th
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    return (Number(fields[13]) + Number(fields[14])) / clockTicks();
+  } catch {
+    return null;
+  }
+}
+
+export class QuotaTracker {
+  constructor(limits = {}) {
+    this.limits = limits;                       // { commandsPerMinute, maxConcurrentCommands, cpuSecondsPerHour, configChangesPerHour }
+    this.events = Object.fromEntries(Object.keys(QUOTAS).map(quota => [quota, []]));   // [{ at, amount }], oldest first
+    this.running = new Map();                   // execution id → deadline
+    this.nextId = 1;
+    this.cpuSeen = childCpuSeconds();
+  }
+
+  prune(now) {
+    for (const [quota, { windowMs }] of Object.entries(QUOTAS)) {
+      const events = this.events[quota];
+      while (events.length && events[0].at <= now - windowMs) events.shift();
+    }
+  }
+
+  used(quota) {
+    return this.events[quota].reduce((sum, e) => sum + e.amount, 0);
+  }
+
+  // The first of `quotas` that has no room left, as { quota, limit, used,
+  // retry_after_seconds }, or null
+  exceeded(quotas, now = Date.now()) {
+    this.prune(now);
+    for (const quota of quotas) {
+      const limit = this.limits[quota];
+      if (!limit) continue;
+      if (quota === 'maxConcurrentCommands') {
+        if (this.running.size < limit) continue;
+        // The earliest a running command has to end by
+        const deadline = Math.min(...this.running.values());
+        return { quota, limit, used: this.running.size, retry_after_seconds: Math.max(1, Math.ceil((deadline - now) / 1000)) };
+      }
+      const used = this.used(quota);
+      if (used < limit) continue;
+      // Room comes back once enough of the oldest events have left the window
+      let left = used;
+      const freed = this.events[quota].find(e => (left -= e.amount) < limit);
+      const retry = freed.at + QUOTAS[quota].windowMs - now;
+      return { quota, limit, used: Math.round(used * 10) / 10, retry_after_seconds: Math.max(1, Math.ceil(retry / 1000)) };
+    }
+    return null;
+  }
+
+  record(quota, amount = 1, now = Date.now()) {
+    if (amount > 0) this.events[quota].push({ at: now, amount });
+  }
+
+  // Takes one unit of `quota` up front, or returns null when it has no room:
+  // checked and counted in one step, so calls that overlap can't all fit in
+  // what is left. release() gives the unit back when the work didn't count
+  reserve(quota, now = Date.now()) {
+    if (this.exceeded([quota], now)) return null;
+    const event = { at: now, amount: 1 };
+    this.events[quota].push(event);
+    return event;
+  }
+
+  release(quota, event) {
+    const events = this.events[quota];
+    if (events.includes(event)) events.splice(events.indexOf(event), 1);
+  }
+
+  // Counts a command started and marks it as running until end(); `deadline`
+  // is when its timeout kills it
+  begin(deadline, now = Date.now()) {
+    const id = this.nextId++;
+    this.running.set(id, deadline);
+    this.record('commandsPerMinute', 1, now);
+    return id;
+  }
+
+  // Charges the CPU time used since the last command ended, or `elapsedMs`
+  // where it can't be read
+  end(id, elapsedMs) {
+    this.running.delete(id);
+    const cpu = childCpuSeconds();
+    const seconds = cpu === null || this.cpuSeen === null ? elapsedMs / 1000 : cpu - this.cpuSeen;
+    this.cpuSeen = cpu;
+    this.record('cpuSecondsPerHour', seconds);
+  }
+
+  // For get_terminal_status; a null limit is no limit
+  usage(now = Date.now()) {
+    this.prune(now);
+    const view = quota => ({ limit: this.limits[quota] || null, used: Math.round(this.used(quota) * 10) / 10 });
+    return {
+      commands_per_minute: view('commandsPerMinute'),
+      concurrent_commands: { limit: this.limits.maxConcurrentCommands || null, running: this.running.size },
+      cpu_seconds_per_hour: { ...view('cpuSecondsPerHour'), measured: this.cpuSeen === null ? 'wall-clock' : 'cpu' },
+      config_changes_per_hour: view('configChangesPerHour'),
+    };
+  }
+}
+
+export const quotaMessage = ({ quota, limit, retry_after_seconds: retry }) => quota === 'maxConcurrentCommands'
+  ? `Quota exceeded: ${quota} is ${limit}; retry when a command finishes (within ${retry}s) or cancel a job`
+  : `Quota exceeded: ${quota} is ${limit}; retry in ${retry}s`;
@@ -0,0 +1,37 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuotaTracker } from './quotas.js';
+
+describe('quota tracker', () => {
+  test('a sliding window says when there is room again', () => {
+    const quotas = new QuotaTracker({ commandsPerMinute: 2 });
+    quotas.record('commandsPerMinute', 1, 0);
+    quotas.record('commandsPerMinute', 1, 10000);
+    assert.deepEqual(quotas.exceeded(['commandsPerMinute'], 30000), { quota: 'commandsPerMinute', limit: 2, used: 2, retry_after_seconds: 30 });
+    assert.equal(quotas.exceeded(['commandsPerMinute'], 60000), null);
+  });
+
+  test('a limit of 0 turns the quota off', () => {
+    const quotas = new QuotaTracker({ commandsPerMinute: 0 });
+    for (let i = 0; i < 100; i++) quotas.record('commandsPerMinute');
+    assert.equal(quotas.exceeded(['commandsPerMinute']), null);
+  });
+
+  test('reserve takes a unit only while there is room, and release gives it back', () => {
+    const quotas = new QuotaTracker({ configChangesPerHour: 1 });
+    const slot = quotas.reserve('configChangesPerHour');
+    assert.ok(slot);
+    assert.equal(quotas.reserve('configChangesPerHour'), null);
+    quotas.release('configChangesPerHour', slot);
+    assert.equal(quotas.used('configChangesPerHour'), 0);
+    assert.ok(quotas.reserve('configChangesPerHour'));
+  });
+
+  test('running commands count against the concurrency limit until they end', () => {
+    const quotas = new QuotaTracker({ maxConcurrentCommands: 1 });
+    const id = quotas.begin(Date.now() + 5000);
+    assert.equal(quotas.exceeded(['maxConcurrentCommands']).quota, 'maxConcurrentCommands');
+    quotas.end(id, 10);
+    assert.equal(quotas.exceeded(['maxConcurrentCommands']), null);
+  });
+});
@@ -0,0 +1,82 @@
+/*
+ * Secret redaction
+ * ----------------
+ * Command output and audit records pass through here before they reach the
+ * client or the log, so `cat .env` or `git config --list` does not put tokens
+ * into the conversation. Matches are replaced with `[REDACTED:<name>]`; for
+ * `key=value` style patterns only the value is masked so the output still
+ * shows which setting was there.
+ */
+
+const MASKED = '(?!\\[REDACTED)';
+
+// A `before` group is kept; everything after it in the match is masked
+export const BUILTIN_PATTERNS = [
+  {
+    name: 'private_key',
+    // A page of job output can start in the middle of a key block
+    regex: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY-----[\s\S]*?(?:-----END \1PRIVATE KEY-----|$)|^[A-Za-z0-9+/=\r\n]*-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+  },
+  { name: 'aws_access_key', regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g },
+  {
+    name: 'aws_secret_key',
+    regex: new RegExp(`(?<before>\\baws_?secret_?(?:access_?)?key["']?\\s*[=:]\\s*["']?)${MASKED}[A-Za-z0-9/+=]{40,}`, 'gi'),
+  },
+  { name: 'github_token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { name: 'slack_token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'bearer_token', regex: new RegExp(`(?<before>\\bBearer\\s+)${MASKED}[A-Za-z0-9\\-._~+/]+=*`, 'gi') },
+  { name: 'url_credentials', regex: new RegExp(`(?<before>\\b[a-z][a-z0-9+.-]*://[^\\s:@/]+:)${MASKED}[^\\s@/]+(?=@)`, 'gi') },
+  {
+    name: 'secret_assignment',
+    // password=..., GITHUB_TOKEN: ..., "api_key": "..." – the key has to end in the secret word
+    regex: new RegExp(`(?<before>\\b[\\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key)["']?\\s*[=:]\\s*["']?)${MASKED}[^\\s"'&;,]+`, 'gi'),
+  },
+];
+
+// Custom patterns are regex strings or { name, pattern, flags }; throws on invalid ones
+export function compileRedactions(custom = []) {
+  if (!Array.isArray(custom)) throw new Error('redactPatterns must be an array');
+  const compiled = custom.map((entry, i) => {
+    const { name = `custom_${i + 1}`, pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : entry ?? {};
+    if (typeof pattern !== 'string' || !pattern) throw new Error(`redactPatterns[${i}]: pattern must be a non-empty string`);
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) throw new Error(`redactPatterns[${i}]: invalid name ${name}`);
+    if (!/^[imsu]*$/.test(flags)) throw new Error(`redactPatterns[${i}]: flags may only contain i, m, s and u`);
+    try {
+      return { name, regex: new RegExp(pattern, `g${flags}`) };
+    } catch (e) {
+      throw new Error(`redactPatterns[${i}]: ${e.message}`);
+    }
+  });
+  return [...BUILTIN_PATTERNS, ...compiled];
+}
+
+export function redact(text, patterns) {
+  let count = 0;
+  for (const { name, regex } of patterns) {
+    text = text.replace(regex, (...match) => {
+      // An empty match would mask nothing but still count
+      if (!match[0]) return match[0];
+      const groups = typeof match[match.length - 1] === 'object' ? match[match.length - 1] : undefined;
+      count++;
+      return `${groups?.before ?? ''}[REDACTED:${name}]`;
+    });
+  }
+  return { text, count };
+}
+
+// Redacts every string inside a JSON-like value
+export function redactValue(value, patterns) {
+  if (typeof value === 'string') {
+    const { text, count } = redact(value, patterns);
+    return { value: text, count };
+  }
+  if (!value || typeof value !== 'object') return { value, count: 0 };
+  let count = 0;
+  const walk = v => {
+    const result = redactValue(v, patterns);
+    count += result.count;
+    return result.value;
+  };
+  const out = Array.isArray(value) ? value.map(walk) : Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walk(v)]));
+  return { value: out, count };
+}
@@ -0,0 +1,103 @@
+/*
+ * Command executors
+ * -----------------
+ * The path checks in validate() work on the command's text; they can't see
+ * a path built at run time by a script or an interpreter. On Linux, commands
+ * can instead run under bubblewrap (`bwrap`), which gives each one its own
+ * mount, PID and network namespaces: the system directories read-only, the
+ * allowed directories read-write (or read-only where configured), an empty
+ * /tmp and home, and no network unless the command's rule has
+ * `"network": true`.
+ *
+ * The `sandbox` setting picks the executor: `off` (plain spawn, the default),
+ * `auto` (bubblewrap when it is installed and works, else plain spawn) or
+ * `bubblewrap` (refuse to run commands without it).
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import { delimiter, dirname } from 'path';
+import { resolveBinary } from './path-policy.js';
+import { pinMatches } from './environment.js';
+import { limitPrefix, spawnTree } from './process-tree.js';
+
+export const SANDBOX_MODES = ['off', 'auto', 'bubblewrap'];
+
+// Mounted read-only when they exist; the rest of the filesystem is not there
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/etc', '/run/systemd/resolve'];
+
+const plain = {
+  name: 'plain',
+  spawn: (cmd, { cwd, env, limits }) => spawnTree(cmd, { cwd, env, limits }),
+};
+
+function bubblewrap(binary) {
+  return {
+    name: 'bubblewrap',
+    binary,
+    // The sandboxed shell is PID 1 of its namespace and dies with bwrap, so
+    // signalling bwrap's process group still ends the whole tree
+    spawn: (cmd, { cwd, env, limits, mounts }) => spawn(binary, [...bubblewrapArgs({ ...mounts, cwd, home: env.HOME }), '--', '/bin/sh', '-c', limitPrefix(limits) + cmd], {
+      cwd, env, detached: true,
+    }),
+  };
+}
+
+// `writable` and `readOnly` are directories, `protect` files to keep read-only
+// inside them, `toolchain` PATH directories to make visible
+export function bubblewrapArgs({ cwd, home, writable = [], readOnly = [], protect = [], toolchain = [], network = false }) {
+  const args = ['--die-with-parent', '--new-session', '--unshare-all'];
+  if (network) args.push('--share-net');
+  for (const dir of SYSTEM_DIRS) args.push('--ro-bind-try', dir, dir);
+  args.push('--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp');
+  // Caches and dotfiles written under $HOME last as long as the command
+  if (home && home !== '/') args.push('--tmpfs', home);
+  for (const dir of toolchainRoots(toolchain)) args.push('--ro-bind-try', dir, dir);
+  for (const dir of writable) args.push('--bind-try', dir, dir);
+  for (const dir of readOnly) args.push('--ro-bind-try', dir, dir);
+  for (const file of protect) args.push('--ro-bind-try', file, file);
+  args.push('--chdir', cwd);
+  return args;
+}
+
+// A PATH entry's install prefix (`~/.nvm/versions/node/v20` for its `bin`),
+// so libraries next to the binaries are there too
+function toolchainRoots(path) {
+  const roots = path
+    .map(dir => /\/s?bin$/.test(dir) ? dirname(dir) : dir)
+    .filter(dir => dir !== '/' && !SYSTEM_DIRS.some(sys => dir === sys || dir.startsWith(`${sys}/`)));
+  return [...new Set(roots)];
+}
+
+const probes = new Map();
+
+// Whether bwrap can create namespaces here; unprivileged user namespaces are
+// often disabled in containers
+function probe(binary) {
+  if (!probes.has(binary)) {
+    const run = spawnSync(binary, ['--ro-bind', '/', '/', '--unshare-all', '--die-with-parent', 'true'], { stdio: 'ignore', timeout: 5000 });
+    probes.set(binary, run.status === 0 ? null : (run.error?.message ?? `exited with ${run.status ?? run.signal}`));
+  }
+  return probes.get(binary);
+}
+
+// The executor for a `sandbox` mode: { mode, executor, reason } where `reason`
+// says why bubblewrap isn't used, or { mode, error } when it is required but
+// can't be used. bwrap is looked up on the pinned PATH and checked against
+// its pin like any command.
+export function selectSandbox(mode, envPolicy) {
+  if (mode === 'off') return { mode, executor: plain, reason: 'sandbox is off' };
+  let problem;
+  if (process.platform !== 'linux') {
+    problem = 'bubblewrap is only available on Linux';
+  } else {
+    const binary = resolveBinary('bwrap', envPolicy.path ? envPolicy.path.join(delimiter) : process.env.PATH);
+    if (!binary) problem = 'bwrap not found on the command PATH';
+    else if (!pinMatches(binary, envPolicy.pins.bwrap)) problem = `${binary} does not match the pinned SHA-256 for bwrap`;
+    else {
+      const failed = probe(binary);
+      if (failed) problem = `bwrap can't create a sandbox here (${failed})`;
+      else return { mode, executor: bubblewrap(binary) };
+    }
+  }
+  return mode === 'auto' ? { mode, executor: plain, reason: problem } : { mode, error: problem };
+}
@@ -0,0 +1,143 @@
+/*
+ * Persistent shell sessions
+ * -------------------------
+ * A session is not a long-lived shell: it is a cwd, a set of exported
+ * variables and PATH prefixes that the server tracks between calls. Each
+ * command still runs in a fresh `sh`, seeded with the session state; a
+ * trailer reports the final cwd and any variables the command exported or
+ * unset so the server can re-validate them before adopting them.
+ */
+
+import { randomUUID } from 'crypto';
+import { readdirSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { delimiter, dirname, join } from 'path';
+
+// Names a command may `export`/`unset`; anything else is ignored by the trailer
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export class SessionStore {
+  constructor({ idleMs, maxSessions }) {
+    this.idleMs = idleMs;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  // `client` is the id of the client that owns the session; get() and close()
+  // don't hand it to any other
+  create(cwd, name, client = null) {
+    if (this.sessions.size >= this.maxSessions) {
+      throw new Error(`Session limit reached (${this.maxSessions}); close a session first`);
+    }
+    const now = Date.now();
+    const session = { id: randomUUID(), client, name: name || null, cwd, env: {}, paths: [], venv: null, node: null, approved: new Set(), created: now, lastUsed: now };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  get(id, client = null) {
+    const session = this.sessions.get(id);
+    if (!session || session.client !== client) return undefined;
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  close(id, client = null) {
+    const session = this.get(id, client);
+    this.sessions.delete(session?.id);
+    return session;
+  }
+
+  owned(client = null) {
+    return [...this.sessions.values()].filter(s => s.client === client);
+  }
+
+  // Removes and returns the sessions idle for longer than idleMs
+  expire(now = Date.now()) {
+    const expired = [...this.sessions.values()].filter(s => now - s.lastUsed > this.idleMs);
+    expired.forEach(s => this.sessions.delete(s.id));
+    return expired;
+  }
+
+  describe(session, now = Date.now()) {
+    return {
+      session_id: session.id,
+      name: session.name,
+      cwd: session.cwd,
+      env: session.env,
+      path_prefix: session.paths,
+      virtualenv: session.venv,
+      node: session.node,
+      approved: [...session.approved],
+      created: new Date(session.created).toISOString(),
+      last_used: new Date(session.lastUsed).toISOString(),
+      expires_in_seconds: Math.max(0, Math.round((session.lastUsed + this.idleMs - now) / 1000)),
+    };
+  }
+}
+
+// Unset variables are kept as `null` so they also hide the server's value
+export function sessionEnv(session, base = process.env) {
+  const env = { ...base, ...session.env, PATH: [...session.paths, base.PATH].filter(Boolean).join(delimiter) };
+  for (const [name, value] of Object.entries(env)) if (value === null) delete env[name];
+  return env;
+}
+
+// Names exported or unset by any segment of the command
+export function touchedNames(segments) {
+  const names = new Set();
+  for (const seg of segments) {
+    if (seg.base !== 'export' && seg.base !== 'unset') continue;
+    for (const arg of seg.args) {
+      const name = arg.split('=')[0];
+      if (ENV_NAME.test(name)) names.add(name);
+    }
+  }
+  return [...names];
+}
+
+// Appends a trailer that writes `pwd` and the touched variables to $CST_STATE_FILE
+export function withStateTrailer(command, names) {
+  const vars = names.map(n => `[ -n "\${${n}+x}" ] && printf '%s=%s\\0' ${n} "$${n}";`).join(' ');
+  return `${command}\n__cst_rc=$?\n{ pwd -P; ${vars} } > "$CST_STATE_FILE" 2>/dev/null\nexit $__cst_rc`;
+}
+
+export function parseState(text, names) {
+  const newline = text.indexOf('\n');
+  if (newline < 0) return null;
+  const env = Object.fromEntries(names.map(n => [n, undefined]));
+  for (const entry of text.slice(newline + 1).split('\0')) {
+    const eq = entry.indexOf('=');
+    if (eq > 0 && entry.slice(0, eq) in env) env[entry.slice(0, eq)] = entry.slice(eq + 1);
+  }
+  return { cwd: text.slice(0, newline), env };
+}
+
+/* ------------------- Toolchain activation ------------------- */
+// `source venv/bin/activate` without running the script: returns the venv root
+export function venvRoot(activatePath) {
+  if (!/(^|\/)bin\/activate$/.test(activatePath)) return null;
+  return dirname(dirname(activatePath));
+}
+
+// Resolves `nvm use <version>` to an installed node directory, newest match first
+export function nvmVersionDir(version, env = process.env) {
+  const root = join(env.NVM_DIR || join(homedir(), '.nvm'), 'versions', 'node');
+  const wanted = String(version).replace(/^v/, '');
+  let installed;
+  try {
+    installed = readdirSync(root).filter(d => /^v\d/.test(d));
+  } catch {
+    return null;
+  }
+  const match = installed
+    .filter(d => d.slice(1) === wanted || d.slice(1).startsWith(`${wanted}.`))
+    .sort((a, b) => b.slice(1).localeCompare(a.slice(1), undefined, { numeric: true }))[0];
+  if (!match) return null;
+  const dir = join(root, match);
+  try {
+    return statSync(join(dir, 'bin')).isDirectory() ? dir : null;
+  } catch {
+    return null;
+  }
+}
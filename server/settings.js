@@ -0,0 +1,136 @@
+/*
+ * Server settings
+ * ---------------
+ * Directories, timeouts and output limits used to be read from environment
+ * variables once at start-up. They can now also be set in the `settings`
+ * section of terminal-config.json, which is reloaded while the server runs.
+ * The environment variables (the extension's user_config) stay the defaults
+ * for every setting the file leaves out.
+ */
+
+import { homedir } from 'os';
+import { resolve as pathResolve } from 'path';
+import { canonicalPath, expandHome, withSep } from './path-policy.js';
+import { SANDBOX_MODES } from './sandbox.js';
+
+const DIR = '^(~|/|\\$\\{HOME\\})';
+
+// name → environment variable, kind and built-in default
+export const SETTINGS = {
+  allowedDirectories: { env: 'ALLOWED_DIRECTORIES', kind: 'dirs', fallback: ['~/Documents', '~/Desktop', '~/Downloads'] },
+  defaultWorkingDirectory: { env: 'DEFAULT_WORKING_DIRECTORY', kind: 'dir', fallback: null },
+  readOnlyDirectories: { env: 'READONLY_DIRECTORIES', kind: 'dirs', fallback: [] },
+  timeoutSeconds: { env: 'TIMEOUT_SECONDS', kind: 'positive', fallback: 30 },
+  maxOutputLines: { env: 'MAX_OUTPUT_LINES', kind: 'positive', fallback: 1000 },
+  outputTailLines: { env: 'OUTPUT_TAIL_LINES', kind: 'count', fallback: null },
+  outputMaxKb: { env: 'OUTPUT_MAX_KB', kind: 'positive', fallback: 100 },
+  outputMaxLineChars: { env: 'OUTPUT_MAX_LINE_CHARS', kind: 'positive', fallback: 2000 },
+  killGraceSeconds: { env: 'KILL_GRACE_SECONDS', kind: 'positive', fallback: 3 },
+  sessionIdleMinutes: { env: 'SESSION_IDLE_MINUTES', kind: 'positive', fallback: 30 },
+  jobTimeoutSeconds: { env: 'JOB_TIMEOUT_SECONDS', kind: 'positive', fallback: 600 },
+  jobMaxTimeoutSeconds: { env: 'JOB_MAX_TIMEOUT_SECONDS', kind: 'positive', fallback: 3600 },
+  approvalTimeoutMinutes: { env: 'APPROVAL_TIMEOUT_MINUTES', kind: 'positive', fallback: 10 },
+  redactSecrets: { env: 'REDACT_SECRETS', kind: 'boolean', fallback: true },
+  logAllCommands: { env: 'LOG_ALL_COMMANDS', kind: 'boolean', fallback: true },
+  sandbox: { env: 'SANDBOX', kind: 'choice', choices: SANDBOX_MODES, fallback: 'off' },
+  commandsPerMinute: { env: 'COMMANDS_PER_MINUTE', kind: 'count', fallback: 60 },
+  maxConcurrentCommands: { env: 'MAX_CONCURRENT_COMMANDS', kind: 'count', fallback: 8 },
+  cpuSecondsPerHour: { env: 'CPU_SECONDS_PER_HOUR', kind: 'count', fallback: 3600 },
+  configChangesPerHour: { env: 'CONFIG_CHANGES_PER_HOUR', kind: 'count', fallback: 30 },
+};
+
+const KIND_SCHEMA = {
+  dirs: { type: 'array', items: { type: 'string', pattern: DIR }, minItems: 1 },
+  dir: { type: 'string', pattern: DIR },
+  positive: { type: 'integer', minimum: 1 },
+  count: { type: 'integer', minimum: 0 },
+  boolean: { type: 'boolean' },
+};
+
+export const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(SETTINGS).map(([name, { kind, choices }]) => [name, kind === 'choice' ? { enum: choices } : KIND_SCHEMA[kind]])),
+  additionalProperties: false,
+  default: {},
+};
+
+// Same parsing the environment variables always had: unset, empty or invalid
+// values fall back to the default
+function fromEnv({ kind, choices }, raw) {
+  if (raw === undefined || !raw.trim()) return undefined;
+  if (kind === 'dirs') return raw.split(',').map(p => p.trim()).filter(Boolean);
+  if (kind === 'dir') return raw.trim();
+  if (kind === 'choice') return choices.includes(raw.trim()) ? raw.trim() : undefined;
+  if (kind === 'boolean') return raw !== 'false';
+  const n = parseInt(raw, 10);
+  return Number.isInteger(n) && (kind === 'count' ? n >= 0 : n > 0) ? n : undefined;
+}
+
+const canonicalDir = dir => canonicalPath(pathResolve(expandHome(dir.replace('${HOME}', homedir()))));
+
+// Effective settings for the `settings` section of the config file: the raw
+// `values` with the `source` of each, and the derived values the server uses.
+// Precedence: locked system settings, the file, the environment, the system
+// policy, the manifest, the built-in default.
+export function resolveSettings(file = {}, { env = process.env, manifestReadOnly = [], system = {}, locked = [] } = {}) {
+  const values = {}, sources = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const { env: variable, fallback } = setting;
+    const fromVariable = fromEnv(setting, env[variable]);
+    const manifest = name === 'readOnlyDirectories' && manifestReadOnly.length ? manifestReadOnly : undefined;
+    [values[name], sources[name]] = locked.includes(name) && system[name] !== undefined ? [system[name], 'system (locked)']
+      : file[name] !== undefined ? [file[name], 'config']
+      : fromVariable !== undefined ? [fromVariable, 'env']
+      : system[name] !== undefined ? [system[name], 'system']
+      : manifest ? [manifest, 'manifest']
+      : [fallback, 'default'];
+  }
+
+  const allowedDirs = values.allowedDirectories.map(dir => withSep(canonicalDir(dir)));
+  const maxLines = values.maxOutputLines;
+  // Of maxLines, this many come from the end of the output and the rest from the start
+  const tailLines = Math.min(values.outputTailLines ?? Math.min(200, Math.floor(maxLines / 2)), maxLines);
+  const jobTimeoutMs = values.jobTimeoutSeconds * 1000;
+  return {
+    values,
+    sources,
+    allowedDirs,
+    // Commands run here when execute_command is called without working_directory
+    defaultCwd: values.defaultWorkingDirectory ? canonicalDir(values.defaultWorkingDirectory) : allowedDirs[0].slice(0, -1),
+    // Writes are only allowed outside these
+    readOnlyDirs: values.readOnlyDirectories.map(dir => withSep(canonicalDir(dir))),
+    timeoutMs: values.timeoutSeconds * 1000,
+    maxLines,
+    tailLines,
+    outputLimits: {
+      headLines: maxLines - tailLines,
+      tailLines,
+      maxBytes: values.outputMaxKb * 1024,
+      maxLineChars: values.outputMaxLineChars,
+    },
+    killGraceMs: values.killGraceSeconds * 1000,
+    sessionIdleMs: values.sessionIdleMinutes * 60 * 1000,
+    jobTimeoutMs,
+    jobMaxTimeoutMs: Math.max(jobTimeoutMs, values.jobMaxTimeoutSeconds * 1000),
+    approvalTtlMs: values.approvalTimeoutMinutes * 60 * 1000,
+    redactSecrets: values.redactSecrets,
+    // false: audit only refused commands, approvals and config changes
+    logAllCommands: values.logAllCommands,
+    // off, auto or bubblewrap (see sandbox.js)
+    sandbox: values.sandbox,
+    // 0 turns a quota off (see quotas.js)
+    quotas: {
+      commandsPerMinute: values.commandsPerMinute,
+      maxConcurrentCommands: values.maxConcurrentCommands,
+      cpuSecondsPerHour: values.cpuSecondsPerHour,
+      configChangesPerHour: values.configChangesPerHour,
+    },
+  };
+}
+
+// Settings whose raw value differs between two resolved settings objects
+export function diffSettings(a, b) {
+  return Object.keys(SETTINGS)
+    .filter(name => JSON.stringify(a.values[name]) !== JSON.stringify(b.values[name]))
+    .map(name => ({ setting: name, from: a.values[name], to: b.values[name] }));
+}
@@ -0,0 +1,413 @@
+/*
+ * POSIX shell command parser
+ * --------------------------
+ * Splits a command line into the simple commands ("segments") that `sh -c`
+ * would run – including the ones nested in subshells, command substitutions,
+ * backticks and process substitutions – so each can be validated on its own.
+ * Anything that cannot be analysed safely throws a ShellParseError naming the
+ * offending segment. Words keep their quoting and variable references, so
+ * expandWord() can expand them as the shell would where the values are known.
+ */
+
+const WORD_BREAK = ' \t\n;&|()<>';
+const GLOB_RE = /[*?]|\[.*\]|\{.*[,.].*\}/;
+const RESERVED_WORDS = new Set([
+  'if', 'then', 'else', 'elif', 'fi', 'case', 'esac', 'for', 'select', 'while', 'until',
+  'do', 'done', 'function', '{', '}', '[[', ']]', 'time', 'coproc',
+]);
+const REDIRECT_RE = /^(\d*)(&>>|&>|>>|>\||>&|>|<<<|<<-|<<|<&|<>|<)/;
+const ASSIGNMENT_RE = /^([A-Za-z_][A-Za-z0-9_]*)\+?=/;
+
+export class ShellParseError extends Error {
+  constructor(message, segment) {
+    super(message);
+    this.name = 'ShellParseError';
+    this.segment = segment;
+  }
+}
+
+// Returns every simple command in `input` as
+// { text, origin, base, args, words, assignments, redirects }.
+export function parseCommand(input) {
+  const segments = [];
+  new Parser(input, segments, 'command').parseList(null);
+  return segments;
+}
+
+// Builtins that set the variables named by their arguments
+const SETTERS = new Set(['export', 'unset', 'read', 'readonly', 'local', 'declare', 'typeset', 'getopts']);
+
+// The variables `segments` may set before a later word is expanded, so that
+// their values in the environment no longer apply; null when a `source`, `.`
+// or `eval` could set any of them
+export function assignedNames(segments) {
+  const names = new Set();
+  for (const seg of segments) {
+    if (['source', '.', 'eval'].includes(seg.base)) return null;
+    seg.assignments.forEach(a => names.add(a.name));
+    if (seg.base === 'cd') names.add('PWD').add('OLDPWD');
+    if (!SETTERS.has(seg.base)) continue;
+    for (const arg of seg.args) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(arg);
+      if (m) names.add(m[0]);
+    }
+  }
+  return names;
+}
+
+// `word` after parameter expansion with the variables of `env`, as { value,
+// pattern }; `pattern` is set when pathname expansion applies, with quoted
+// characters backslash-escaped. null when only the shell can tell: command
+// substitutions, special parameters, `${...}` operators, variables in
+// `assigned`, and unquoted values that field splitting or globbing would change
+export function expandWord(word, env, assigned = new Set()) {
+  let value = '', pattern = '';
+  for (const part of word.parts) {
+    if (part.unknown) return null;
+    let { text } = part;
+    if (part.name) {
+      if (!assigned || assigned.has(part.name)) return null;
+      text = env[part.name] ?? '';
+      if (!part.quoted && /[\s*?[\]{}]/.test(text)) return null;
+    }
+    value += text;
+    pattern += part.quoted || part.name ? text.replace(/[\\*?[\]]/g, '\\$&') : text;
+  }
+  return { value, pattern: word.glob ? pattern : null };
+}
+
+class Parser {
+  constructor(src, segments, origin) {
+    this.src = src;
+    this.segments = segments;
+    this.origin = origin;
+    this.pos = 0;
+    this.segStart = 0;
+  }
+
+  peek(n = 0) { return this.src[this.pos + n]; }
+
+  // `toEnd` is used for unterminated constructs, where the segment runs to the end of input
+  error(message, toEnd = false) {
+    const end = toEnd ? this.src.length : Math.max(this.pos, this.segStart + 1);
+    const text = this.src.slice(this.segStart, end).trim();
+    return new ShellParseError(message, text || this.src.trim());
+  }
+
+  skipBlanks() {
+    for (;;) {
+      const c = this.peek();
+      if (c === ' ' || c === '\t' || c === '\r') this.pos++;
+      else if (c === '\\' && this.peek(1) === '\n') this.pos += 2;
+      else if (c === '#') { while (this.peek() !== undefined && this.peek() !== '\n') this.pos++; }
+      else return;
+    }
+  }
+
+  /* ------------------- Lists & commands ----------------------- */
+  // Parses `cmd op cmd ...` until EOF, or until the `)` closing `closer`.
+  parseList(closer) {
+    let needCommand = false;   // after |, && or || another command must follow
+    let haveCommand = false;   // a command was read since the last separator
+    let commandStart = this.pos;
+    for (;;) {
+      this.skipBlanks();
+      this.segStart = this.pos;
+      const c = this.peek();
+      if (c === undefined || c === ')') {
+        if (c === ')' && !closer) throw this.error("unexpected ')'");
+        if (c === undefined && closer) throw this.error(`unterminated ${closer}`, true);
+        if (needCommand) throw this.error('missing command after operator');
+        if (c === ')') this.pos++;
+        return;
+      }
+      if (c === '\n') { this.pos++; haveCommand = false; continue; }
+
+      const op = this.readOperator();
+      if (op) {
+        if (!haveCommand) throw this.error(`unexpected '${op}'`);
+        this.segStart = commandStart;
+        if (op === '&') throw this.error('background execution (&) is not supported');
+        if (op === ';;') throw this.error("unexpected ';;'");
+        haveCommand = false;
+        needCommand = op !== ';';
+        continue;
+      }
+
+      commandStart = this.pos;
+      this.parseCommand();
+      haveCommand = true;
+      needCommand = false;
+    }
+  }
+
+  readOperator() {
+    const two = this.src.slice(this.pos, this.pos + 2);
+    for (const op of ['&&', '||', '|&', ';;']) {
+      if (two === op) { this.pos += 2; return op; }
+    }
+    const c = this.peek();
+    if (c === ';' || c === '|' || (c === '&' && this.peek(1) !== '>')) { this.pos++; return c; }
+    return null;
+  }
+
+  parseCommand() {
+    const start = this.pos;
+    if (this.peek() !== '(') return this.parseSimple(start);
+    if (this.peek(1) === '(') throw this.error('arithmetic commands are not supported');
+
+    this.pos++;
+    this.parseNested('subshell');
+    this.segStart = start;
+
+    // A subshell may only be followed by redirections
+    const redirects = [];
+    for (;;) {
+      this.skipBlanks();
+      const redirect = this.readRedirect();
+      if (!redirect) break;
+      redirects.push(redirect);
+    }
+    if (!this.atCommandEnd()) throw this.error('unexpected word after subshell');
+    if (redirects.length) {
+      this.pushSegment(start, { words: [], assignments: [], redirects, origin: 'subshell' });
+    }
+  }
+
+  parseSimple(start) {
+    const words = [], assignments = [], redirects = [];
+    for (;;) {
+      this.skipBlanks();
+      if (this.atCommandEnd()) break;
+      if (this.peek() === '(') throw this.error("unexpected '('");
+
+      const redirect = this.readRedirect();
+      if (redirect) { redirects.push(redirect); continue; }
+
+      const word = this.readWord();
+      if (!words.length) {
+        const m = ASSIGNMENT_RE.exec(word.raw);
+        if (m) {
+          assignments.push({ name: m[1], value: word.value.slice(word.value.indexOf('=') + 1), dynamic: word.dynamic });
+          continue;
+        }
+        if (!word.quoted && word.value === '!') continue;   // pipeline negation
+        if (!word.quoted && RESERVED_WORDS.has(word.value)) {
+          throw this.error(`shell keyword '${word.value}' is not supported`);
+        }
+        if (word.dynamic || word.glob) throw this.error('command name must be a literal word');
+      }
+      words.push(word);
+    }
+    this.pushSegment(start, { words, assignments, redirects, origin: this.origin });
+  }
+
+  atCommandEnd() {
+    const c = this.peek();
+    return c === undefined || c === '\n' || c === ';' || c === ')' || c === '|' ||
+      (c === '&' && this.peek(1) !== '>');
+  }
+
+  pushSegment(start, { words, assignments, redirects, origin }) {
+    this.segments.push({
+      text: this.src.slice(start, this.pos).trim(),
+      origin,
+      base: words[0]?.value ?? null,
+      args: words.slice(1).map(w => w.value),
+      words,
+      assignments,
+      redirects,
+    });
+  }
+
+  parseNested(kind) {
+    const inner = new Parser(this.src, this.segments, kind);
+    inner.pos = this.pos;
+    inner.parseList(kind);
+    this.pos = inner.pos;
+  }
+
+  /* ------------------- Redirections --------------------------- */
+  readRedirect() {
+    const c = this.peek();
+    if ((c === '<' || c === '>') && this.peek(1) === '(') return null;   // process substitution
+    const m = REDIRECT_RE.exec(this.src.slice(this.pos));
+    if (!m) return null;
+    const [, fd, op] = m;
+    if (op === '<<' || op === '<<-') throw this.error('here-documents are not supported');
+    // dash reads `cmd &> file` as `cmd &` followed by `> file`
+    if (op.startsWith('&')) throw this.error(`'${op}' is ambiguous under /bin/sh; use '> file 2>&1'`);
+
+    this.pos += m[0].length;
+    this.skipBlanks();
+    if (this.atCommandEnd() || '<>'.includes(this.peek())) throw this.error(`missing target for '${op}'`);
+
+    const target = this.readWord();
+    const duplicate = (op === '>&' || op === '<&') && /^(\d+-?|-)$/.test(target.value);
+    return {
+      fd: fd || (op.startsWith('<') ? '0' : '1'),
+      op,
+      target: target.value,
+      dynamic: target.dynamic,
+      glob: target.glob,
+      word: target,
+      duplicate,
+      output: op !== '<' && op !== '<&' && op !== '<<<',
+    };
+  }
+
+  /* ------------------- Words ---------------------------------- */
+  // `parts` spells the word out for expansion: literal text (`quoted` or not),
+  // variables by `name`, and `unknown` for what only the shell can work out
+  readWord() {
+    const start = this.pos;
+    let value = '', bare = '', dynamic = false, quoted = false;
+    const parts = [];
+    const add = part => {
+      value += part.text;
+      const last = parts[parts.length - 1];
+      if (last && !last.name && !last.unknown && !part.name && !part.unknown && last.quoted === part.quoted) last.text += part.text;
+      else parts.push(part);
+    };
+    while (this.pos < this.src.length) {
+      const c = this.peek();
+      if (WORD_BREAK.includes(c)) {
+        if ((c === '<' || c === '>') && this.peek(1) === '(') {
+          const from = this.pos;
+          this.pos += 2;
+          this.parseNested('process substitution');
+          parts.push({ text: this.src.slice(from, this.pos), quoted: false, unknown: true });
+          dynamic = true;
+          continue;
+        }
+        break;
+      }
+      if (c === '\\') {
+        if (this.peek(1) !== '\n') add({ text: this.peek(1) ?? '', quoted: true });
+        this.pos += 2;
+        quoted = true;
+      } else if (c === "'") {
+        const end = this.src.indexOf("'", this.pos + 1);
+        if (end < 0) throw this.error('unterminated single quote', true);
+        add({ text: this.src.slice(this.pos + 1, end), quoted: true });
+        this.pos = end + 1;
+        quoted = true;
+      } else if (c === '"') {
+        this.pos++;
+        const r = this.readDoubleQuoted();
+        r.parts.forEach(add);
+        dynamic ||= r.dynamic;
+        quoted = true;
+      } else if (c === '$') {
+        const r = this.readDollar(false);
+        add({ text: r.text, quoted: false, name: r.name, unknown: r.dynamic && !r.name });
+        dynamic ||= r.dynamic;
+      } else if (c === '`') {
+        add({ text: this.readBackticks(), quoted: false, unknown: true });
+        dynamic = true;
+      } else {
+        bare += c;
+        add({ text: c, quoted: false });
+        this.pos++;
+      }
+    }
+    return { value, raw: this.src.slice(start, this.pos), dynamic, quoted, glob: GLOB_RE.test(bare), parts };
+  }
+
+  readDoubleQuoted() {
+    let dynamic = false;
+    const parts = [];
+    for (;;) {
+      const c = this.peek();
+      if (c === undefined) throw this.error('unterminated double quote', true);
+      if (c === '"') { this.pos++; return { parts, dynamic }; }
+      if (c === '\\') {
+        const next = this.peek(1);
+        if (next !== undefined && '$`"\\\n'.includes(next)) {
+          if (next !== '\n') parts.push({ text: next, quoted: true });
+          this.pos += 2;
+        } else {
+          parts.push({ text: c, quoted: true });
+          this.pos++;
+        }
+      } else if (c === '$') {
+        const r = this.readDollar(true);
+        parts.push({ text: r.text, quoted: true, name: r.name, unknown: r.dynamic && !r.name });
+        dynamic ||= r.dynamic;
+      } else if (c === '`') {
+        parts.push({ text: this.readBackticks(), quoted: true, unknown: true });
+        dynamic = true;
+      } else {
+        parts.push({ text: c, quoted: true });
+        this.pos++;
+      }
+    }
+  }
+
+  readDollar(inQuotes) {
+    const start = this.pos;
+    const next = this.peek(1);
+    const raw = () => this.src.slice(start, this.pos);
+
+    if (next === '(') {
+      if (this.peek(2) === '(') throw this.error('arithmetic expansion is not supported');
+      this.pos += 2;
+      this.parseNested('command substitution');
+      return { text: raw(), dynamic: true };
+    }
+    if (next === '{') {
+      const end = this.src.indexOf('}', this.pos);
+      if (end < 0) throw this.error("unterminated '${'", true);
+      if (/[$`]/.test(this.src.slice(this.pos + 2, end))) {
+        throw this.error('nested expansions inside ${...} are not supported');
+      }
+      this.pos = end + 1;
+      const name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(this.src.slice(start + 2, end)) ? this.src.slice(start + 2, end) : undefined;
+      return { text: raw(), dynamic: true, name };
+    }
+    if (next === "'" && !inQuotes) {
+      // ANSI-C quoting can spell out any byte, so the result is treated as dynamic
+      let i = this.pos + 2;
+      while (i < this.src.length && this.src[i] !== "'") i += this.src[i] === '\\' ? 2 : 1;
+      if (i >= this.src.length) throw this.error("unterminated $'...' string", true);
+      this.pos = i + 1;
+      return { text: raw(), dynamic: true };
+    }
+    if (next === '"' && !inQuotes) {
+      this.pos++;   // $"..." is a plain double-quoted string outside translated locales
+      return { text: '', dynamic: false };
+    }
+    if (next !== undefined && /[A-Za-z_]/.test(next)) {
+      this.pos++;
+      while (/[A-Za-z0-9_]/.test(this.peek() ?? '')) this.pos++;
+      return { text: raw(), dynamic: true, name: raw().slice(1) };
+    }
+    if (next !== undefined && /[0-9@*#?$!-]/.test(next)) {
+      this.pos += 2;
+      return { text: raw(), dynamic: true };
+    }
+    this.pos++;
+    return { text: '$', dynamic: false };
+  }
+
+  readBackticks() {
+    const start = this.pos;
+    let inner = '';
+    let i = this.pos + 1;
+    for (;;) {
+      const c = this.src[i];
+      if (c === undefined) throw this.error('unterminated backtick substitution', true);
+      if (c === '`') break;
+      if (c === '\\' && '$`\\'.includes(this.src[i + 1] ?? '')) {
+        inner += this.src[i + 1];
+        i += 2;
+      } else {
+        inner += c;
+        i++;
+      }
+    }
+    this.pos = i + 1;
+    new Parser(inner, this.segments, 'backticks').parseList(null);
+    return this.src.slice(start, this.pos);
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShellParseError, assignedNames, expandWord, parseCommand } from './shell-parser.js';
+
+const words = command => parseCommand(command).flatMap(seg => seg.words.slice(1));
+
+describe('parseCommand', () => {
+  test('splits pipelines, chains and substitutions into segments', () => {
+    const segments = parseCommand('ls | grep x && echo $(cat f) `pwd`');
+    assert.deepEqual(segments.map(s => s.base).sort(), ['cat', 'echo', 'grep', 'ls', 'pwd']);
+  });
+
+  test('refuses what it cannot analyse', () => {
+    for (const command of ['sleep 1 &', 'for f in *; do echo; done', 'cat <<EOF', '$(which ls)', 'echo ${X:-$(id)}']) {
+      assert.throws(() => parseCommand(command), ShellParseError, command);
+    }
+  });
+
+  test('marks quoted, dynamic and glob words', () => {
+    const [quoted, variable, glob, escaped] = words(`ls '*.js' $HOME *.txt a\\*b`);
+    assert.deepEqual([quoted.glob, quoted.quoted], [false, true]);
+    assert.equal(variable.dynamic, true);
+    assert.equal(glob.glob, true);
+    assert.equal(escaped.glob, false);
+  });
+});
+
+describe('expandWord', () => {
+  const env = { HOME: '/home/u', SPACED: 'a b', EMPTY: '' };
+  const expand = (command, assigned) => words(command).map(w => expandWord(w, env, assigned));
+
+  test('substitutes variables from the environment', () => {
+    assert.deepEqual(expand('ls $HOME/x "${HOME}"/y $EMPTY'), [
+      { value: '/home/u/x', pattern: null },
+      { value: '/home/u/y', pattern: null },
+      { value: '', pattern: null },
+    ]);
+  });
+
+  test('escapes quoted and substituted text in glob patterns', () => {
+    const [word] = expand(`ls "$HOME"/'[x]'*.txt`);
+    assert.deepEqual(word, { value: '/home/u/[x]*.txt', pattern: '/home/u/\\[x\\]*.txt' });
+  });
+
+  test('leaves to the shell what only it can know', () => {
+    assert.deepEqual(expand('ls $(pwd) `pwd` $1 $SPACED'), [null, null, null, null]);
+    assert.deepEqual(expand('ls "$SPACED"'), [{ value: 'a b', pattern: null }]);
+  });
+
+  test('does not trust variables the command sets', () => {
+    const segments = parseCommand('HOME=/etc; export LANG=x; cd /tmp; ls $HOME $LANG $PWD $USER');
+    const assigned = assignedNames(segments);
+    const ls = segments.find(s => s.base === 'ls');
+    assert.deepEqual(ls.words.slice(1).map(w => expandWord(w, { USER: 'u' }, assigned)), [null, null, null, { value: 'u', pattern: null }]);
+    assert.equal(assignedNames(parseCommand('. ./env.sh; ls $USER')), null);
+  });
+});
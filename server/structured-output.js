@@ -0,0 +1,421 @@
+/*
+ * Structured command output
+ * -------------------------
+ * Column output from `ps`, `df`, `du`, `ls -l`, `stat`, `uptime` and
+ * `git status` is easy to misread. With `format: "json"` execute_command runs
+ * these with flags whose output is stable (fixed columns, exact sizes, full
+ * timestamps, the C locale) and returns the parsed records next to the text.
+ * Anything the registry doesn't understand – other commands, pipelines,
+ * redirections, unknown flags – runs unchanged and is returned as text only,
+ * with the reason.
+ *
+ * Operands keep the raw text they were written with (quotes, globs,
+ * variables), so the rewritten command is validated and expanded exactly as
+ * the original would be.
+ */
+
+import { parseCommand } from './shell-parser.js';
+
+// More records than this are cut; the text result can still be paged
+const MAX_RECORDS = 2000;
+
+class UnparsedLine extends Error {
+  constructor(line) {
+    super(`unexpected output line: ${line.slice(0, 200)}`);
+    this.name = 'UnparsedLine';
+  }
+}
+
+const lines = text => text.split('\n').filter(line => line.trim());
+const iso = date => Number.isNaN(date.getTime()) ? null : date.toISOString();
+const fromEpoch = seconds => seconds > 0 ? iso(new Date(seconds * 1000)) : null;
+
+// `-la` → ['l', 'a']; `--all` stays whole
+const shortFlags = arg => /^-[a-zA-Z]+$/.test(arg) ? [...arg.slice(1)] : null;
+
+// Splits args into flags and operands (everything after `--` is an operand)
+function splitArgs(words) {
+  const flags = [], operands = [];
+  let rest = false;
+  for (const word of words) {
+    if (rest || !word.value.startsWith('-') || word.value === '-') operands.push(word);
+    else if (word.value === '--') rest = true;
+    else flags.push(word);
+  }
+  return { flags, operands };
+}
+
+const raw = words => words.map(w => w.raw);
+const join = (...parts) => parts.flat().filter(Boolean).join(' ');
+
+/* ---- Modes and file types ---- */
+
+const TYPE_CHARS = { '-': 'file', d: 'directory', l: 'symlink', b: 'block', c: 'char', p: 'fifo', s: 'socket', D: 'door' };
+const STAT_TYPES = {
+  'regular file': 'file', 'regular empty file': 'file', directory: 'directory', 'symbolic link': 'symlink',
+  'block special file': 'block', 'character special file': 'char', fifo: 'fifo', socket: 'socket',
+};
+
+// `rwsr-xr-x` → '4755'
+function modeOctal(perms) {
+  let mode = 0;
+  const bit = (i, on, value) => { if (on.includes(perms[i])) mode |= value; };
+  [0o400, 0o200, 0o100, 0o40, 0o20, 0o10, 0o4, 0o2, 0o1].forEach((value, i) => bit(i, i % 3 === 2 ? 'xst' : i % 3 === 1 ? 'w' : 'r', value));
+  bit(2, 'sS', 0o4000);
+  bit(5, 'sS', 0o2000);
+  bit(8, 'tT', 0o1000);
+  return mode.toString(8).padStart(4, '0');
+}
+
+/* ---- ps ---- */
+
+const PS_COLUMNS = ['pid', 'ppid', 'uid', 'user', '%cpu', '%mem', 'rss', 'etime', 'stat', 'args'];
+
+// `[[dd-]hh:]mm:ss` → seconds
+function elapsedSeconds(etime) {
+  const [, days = 0, rest] = /^(?:(\d+)-)?(.*)$/.exec(etime);
+  return rest.split(':').reduce((sum, part) => sum * 60 + Number(part), 0) + Number(days) * 86400;
+}
+
+function psPlan(words) {
+  const selection = [];
+  for (let i = 0; i < words.length; i++) {
+    const arg = words[i].value;
+    // BSD `aux` / `ax` and System V `-e`, `-A`, `-ef`: every process
+    if (/^[auxw]+$/.test(arg) && arg.includes('a') && arg.includes('x')) selection.push('-e');
+    else if (/^-[eAfFlyw]+$/.test(arg)) { if (/[eA]/.test(arg)) selection.push('-e'); }
+    else if (/^-[pugUt]$/.test(arg) && words[i + 1]) selection.push(arg, words[++i].raw);
+    else if (/^-[pugUt]./.test(arg)) selection.push(words[i].raw);
+    else return null;
+  }
+  return {
+    command: join('ps', [...new Set(selection)], PS_COLUMNS.map(c => `-o ${c}=`)),
+    parse: text => lines(text).map(line => {
+      const m = /^\s*(\d+)\s+(\d+)\s+(\d+)\s+(\S+)\s+([\d.]+)\s+([\d.]+)\s+(\d+)\s+(\S+)\s+(\S+)\s*(.*)$/.exec(line);
+      if (!m) throw new UnparsedLine(line);
+      return {
+        pid: Number(m[1]),
+        ppid: Number(m[2]),
+        uid: Number(m[3]),
+        user: m[4],
+        cpu_percent: Number(m[5]),
+        mem_percent: Number(m[6]),
+        rss_kb: Number(m[7]),
+        elapsed_seconds: elapsedSeconds(m[8]),
+        stat: m[9],
+        command: m[10],
+      };
+    }),
+  };
+}
+
+/* ---- df ---- */
+
+function dfPlan(words) {
+  const { flags, operands } = splitArgs(words);
+  let local = false;
+  for (const flag of flags) {
+    const letters = shortFlags(flag.value);
+    if (!letters || letters.some(l => !'hHkPl'.includes(l))) return null;
+    if (letters.includes('l')) local = true;
+  }
+  return {
+    // POSIX output in 1024-byte blocks, one line per filesystem
+    command: join('df -P -k', local && '-l', operands.length && '--', raw(operands)),
+    parse: text => lines(text).slice(1).map(line => {
+      const m = /^(.+?)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+%|-)\s+(\/.*)$/.exec(line);
+      if (!m) throw new UnparsedLine(line);
+      return {
+        filesystem: m[1],
+        size_bytes: Number(m[2]) * 1024,
+        used_bytes: Number(m[3]) * 1024,
+        available_bytes: Number(m[4]) * 1024,
+        capacity_percent: m[5] === '-' ? null : parseInt(m[5], 10),
+        mounted_on: m[6],
+      };
+    }),
+  };
+}
+
+/* ---- du ---- */
+
+function duPlan(words) {
+  const { flags, operands } = splitArgs(words);
+  const kept = new Set();
+  let depth = null;
+  for (let i = 0; i < flags.length; i++) {
+    const arg = flags[i].value;
+    const maxDepth = /^(?:-d|--max-depth=)(\d+)$/.exec(arg);
+    if (maxDepth) { depth = maxDepth[1]; continue; }
+    // `-d N` with the value as the next word, which splitArgs took for an operand
+    if (arg === '-d' && /^\d+$/.test(operands[0]?.value)) { depth = operands.shift().value; continue; }
+    const letters = shortFlags(arg);
+    if (!letters || letters.some(l => !'shkacx'.includes(l))) return null;
+    letters.filter(l => 'sacx'.includes(l)).forEach(l => kept.add(l));
+  }
+  if (depth !== null && kept.has('s')) return null;
+  const total = kept.has('c');
+  return {
+    command: join(`du -k${[...kept].join('')}`, depth !== null && `-d ${depth}`, operands.length && '--', raw(operands)),
+    parse: text => lines(text).map((line, i, all) => {
+      const m = /^(\d+)\t(.*)$/.exec(line);
+      if (!m) throw new UnparsedLine(line);
+      const record = { path: m[2], size_bytes: Number(m[1]) * 1024 };
+      return total && i === all.length - 1 ? { ...record, total: true } : record;
+    }),
+  };
+}
+
+/* ---- ls -l ---- */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// GNU --time-style=full-iso: 2024-05-01 13:45:10.123456789 +0200
+const GNU_TIME = '(\\d{4}-\\d\\d-\\d\\d) (\\d\\d:\\d\\d:\\d\\d(?:\\.\\d{1,3})?)\\d* ([-+]\\d\\d)(\\d\\d)';
+// BSD -T: May  1 13:45:10 2024, in local time
+const BSD_TIME = '([A-Z][a-z]{2})\\s+(\\d+) (\\d\\d:\\d\\d:\\d\\d) (\\d{4})';
+const lsLine = time => new RegExp(`^([-bcdlpsD])([-rwxsStT]{9})[.+@]?\\s+(\\d+)\\s+(\\S+)\\s+(\\S+)\\s+(?:(\\d+),\\s*(\\d+)|(\\d+))\\s+${time} (.*)$`);
+
+function lsPlan(words, platform) {
+  const { flags, operands } = splitArgs(words);
+  const kept = new Set();
+  for (const flag of flags) {
+    const letters = flag.value === '--all' ? ['a'] : flag.value === '--almost-all' ? ['A'] : shortFlags(flag.value);
+    if (!letters || letters.some(l => !'laAdhnLrtS'.includes(l))) return null;
+    letters.filter(l => l !== 'h').forEach(l => kept.add(l));
+  }
+  if (!kept.has('l')) return null;
+  kept.delete('l');
+  const gnu = platform === 'linux';
+  const pattern = lsLine(gnu ? GNU_TIME : BSD_TIME);
+  return {
+    command: join(`ls -l${[...kept].join('')}`, gnu ? '--time-style=full-iso' : '-T', operands.length && '--', raw(operands)),
+    parse: text => {
+      const records = [];
+      let directory;
+      for (const line of lines(text)) {
+        if (/^total \d+$/.test(line)) continue;
+        // Listing several directories prints each one's name before its entries
+        if (line.endsWith(':') && !pattern.test(line)) {
+          directory = line.slice(0, -1);
+          continue;
+        }
+        const m = pattern.exec(line);
+        if (!m) throw new UnparsedLine(line);
+        const [, type, perms, links, owner, group, major, minor, size] = m;
+        const mtime = gnu
+          ? iso(new Date(`${m[9]}T${m[10]}${m[11]}:${m[12]}`))
+          : iso(new Date(Number(m[12]), MONTHS.indexOf(m[9]), Number(m[10]), ...m[11].split(':').map(Number)));
+        let name = m[13];
+        let target;
+        if (type === 'l' && name.includes(' -> ')) [name, target] = [name.slice(0, name.indexOf(' -> ')), name.slice(name.indexOf(' -> ') + 4)];
+        records.push({
+          name,
+          directory,
+          type: TYPE_CHARS[type],
+          permissions: perms,
+          mode: modeOctal(perms),
+          links: Number(links),
+          owner,
+          group,
+          size_bytes: size === undefined ? undefined : Number(size),
+          device: major === undefined ? undefined : `${major},${minor}`,
+          mtime,
+          target,
+        });
+      }
+      return records;
+    },
+  };
+}
+
+/* ---- stat ---- */
+
+// type, size, octal mode, permissions, links, owner, group, atime, mtime, birth, name
+const GNU_STAT = `--printf='%F\\t%s\\t%a\\t%A\\t%h\\t%U\\t%G\\t%X\\t%Y\\t%W\\t%n\\n'`;
+const BSD_STAT = `-f '%HT%t%z%t%Lp%t%Sp%t%l%t%Su%t%Sg%t%a%t%m%t%B%t%N'`;
+
+function statPlan(words, platform) {
+  const { flags, operands } = splitArgs(words);
+  if (!operands.length || flags.some(f => f.value !== '-L')) return null;
+  return {
+    command: join('stat', flags.length && '-L', platform === 'linux' ? GNU_STAT : BSD_STAT, '--', raw(operands)),
+    parse: text => lines(text).map(line => {
+      const fields = line.split('\t');
+      if (fields.length < 11) throw new UnparsedLine(line);
+      const [type, size, mode, perms, links, owner, group, atime, mtime, birth] = fields;
+      return {
+        path: fields.slice(10).join('\t'),
+        type: STAT_TYPES[type.toLowerCase()] ?? type.toLowerCase(),
+        size_bytes: Number(size),
+        mode: mode.padStart(4, '0'),
+        permissions: perms.slice(1),
+        links: Number(links),
+        owner,
+        group,
+        atime: fromEpoch(Number(atime)),
+        mtime: fromEpoch(Number(mtime)),
+        birth: fromEpoch(Number(birth)),
+      };
+    }),
+  };
+}
+
+/* ---- uptime ---- */
+
+// `3 days,  4:05`, `1 day, 10 min`, `25 mins`, `2 hrs` → seconds
+function upSeconds(up) {
+  let seconds = 0;
+  for (const part of up.split(',').map(p => p.trim())) {
+    const m = /^(\d+) (day|hr|hour|min|sec)s?$/.exec(part) || /^(\d+):(\d+)$/.exec(part);
+    if (!m) return null;
+    if (m[2] && /^\d+$/.test(m[2])) seconds += Number(m[1]) * 3600 + Number(m[2]) * 60;
+    else seconds += Number(m[1]) * { day: 86400, hr: 3600, hour: 3600, min: 60, sec: 1 }[m[2]];
+  }
+  return seconds;
+}
+
+function uptimePlan(words) {
+  if (words.length) return null;
+  return {
+    command: 'uptime',
+    parse: text => lines(text).map(line => {
+      const m = /^\s*(\S+)\s+up\s+(.*?),\s+(?:(\d+) users?,\s+)?load averages?:\s+(.*)$/.exec(line);
+      const load = m?.[4].split(/,?\s+/).map(Number);
+      if (!m || load.length !== 3 || load.some(Number.isNaN)) throw new UnparsedLine(line);
+      return {
+        time: m[1],
+        up: m[2],
+        up_seconds: upSeconds(m[2]),
+        users: m[3] === undefined ? null : Number(m[3]),
+        load_average: { '1m': load[0], '5m': load[1], '15m': load[2] },
+      };
+    }),
+  };
+}
+
+/* ---- git status ---- */
+
+const GIT_STATES = { M: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', T: 'type_changed' };
+const CONFLICTS = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+const C_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+// Paths with special characters are quoted with C escapes (octal bytes for UTF-8)
+function unquote(path) {
+  if (!path.startsWith('"') || !path.endsWith('"')) return path;
+  const bytes = [];
+  for (let i = 1; i < path.length - 1; i++) {
+    if (path[i] !== '\\') {
+      bytes.push(...Buffer.from(path[i]));
+    } else if (/[0-7]{3}/.test(path.substr(i + 1, 3))) {
+      bytes.push(parseInt(path.substr(i + 1, 3), 8));
+      i += 3;
+    } else {
+      bytes.push(C_ESCAPES[path[i + 1]] ?? path.charCodeAt(i + 1));
+      i++;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// `## main...origin/main [ahead 1, behind 2]`, `## No commits yet on main`, `## HEAD (no branch)`
+function gitBranch(line) {
+  const head = line.slice(3);
+  if (head.startsWith('HEAD (no branch)')) return { head: null, detached: true };
+  const initial = /^(?:No commits yet|Initial commit) on (.+)$/.exec(head);
+  if (initial) return { head: initial[1], initial: true };
+  const m = /^(.+?)(?:\.\.\.(\S+))?(?: \[(.*)\])?$/.exec(head);
+  const count = what => Number(new RegExp(`${what} (\\d+)`).exec(m[3] ?? '')?.[1] ?? 0);
+  return { head: m[1], upstream: m[2] ?? null, ahead: count('ahead'), behind: count('behind'), gone: m[3] === 'gone' || undefined };
+}
+
+function gitStatusPlan(words) {
+  if (words[0]?.value !== 'status') return null;
+  const { flags, operands } = splitArgs(words.slice(1));
+  const kept = [];
+  for (const { value, raw: text } of flags) {
+    if (/^-u(no|normal|all)?$|^--untracked-files(=(no|normal|all))?$|^--ignored(=(traditional|matching|no))?$/.test(value)) kept.push(text);
+    else if (!['-s', '--short', '-b', '--branch', '--porcelain', '--porcelain=v1'].includes(value)) return null;
+  }
+  return {
+    command: join('git status --porcelain=v1 --branch', kept, operands.length && '--', raw(operands)),
+    parse: text => {
+      let branch = null;
+      const records = [];
+      for (const line of lines(text)) {
+        if (line.startsWith('## ')) {
+          branch = gitBranch(line);
+          continue;
+        }
+        const m = /^([ MADRCTU?!])([ MADRCTU?!]) (.+)$/.exec(line);
+        if (!m) throw new UnparsedLine(line);
+        const [, index, worktree, paths] = m;
+        const renamed = 'RC'.includes(index) || 'RC'.includes(worktree);
+        const arrow = renamed ? paths.indexOf(' -> ') : -1;
+        const code = index + worktree;
+        records.push({
+          path: unquote(arrow < 0 ? paths : paths.slice(arrow + 4)),
+          orig_path: arrow < 0 ? undefined : unquote(paths.slice(0, arrow)),
+          index,
+          worktree,
+          state: code === '??' ? 'untracked' : code === '!!' ? 'ignored' : CONFLICTS.includes(code) ? 'conflicted' : GIT_STATES[index === ' ' ? worktree : index],
+          staged: !' ?!'.includes(index) && !CONFLICTS.includes(code),
+        });
+      }
+      return { records, branch };
+    },
+  };
+}
+
+/* ---- Registry ---- */
+
+// base command → (words after it, platform) → { command, parse } or null
+const PARSERS = {
+  ps: psPlan,
+  df: dfPlan,
+  du: duPlan,
+  ls: lsPlan,
+  stat: statPlan,
+  uptime: uptimePlan,
+  git: gitStatusPlan,
+};
+
+// How to run `command` for structured output: { parser, command, env, parse },
+// or { reason } when it has to run as written
+export function structuredPlan(command, platform = process.platform) {
+  let segments;
+  try {
+    segments = parseCommand(command);
+  } catch {
+    return { reason: 'the command could not be parsed' };
+  }
+  if (segments.length !== 1) return { reason: 'only a single command without pipes, chains or substitutions can be parsed' };
+  const [segment] = segments;
+  if (segment.redirects.length || segment.assignments.length) return { reason: 'commands with redirections or variable assignments are returned as text' };
+  const planFor = Object.hasOwn(PARSERS, segment.base) ? PARSERS[segment.base] : null;
+  if (!planFor) return { reason: `no parser for ${segment.base}; supported: ${Object.keys(PARSERS).map(p => p === 'git' ? 'git status' : p === 'ls' ? 'ls -l' : p).join(', ')}` };
+  if (platform === 'win32') return { reason: 'structured output is not available on Windows' };
+  const plan = planFor(segment.words.slice(1), platform);
+  if (!plan) return { reason: `the parser for ${segment.base} doesn't understand these arguments` };
+  return { parser: segment.base === 'git' ? 'git status' : segment.base, env: { LC_ALL: 'C' }, ...plan };
+}
+
+// { parsed: true, parser, records, ... } or { parsed: false, parser, reason }
+export function parseStructured(plan, text) {
+  if (!plan.parse) return { parsed: false, reason: plan.reason };
+  try {
+    const result = plan.parse(text);
+    const { records, ...extra } = Array.isArray(result) ? { records: result } : result;
+    return {
+      parsed: true,
+      parser: plan.parser,
+      ran: plan.command,
+      ...extra,
+      count: records.length,
+      records: records.slice(0, MAX_RECORDS),
+      records_truncated: records.length > MAX_RECORDS || undefined,
+    };
+  } catch (e) {
+    if (!(e instanceof UnparsedLine)) throw e;
+    return { parsed: false, parser: plan.parser, ran: plan.command, reason: e.message };
+  }
+}
@@ -0,0 +1,67 @@
+/*
+ * Test helpers
+ * ------------
+ * The server keeps its configuration, log and audit log next to index.js, so
+ * tests run it from a copy of this directory in a temporary one, over stdio
+ * with the SDK's client. `work` is the only allowed directory.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_VERSION } from './config-schema.js';
+
+const here = dirname(fileURLToPath(import.meta.url));
+const repo = dirname(here);
+
+// `config` is written as terminal-config.json (defaults when left out),
+// `policy` as the system policy, `env` (or `env({ root, work })`) is added to
+// the server's environment and `files` are created in `work`
+export async function startServer({ config, policy, env = {}, files = {} } = {}) {
+  const root = await fs.realpath(await fs.mkdtemp(join(tmpdir(), 'cst-test-')));
+  const work = join(root, 'work');
+  await fs.mkdir(join(root, 'server'));
+  await fs.mkdir(work);
+  for (const file of await fs.readdir(here)) {
+    if (file.endsWith('.js') && !file.endsWith('.test.js')) await fs.copyFile(join(here, file), join(root, 'server', file));
+  }
+  await fs.copyFile(join(repo, 'manifest.json'), join(root, 'manifest.json'));
+  await fs.symlink(join(repo, 'node_modules'), join(root, 'node_modules'));
+  if (config) await fs.writeFile(join(root, 'server', 'terminal-config.json'), JSON.stringify({ configVersion: CONFIG_VERSION, ...config }));
+  if (policy) await fs.writeFile(join(root, 'policy.json'), JSON.stringify(policy));
+  for (const [name, text] of Object.entries(files)) {
+    await fs.mkdir(dirname(join(work, name)), { recursive: true });
+    await fs.writeFile(join(work, name), text, { mode: name.endsWith('.sh') ? 0o755 : 0o644 });
+  }
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [join(root, 'server', 'index.js')],
+    env: { ...process.env, ALLOWED_DIRECTORIES: work, SYSTEM_POLICY_PATH: join(root, 'policy.json'), ...(typeof env === 'function' ? env({ root, work }) : env) },
+    stderr: 'ignore',
+  });
+  const client = new Client({ name: 'tests', version: '1.0.0' });
+  await client.connect(transport);
+
+  return {
+    root,
+    work,
+    client,
+    // The tool's JSON result
+    async call(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      return JSON.parse(result.content[0].text);
+    },
+    async audit() {
+      const text = await fs.readFile(join(root, 'server', 'command-audit.log'), 'utf8').catch(() => '');
+      return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    },
+    async close() {
+      await client.close();
+      await fs.rm(root, { recursive: true, force: true });
+    },
+  };
+}